@@ -0,0 +1,14 @@
+#!/usr/bin/env node
+/* eslint-env node */
+const { run } = require('../dist/cli.js');
+
+run(process.argv.slice(2), {
+  stdin: process.stdin.setEncoding('utf8'),
+  stdout: process.stdout,
+  stderr: process.stderr,
+}).then((exitCode) => {
+  process.exitCode = exitCode;
+}, (e) => {
+  process.stderr.write('dmsformat: ' + e.message + '\n');
+  process.exitCode = 1;
+});
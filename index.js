@@ -1 +1,23 @@
-export { toDMS, fromDMS, fromDMM, isDMM, isDMS } from "./src/dmsformat";
+export {
+  toDMS, fromDMS, fromDMM, isDMM, isDMS, parse, detectFormat, FORMATS, parseLatitude, parseLongitude, formatAngle,
+  registerFormat
+} from './src/dmsformat';
+export { DmsParseError, ERROR_CODES } from './src/errors';
+export { decDegFromParts, matchSyntax } from './src/format';
+export { fromISO6709, toISO6709 } from './src/iso6709';
+export { fromNMEA, toNMEA } from './src/nmea';
+export { extractCoordinates } from './src/extract';
+export { LOCALES } from './src/locales';
+export { normalize, validate, WARNING_CODES } from './src/validate';
+export { parsePartial, PARTIAL_STATES } from './src/partial';
+export { convertCSV, convertGeoJSON } from './src/batch';
+export { uncertaintyOf } from './src/precision';
+export { ANGLE_TYPES, fromAngle, toAngle } from './src/angle';
+export { DATUMS, transformDatum } from './src/datum';
+export { destination, DISTANCE_METHODS, distance, initialBearing, midpoint } from './src/geodesy';
+export { fromUTM, toUTM } from './src/utm';
+export { fromMGRS, toMGRS } from './src/mgrs';
+export { fromGridRef, toGridRef } from './src/gridref';
+export { decodeGeohash, encodeGeohash } from './src/geohash';
+export { decodePlusCode, encodePlusCode } from './src/pluscode';
+export { decodeMaidenhead, encodeMaidenhead } from './src/maidenhead';
\ No newline at end of file
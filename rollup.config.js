@@ -1,10 +1,9 @@
 import babel from 'rollup-plugin-babel';
 import eslint from 'rollup-plugin-eslint';
-import flow from 'rollup-plugin-flow';
 import resolve from 'rollup-plugin-node-resolve';
 
-export default {
-  input: 'src/dmsformat.js',
+export default [{
+  input: 'index.js',
   output: {
     file: 'dist/dmsformat.js',
     format: 'cjs',
@@ -16,4 +15,33 @@ export default {
     eslint(),
     babel()
   ]
-};
\ No newline at end of file
+}, {
+  // the stream conversions of Node, kept out of the main bundle
+  input: 'src/stream.js',
+  output: {
+    file: 'dist/stream.js',
+    format: 'cjs',
+    name: 'dmsformat',
+    sourcemap: 'inline',
+  },
+  external: ['stream', 'string_decoder'],
+  plugins: [
+    resolve(),
+    eslint(),
+    babel()
+  ]
+}, {
+  // the command line interface of bin/dmsformat.js
+  input: 'src/cli.js',
+  output: {
+    file: 'dist/cli.js',
+    format: 'cjs',
+    name: 'dmsformat',
+    sourcemap: 'inline',
+  },
+  plugins: [
+    resolve(),
+    eslint(),
+    babel()
+  ]
+}];
@@ -0,0 +1,166 @@
+import { DMS_REGREX } from './dmsformat';
+import { DmsParseError, ERROR_CODES } from './errors';
+import {
+  angleFromParts, computeAngleConfig, formatFor, formatOptions, inRange, isNumber, matchSyntax, roundingFor,
+  tokenizeFormat
+} from './format';
+import { delocalize, localizeHemisphere } from './locales';
+
+/**
+ * Types of plain angles, which are no latitude or longitude.
+ * @type {{AZIMUTH: string, BEARING: string, DECLINATION: string, SIGNED: string}}
+ */
+export const ANGLE_TYPES = {
+  AZIMUTH: 'azimuth',
+  BEARING: 'bearing',
+  DECLINATION: 'declination',
+  SIGNED: 'signed',
+};
+
+/**
+ * Default format and range of each angle type. Azimuths are clockwise from north within
+ * [0, 360), bearings are written in quadrant notation, e.g. `N 45° 30′ E`, declinations are
+ * positive towards east and signed angles have no hemisphere letters.
+ * @type {{}}
+ */
+const ANGLES = {
+  azimuth: { format: 'DD MM', min: 0, max: 360 },
+  bearing: { format: 'X DD MM X', min: 0, max: 90 },
+  declination: { format: 'DD MM X', min: -180, max: 180 },
+  signed: { format: '-DD MM ss', min: -360, max: 360 },
+};
+
+/**
+ * RegEx for a single angle, which is a whole dms component of `fromDMS` with optional hemisphere
+ * letters before and after the value, e.g. `45°30′`, `N 45°30′ E`, `3°12' W` or `-12.5`.
+ * @type {RegExp}
+ */
+const ANGLE_REGEX = new RegExp('^' + DMS_REGREX.source + '$', 'i');
+
+/**
+ * Returns the definition of an angle type.
+ * @param {string} type see `ANGLE_TYPES`
+ * @returns {{ format: string, min: number, max: number }}
+ * @throws
+ */
+function angleFor(type) {
+  if (!ANGLES.hasOwnProperty(type)) {
+    throw new Error('Not a valid angle type');
+  }
+  return ANGLES[type];
+}
+
+/**
+ * Wraps an angle into [0, 360). Angles which round up to 360 in the finest unit of the format
+ * tokens are wrapped to 0.
+ * @param {number} value
+ * @param {Array<{}>} tokens see `tokenizeFormat`
+ * @returns {number}
+ */
+function azimuthOf(value, tokens) {
+  const azimuth = ((value % 360) + 360) % 360;
+  return computeAngleConfig(azimuth, roundingFor(tokens)).degreesInt >= 360 ? 0 : azimuth;
+}
+
+/**
+ * Returns a string for a plain angle, which is no latitude or longitude, with the same format
+ * tokens and units as `toDMS`. The `X` tokens are replaced with the letters of the angle type:
+ * the quadrant letters of bearings (the first `X` with N or S, the second with E or W), E or W
+ * for declinations and nothing for azimuths and signed angles. Azimuths and bearings are wrapped
+ * into [0, 360).
+ *
+ * azimuth: 225.5 => `225° 30′`
+ * bearing: 225.5 => `S 45° 30′ W`
+ * declination: -3.2 => `3° 12′ W`
+ * signed: -3.2 => `-3° 12′ 0.00000″`
+ *
+ * @param {number} value decimal degrees, bearings as azimuth
+ * @param {string} type see `ANGLE_TYPES`
+ * @param {string=} optFormatStr e.g.: 'DD MM', 'X DD MM X', 'DD MM X', '-DD MM ss'
+ * @param {{ decimalPlaces: number, units: {}, locale: string }=} optOptions see `toDMS`
+ * @returns {string}
+ * @throws
+ */
+export function toAngle(value, type, optFormatStr, optOptions) {
+  const angle = angleFor(type);
+  const options = formatOptions(optOptions);
+  const tokens = tokenizeFormat(optFormatStr !== undefined ? optFormatStr : angle.format, options.decimalPlaces);
+
+  if (!isNumber(value) || (type === ANGLE_TYPES.DECLINATION || type === ANGLE_TYPES.SIGNED)
+    && !inRange(value, angle.min, angle.max)) {
+    throw new Error('Angle out of range');
+  }
+
+  let number = value;
+  let letters = [];
+
+  if (type === ANGLE_TYPES.AZIMUTH || type === ANGLE_TYPES.BEARING) {
+    number = azimuthOf(value, tokens);
+  }
+
+  if (type === ANGLE_TYPES.BEARING) {
+    // the quadrant angle is measured from north or south towards east or west
+    const quadrant = Math.floor(number / 90);
+    letters = [quadrant === 0 || quadrant === 3 ? 'N' : 'S', quadrant < 2 ? 'E' : 'W'];
+    number = [number, 180 - number, number - 180, 360 - number][quadrant];
+  } else if (type === ANGLE_TYPES.DECLINATION) {
+    letters = [value < 0 ? 'W' : 'E'];
+  }
+
+  const angleTokens = tokens.map((token) => token.key === 'X'
+    ? { literal: letters.length > 0 ? localizeHemisphere(letters.shift(), options.locale) : '' }
+    : token);
+  return formatFor(angleTokens, options, number, 'lat');
+}
+
+/**
+ * Parses a plain angle, which is no latitude or longitude, in the dms or dd syntax of `fromDMS`,
+ * e.g. `225°30′` (azimuth), `S 45°30′ W` (bearing), `3°12' W` (declination) or `-3°12′` (signed).
+ * Bearings need a N or S letter before and an E or W letter after the angle and are returned as
+ * azimuth, declinations are negative towards west. Azimuths and signed angles have no letters.
+ * Azimuths and bearings are returned within [0, 360).
+ * @param {string} value
+ * @param {string} type see `ANGLE_TYPES`
+ * @param {{ locale: string }=} optOptions `locale` of the string, e.g. 'de'
+ * @returns {number} decimal degrees, bearings as azimuth
+ * @throws {DmsParseError}
+ */
+export function fromAngle(value, type, optOptions) {
+  const angle = angleFor(type);
+  const v = optOptions !== undefined && optOptions.locale !== undefined
+    ? delocalize(value, optOptions.locale)
+    : value;
+  const m = matchSyntax(v, ANGLE_REGEX);
+  const range = { start: m.offset, end: m.offset + m[0].length };
+  const prefix = (m[1] || '').toUpperCase();
+  const suffix = (m[6] || '').toUpperCase();
+  const isBearing = type === ANGLE_TYPES.BEARING;
+  const isDeclination = type === ANGLE_TYPES.DECLINATION;
+
+  // the letters have to match the angle type, e.g. a bearing is written as `N 45° E`
+  const isValid = isBearing
+    ? /^[NS]$/.test(prefix) && /^[EW]$/.test(suffix) && m[2] === undefined
+    : isDeclination
+      ? /^[EW]?$/.test(prefix + suffix) && !(prefix + suffix !== '' && m[2] !== undefined)
+      : prefix + suffix === '' && (type !== ANGLE_TYPES.AZIMUTH || m[2] === undefined);
+  if (!isValid) {
+    throw new DmsParseError('Hemisphere does not match the angle type', ERROR_CODES.HEMISPHERE_MISMATCH, range);
+  }
+
+  const sign = m[2] !== undefined || prefix + suffix === 'W' ? -1 : 1;
+  const number = angleFromParts({ degrees: m[3], minutes: m[4], seconds: m[5], sign }, range);
+
+  if (!inRange(number, angle.min, angle.max)) {
+    throw new DmsParseError('Angle out of range', ERROR_CODES.ANGLE_OUT_OF_RANGE, range);
+  }
+
+  if (isBearing) {
+    const azimuth = prefix === 'N'
+      ? (suffix === 'E' ? number : 360 - number)
+      : (suffix === 'E' ? 180 - number : 180 + number);
+    return azimuth % 360;
+  }
+
+  // like toAngle, 360° is the azimuth 0°
+  return type === ANGLE_TYPES.AZIMUTH ? number % 360 : number;
+}
@@ -0,0 +1,90 @@
+import { fromAngle, toAngle } from './angle';
+
+describe('toAngle', () => {
+  it('formats angles of each type with the default format', () => {
+    const testData = [
+      [225.5, 'azimuth', '225° 30′'],
+      [-10, 'azimuth', '350° 0′'],
+      [359.9999, 'azimuth', '0° 0′'],
+      [45.5, 'bearing', 'N 45° 30′ E'],
+      [135.5, 'bearing', 'S 44° 30′ E'],
+      [225.5, 'bearing', 'S 45° 30′ W'],
+      [315.5, 'bearing', 'N 44° 30′ W'],
+      [-3.2, 'declination', '3° 12′ W'],
+      [3.2, 'declination', '3° 12′ E'],
+      [-3.2, 'signed', '-3° 12′ 0.00000″'],
+    ];
+
+    testData.forEach(([value, type, expected]) => {
+      expect([value, type, toAngle(value, type)]).toEqual([value, type, expected]);
+    });
+  });
+
+  it('supports the format tokens and options of toDMS', () => {
+    expect(toAngle(45.5, 'bearing', 'XDD MMX')).toBe('N45° 30′E');
+    expect(toAngle(225.5, 'azimuth', 'dd')).toBe('225.50000°');
+    expect(toAngle(-3.2, 'declination', 'DD mm X', { decimalPlaces: 1, locale: 'de' })).toBe('3° 12,0′ W');
+  });
+
+  it('throws for invalid types and angles out of range', () => {
+    expect(() => toAngle(10, 'heading')).toThrow('Not a valid angle type');
+    expect(() => toAngle(190, 'declination')).toThrow('Angle out of range');
+    expect(() => toAngle(NaN, 'azimuth')).toThrow('Angle out of range');
+  });
+});
+
+describe('fromAngle', () => {
+  it('parses angles of each type', () => {
+    const testData = [
+      ['225°30′', 'azimuth', 225.5],
+      ['N 45°30′ E', 'bearing', 45.5],
+      ['S 44°30\' E', 'bearing', 135.5],
+      ['S45°30\'W', 'bearing', 225.5],
+      ['n 44.5 w', 'bearing', 315.5],
+      ['3°12\' W', 'declination', -3.2],
+      ['-3.2', 'declination', -3.2],
+      ['E 3°12′', 'declination', 3.2],
+      ['-3°12′', 'signed', -3.2],
+      ['360', 'azimuth', 0],
+      ['359° 60′', 'azimuth', 0],
+      ['360', 'signed', 360],
+    ];
+
+    testData.forEach(([value, type, expected]) => {
+      expect([value, type, fromAngle(value, type)]).toEqual([value, type, expected]);
+    });
+  });
+
+  it('reads what toAngle writes', () => {
+    [[225.5, 'azimuth'], [315.5, 'bearing'], [-3.2, 'declination'], [-3.2, 'signed']].forEach(([value, type]) => {
+      expect(fromAngle(toAngle(value, type), type)).toBeCloseTo(value, 10);
+    });
+  });
+
+  it('throws parse errors', () => {
+    const testData = [
+      ['abc', 'azimuth', 'INVALID_SYNTAX'],
+      ['45°N', 'bearing', 'HEMISPHERE_MISMATCH'],
+      ['N -45 E', 'bearing', 'HEMISPHERE_MISMATCH'],
+      ['-45', 'azimuth', 'HEMISPHERE_MISMATCH'],
+      ['3 W', 'signed', 'HEMISPHERE_MISMATCH'],
+      ['N 95 E', 'bearing', 'ANGLE_OUT_OF_RANGE'],
+      ['370', 'azimuth', 'ANGLE_OUT_OF_RANGE'],
+      ['3°75\' W', 'declination', 'MINUTES_OUT_OF_RANGE'],
+    ];
+
+    testData.forEach(([value, type, code]) => {
+      let error;
+      try {
+        fromAngle(value, type);
+      } catch (e) {
+        error = e;
+      }
+      expect([value, type, error.code]).toEqual([value, type, code]);
+    });
+  });
+
+  it('supports the locale option', () => {
+    expect(fromAngle('3°12,5\' W', 'declination', { locale: 'de' })).toBeCloseTo(-(3 + 12.5 / 60), 10);
+  });
+});
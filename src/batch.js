@@ -0,0 +1,371 @@
+import { FORMATS, parse, parseLatitude, parseLongitude, toDMS } from './dmsformat';
+import { DmsParseError } from './errors';
+
+/**
+ * Parses delimiter separated text, e.g. CSV or TSV, into rows of fields. Fields can be quoted
+ * with double quotes, which are escaped by doubling them. Empty lines are skipped.
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {string[][]}
+ */
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let isQuoted = false;
+
+  function endRow() {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  }
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text.charAt(i);
+    if (isQuoted) {
+      if (c === '"' && text.charAt(i + 1) === '"') {
+        field += c;
+        i++;
+      } else if (c === '"') {
+        isQuoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"' && field === '') {
+      isQuoted = true;
+    } else if (c === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || (c === '\r' && text.charAt(i + 1) !== '\n')) {
+      endRow();
+    } else if (c !== '\r') {
+      field += c;
+    }
+  }
+
+  endRow();
+  return rows;
+}
+
+/**
+ * Formats rows of fields as delimiter separated text. Fields containing the delimiter or line
+ * breaks and fields starting with a double quote are quoted, so that unquoted fields like
+ * `59°12'7.7"N` are written as read.
+ * @param {string[][]} rows
+ * @param {string} delimiter
+ * @param {string} lineBreak
+ * @returns {string}
+ */
+function formatDelimited(rows, delimiter, lineBreak) {
+  return rows.map((row) => row.map((field) => {
+    const value = field !== undefined ? String(field) : '';
+    return value.indexOf(delimiter) !== -1 || /^"|[\r\n]/.test(value)
+      ? '"' + value.replace(/"/g, '""') + '"'
+      : value;
+  }).join(delimiter)).join(lineBreak);
+}
+
+/**
+ * Returns the delimiter of the header line: a tab, if the line contains tabs, a semicolon, if
+ * it contains semicolons but no commas, and a comma otherwise.
+ * @param {string} text
+ * @returns {string}
+ */
+function delimiterOf(text) {
+  const header = text.split(/\r?\n|\r/)[0];
+  if (header.indexOf('\t') !== -1) {
+    return '\t';
+  }
+
+  return header.indexOf(';') !== -1 && header.indexOf(',') === -1 ? ';' : ',';
+}
+
+/**
+ * Returns the source fields of the options, either a single `coordinate` field containing
+ * both values or a pair of `lat` and `lon` fields.
+ * @param {{ source: string=, lat: string=, lon: string= }} fields
+ * @returns {{ coordinate: string=, lat: string=, lon: string= }}
+ * @throws
+ */
+function sourceOf(fields) {
+  if (fields.source !== undefined) {
+    return { coordinate: fields.source };
+  }
+
+  if (fields.lat !== undefined && fields.lon !== undefined) {
+    return { lat: fields.lat, lon: fields.lon };
+  }
+
+  return undefined;
+}
+
+/**
+ * Returns the name of the new formatted field. The name defaults to the name of the source
+ * field with the name of the preset as suffix, e.g. `position_dmm`.
+ * @param {{ coordinate: string=, lat: string= }} source
+ * @param {{ format: string, target: string= }} options
+ * @returns {string}
+ * @throws
+ */
+function targetOf(source, options) {
+  if (options.target !== undefined) {
+    return options.target;
+  }
+
+  if (Object.keys(FORMATS).map((key) => FORMATS[key]).indexOf(options.format) === -1) {
+    throw new Error('A target is required for custom formats');
+  }
+
+  return (source.coordinate !== undefined ? source.coordinate : 'coordinate') + '_' + options.format;
+}
+
+/**
+ * Parses the source values of a row or feature. Returns the [lon, lat] coordinate or the
+ * errors of the values, each with the name of the field, the value, the `code` and the
+ * `message` of the error.
+ * @param {function(string): string} valueFn returns the value of a field
+ * @param {{ coordinate: string=, lat: string=, lon: string= }} source
+ * @param {{ formats: string[], locale: string= }} options
+ * @returns {{ coordinate: [number, number]|undefined, errors: Array<{}> }}
+ * @throws
+ */
+function coordinateOf(valueFn, source, options) {
+  const parseOptions = { formats: options.formats, locale: options.locale };
+  const errors = [];
+  const values = {};
+
+  function parseFn(field, parseValueFn) {
+    const value = valueFn(field);
+    try {
+      return parseValueFn(value === undefined || value === null ? '' : String(value));
+    } catch (e) {
+      if (!(e instanceof DmsParseError)) {
+        throw e;
+      }
+      errors.push({ field, value, code: e.code, message: e.message });
+      return undefined;
+    }
+  }
+
+  if (source.coordinate !== undefined) {
+    const coordinate = parseFn(source.coordinate, (v) => parse(v, parseOptions).coordinate);
+    return { coordinate, errors };
+  }
+
+  values.lat = parseFn(source.lat, (v) => parseLatitude(v, parseOptions));
+  values.lon = parseFn(source.lon, (v) => parseLongitude(v, parseOptions));
+  return {
+    coordinate: errors.length === 0 ? [values.lon, values.lat] : undefined,
+    errors,
+  };
+}
+
+/**
+ * Fills the options of the conversion functions with their defaults.
+ * @param {{}=} optOptions
+ * @returns {{ format: string, formatOptions: {}, formats: string[], locale: string= }}
+ */
+function conversionOptions(optOptions) {
+  return Object.assign({
+    format: FORMATS.DMS,
+    formatOptions: {},
+    formats: [FORMATS.DMS, FORMATS.DMM, FORMATS.DD],
+  }, optOptions !== undefined ? optOptions : {});
+}
+
+/**
+ * Formats a parsed coordinate through `toDMS`, the names 'dms', 'dmm' and 'dd' select the
+ * presets. Formatting fails for coordinates outside of the format, e.g. the UTM limits, in which
+ * case the message of the `RangeError` is passed to `errorFn`. Other errors, e.g. of an unknown
+ * locale, are thrown.
+ * @param {[number, number]} coordinate [lon, lat]
+ * @param {{ format: string, formatOptions: {} }} options
+ * @param {function(string)} errorFn
+ * @returns {string|undefined}
+ */
+function formattedOf(coordinate, options, errorFn) {
+  try {
+    return toDMS(coordinate, options.format, Object.assign({ preset: true }, options.formatOptions));
+  } catch (e) {
+    if (!(e instanceof DmsParseError) && !(e instanceof RangeError)) {
+      throw e;
+    }
+    errorFn(e.message);
+    return undefined;
+  }
+}
+
+/**
+ * Returns a GeoJSON Point feature.
+ * @param {[number, number]|undefined} coordinate [lon, lat], features without coordinate have
+ * no geometry
+ * @param {{}} properties
+ * @returns {{ type: string, geometry: {}|null, properties: {} }}
+ */
+function featureFor(coordinate, properties) {
+  return {
+    type: 'Feature',
+    geometry: coordinate !== undefined ? { type: 'Point', coordinates: coordinate } : null,
+    properties,
+  };
+}
+
+/**
+ * Converts the coordinates of CSV or TSV text. The coordinates are read either from a single
+ * `column` containing both values, e.g. `59°12'7.7"N 02°15'39.6"W`, or from a pair of
+ * `latColumn` and `lonColumn`. A single column is parsed through `parse`, a pair through
+ * `parseLatitude` and `parseLongitude`, so that dms, dmm and dd values are accepted.
+ *
+ * With the default `output` 'csv' a column with the coordinates formatted through `toDMS` is
+ * appended to each row. The `format` and `formatOptions` are passed to `toDMS` and the name
+ * of the new column defaults to the source column with the format as suffix, e.g. `position_dmm`.
+ * With the `output` 'geojson' a FeatureCollection of Point features is returned, whose
+ * properties are the fields of the rows.
+ *
+ * Values which can not be parsed do not stop the conversion. The new column is left empty
+ * respectively the feature has no geometry and an entry with the 1-based `row` (not counting
+ * the header), the `column`, the `value`, the `code` and the `message` of the error is added
+ * to the `errors` report. Coordinates which can not be formatted, e.g. outside of the UTM
+ * limits, leave the new column empty as well and are reported with the new column as `column`,
+ * the [lon, lat] coordinate as `value` and the `message` of the error.
+ *
+ * @param {string} text with a header line
+ * @param {{ column: string=, latColumn: string=, lonColumn: string=, output: string=, format: string=, formatOptions: {}=, target: string=, delimiter: string=, formats: string[]=, locale: string= }} optOptions
+ * `delimiter` defaults to a tab for TSV text and to a comma otherwise, `formats` are the accepted
+ * formats (dms, dmm and dd by default), `locale` is the locale of the values, e.g. 'de'
+ * @returns {{ result: string|{}, errors: Array<{ row: number, column: string, value: string|[number, number], code: string=, message: string }> }}
+ * @throws
+ */
+export function convertCSV(text, optOptions) {
+  const options = Object.assign({ output: 'csv' }, conversionOptions(optOptions));
+  const delimiter = options.delimiter !== undefined ? options.delimiter : delimiterOf(text);
+  const lineBreak = /\r\n/.test(text) ? '\r\n' : '\n';
+  const rows = parseDelimited(text, delimiter);
+  const header = rows.length > 0 ? rows[0] : [];
+  const source = sourceOf({ source: options.column, lat: options.latColumn, lon: options.lonColumn });
+
+  if (source === undefined) {
+    throw new Error('Either a column or a lat and lon column is required');
+  }
+
+  Object.keys(source).forEach((key) => {
+    if (header.indexOf(source[key]) === -1) {
+      throw new Error('Unknown column: ' + source[key]);
+    }
+  });
+
+  const errors = [];
+  const results = rows.slice(1).map((row, i) => {
+    const result = coordinateOf((column) => row[header.indexOf(column)], source, options);
+    result.errors.forEach((error) => {
+      errors.push({ row: i + 1, column: error.field, value: error.value, code: error.code, message: error.message });
+    });
+    return result.coordinate;
+  });
+
+  if (options.output === 'geojson') {
+    return {
+      result: {
+        type: 'FeatureCollection',
+        features: rows.slice(1).map((row, i) => featureFor(results[i], header.reduce((properties, column, j) => {
+          properties[column] = row[j];
+          return properties;
+        }, {}))),
+      },
+      errors,
+    };
+  }
+
+  if (options.output !== 'csv') {
+    throw new Error('Not a valid output: ' + options.output);
+  }
+
+  const target = targetOf(source, options);
+  const formatted = rows.slice(1).map((row, i) => {
+    const value = results[i] !== undefined
+      ? formattedOf(results[i], options, (message) => {
+        errors.push({ row: i + 1, column: target, value: results[i], message });
+      })
+      : undefined;
+    return row.concat(value !== undefined ? value : '');
+  });
+  errors.sort((a, b) => a.row - b.row);
+  return {
+    result: formatDelimited([header.concat(target)].concat(formatted), delimiter, lineBreak),
+    errors,
+  };
+}
+
+/**
+ * Converts the coordinates of a GeoJSON FeatureCollection. The coordinates are read either from
+ * a single `property` containing both values, from a pair of `latProperty` and `lonProperty` or,
+ * if no property is given, from the Point geometries of the features. Property values are parsed
+ * like the columns of `convertCSV` and written as Point geometries.
+ *
+ * Each feature gets a property with the coordinate formatted through `toDMS`. The `format` and
+ * `formatOptions` are passed to `toDMS` and the name of the property defaults to the source
+ * property with the format as suffix, e.g. `position_dmm`.
+ *
+ * The features are copied, the passed collection is not modified. Values which can not be
+ * parsed, including missing source values, do not stop the conversion, the geometry and the
+ * properties of the feature are kept and an entry with the 0-based `index` of the feature, the
+ * `property`, the `value`, the `code` and the `message` of the error is added to the `errors`
+ * report. Features without source property and without Point geometry are kept unchanged.
+ * Coordinates which can not be formatted get no formatted property and are reported with the
+ * new property as `property`, the [lon, lat] coordinate as `value` and the `message` of the
+ * error.
+ *
+ * @param {{ type: string, features: Array<{}> }} featureCollection
+ * @param {{ property: string=, latProperty: string=, lonProperty: string=, format: string=, formatOptions: {}=, target: string=, formats: string[]=, locale: string= }} optOptions
+ * `formats` are the accepted formats (dms, dmm and dd by default), `locale` is the locale of the
+ * values, e.g. 'de'
+ * @returns {{ result: {}, errors: Array<{ index: number, property: string, value: string|[number, number], code: string=, message: string }> }}
+ * @throws
+ */
+export function convertGeoJSON(featureCollection, optOptions) {
+  if (featureCollection === null || typeof featureCollection !== 'object'
+    || featureCollection.type !== 'FeatureCollection' || !Array.isArray(featureCollection.features)) {
+    throw new Error('Not a valid FeatureCollection');
+  }
+
+  const options = conversionOptions(optOptions);
+  const source = sourceOf({ source: options.property, lat: options.latProperty, lon: options.lonProperty });
+  const target = targetOf(source !== undefined ? source : {}, options);
+  const errors = [];
+
+  const features = featureCollection.features.map((feature, i) => {
+    const properties = Object.assign({}, feature.properties);
+    let geometry = feature.geometry;
+    let coordinate;
+
+    if (source !== undefined) {
+      const result = coordinateOf((property) => properties[property], source, options);
+      result.errors.forEach((error) => {
+        errors.push({ index: i, property: error.field, value: error.value, code: error.code, message: error.message });
+      });
+      coordinate = result.coordinate;
+      geometry = coordinate !== undefined ? { type: 'Point', coordinates: coordinate } : geometry;
+    } else if (geometry !== null && geometry !== undefined && geometry.type === 'Point') {
+      coordinate = geometry.coordinates.slice(0, 2);
+    }
+
+    const formatted = coordinate !== undefined
+      ? formattedOf(coordinate, options, (message) => {
+        errors.push({ index: i, property: target, value: coordinate, message });
+      })
+      : undefined;
+    if (formatted !== undefined) {
+      properties[target] = formatted;
+    }
+
+    return Object.assign({}, feature, { geometry, properties });
+  });
+
+  return {
+    result: Object.assign({}, featureCollection, { features }),
+    errors,
+  };
+}
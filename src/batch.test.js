@@ -0,0 +1,157 @@
+import { convertCSV, convertGeoJSON } from './batch';
+
+describe('convertCSV', () => {
+  const csv = [
+    'name,position,depth',
+    'buoy,"59°12\'7.7""N 02°15\'39.6""W",12',
+    'wreck,"41 24.2028, 2 10.4418",30',
+    'unknown,abc,5',
+  ].join('\n');
+
+  it('appends a column with the formatted coordinates', () => {
+    const { result, errors } = convertCSV(csv, { column: 'position', format: 'dmm' });
+    expect(result.split('\n')).toEqual([
+      'name,position,depth,position_dmm',
+      'buoy,59°12\'7.7"N 02°15\'39.6"W,12,59° 12.12833′ N 2° 15.66000′ W',
+      'wreck,"41 24.2028, 2 10.4418",30,41° 24.20280′ N 2° 10.44180′ E',
+      'unknown,abc,5,',
+    ]);
+    expect(errors).toEqual([
+      { row: 3, column: 'position', value: 'abc', code: 'INVALID_SYNTAX', message: 'Could not parse string' },
+    ]);
+  });
+
+  it('reads separate latitude and longitude columns of TSV text', () => {
+    const tsv = 'id\tlat\tlon\r\n1\t59°12\'7.7"N\t-2.261\r\n2\t95\t2\r\n';
+    const { result, errors } = convertCSV(tsv, {
+      latColumn: 'lat',
+      lonColumn: 'lon',
+      format: 'dd',
+      formatOptions: { decimalPlaces: 3 },
+    });
+    expect(result).toBe('id\tlat\tlon\tcoordinate_dd\r\n1\t59°12\'7.7"N\t-2.261\t59.202° N 2.261° W\r\n2\t95\t2\t');
+    expect(errors).toEqual([
+      { row: 2, column: 'lat', value: '95', code: 'LATITUDE_OUT_OF_RANGE', message: 'Latitude out of range' },
+    ]);
+  });
+
+  it('reads separate latitude and longitude columns with dmm values', () => {
+    const { result, errors } = convertCSV('lat,lon\n41 24.2028,-2 10.4418\n41 75,2', {
+      latColumn: 'lat',
+      lonColumn: 'lon',
+      format: 'dd',
+      formatOptions: { decimalPlaces: 5 },
+    });
+    expect(result).toBe('lat,lon,coordinate_dd\n41 24.2028,-2 10.4418,41.40338° N 2.17403° W\n41 75,2,');
+    expect(errors).toEqual([
+      { row: 2, column: 'lat', value: '41 75', code: 'MINUTES_OUT_OF_RANGE', message: 'Minutes out of range' },
+    ]);
+  });
+
+  it('returns GeoJSON Point features', () => {
+    const { result, errors } = convertCSV(csv, { column: 'position', output: 'geojson' });
+    expect(result.type).toBe('FeatureCollection');
+    expect(result.features.length).toBe(3);
+    expect(result.features[0].geometry).toEqual({
+      type: 'Point',
+      coordinates: [-1 * (2 + 15 / 60 + 39.6 / 3600), 59 + 12 / 60 + 7.7 / 3600],
+    });
+    expect(result.features[1].properties).toEqual({ name: 'wreck', position: '41 24.2028, 2 10.4418', depth: '30' });
+    expect(result.features[2].geometry).toBeNull();
+    expect(errors.length).toBe(1);
+  });
+
+  it('supports the target, delimiter and locale options', () => {
+    const { result } = convertCSV('pos\tx\n41 24,2028; 2 10,4418\t1', {
+      column: 'pos',
+      format: 'dd',
+      target: 'dd',
+      locale: 'de',
+      formatOptions: { decimalPlaces: 2 },
+    });
+    expect(result).toBe('pos\tx\tdd\n41 24,2028; 2 10,4418\t1\t41.40° N 2.17° E');
+    expect(convertCSV('a|b\n41.5 2.5|x', { column: 'a', delimiter: '|', format: 'dd' }).errors).toEqual([]);
+  });
+
+  it('reports rows which can not be formatted', () => {
+    const { result, errors } = convertCSV('id,position\n1,85 2\n2,abc\n3,41.5 2.5', { column: 'position', format: 'utm' });
+    expect(result.split('\n')).toEqual([
+      'id,position,position_utm',
+      '1,85 2,',
+      '2,abc,',
+      '3,41.5 2.5,31N 458269 4594385',
+    ]);
+    expect(errors).toEqual([
+      { row: 1, column: 'position_utm', value: [2, 85], message: 'Latitude outside of the UTM limits' },
+      { row: 2, column: 'position', value: 'abc', code: 'INVALID_SYNTAX', message: 'Could not parse string' },
+    ]);
+  });
+
+  it('throws for invalid options', () => {
+    expect(() => convertCSV(csv, {})).toThrow('Either a column or a lat and lon column is required');
+    expect(() => convertCSV(csv, { column: 'pos' })).toThrow('Unknown column: pos');
+    expect(() => convertCSV(csv, { column: 'position', format: 'DD X' })).toThrow('A target is required for custom formats');
+    expect(() => convertCSV(csv, { column: 'position', output: 'xml' })).toThrow('Not a valid output: xml');
+    expect(() => convertCSV(csv, { column: 'position', formatOptions: { locale: 'xx' } })).toThrow('Not a supported locale');
+  });
+});
+
+describe('convertGeoJSON', () => {
+  const featureCollection = {
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', geometry: null, properties: { position: '59°12\'7.7"N 02°15\'39.6"W' } },
+      { type: 'Feature', geometry: null, properties: { position: '95°N 2°W' } },
+      { type: 'Feature', geometry: { type: 'Point', coordinates: [2.5, 41.5] }, properties: {} },
+    ],
+  };
+
+  it('converts a property to Point geometries and a formatted property', () => {
+    const { result, errors } = convertGeoJSON(featureCollection, { property: 'position', format: 'dmm' });
+    expect(result.features[0].geometry.type).toBe('Point');
+    expect(result.features[0].geometry.coordinates[1]).toBeCloseTo(59 + 12 / 60 + 7.7 / 3600, 10);
+    expect(result.features[0].properties.position_dmm).toBe('59° 12.12833′ N 2° 15.66000′ W');
+    expect(result.features[1].geometry).toBeNull();
+    expect(result.features[2]).toEqual(featureCollection.features[2]);
+    expect(errors).toEqual([{
+      index: 1,
+      property: 'position',
+      value: '95°N 2°W',
+      code: 'LATITUDE_OUT_OF_RANGE',
+      message: 'Latitude out of range',
+    }, {
+      index: 2,
+      property: 'position',
+      value: undefined,
+      code: 'INVALID_SYNTAX',
+      message: 'Could not parse string',
+    }]);
+    expect(featureCollection.features[0].geometry).toBeNull();
+  });
+
+  it('formats the Point geometries without source property', () => {
+    const { result, errors } = convertGeoJSON(featureCollection, { format: 'dd', formatOptions: { decimalPlaces: 1 } });
+    expect(result.features[2].properties).toEqual({ coordinate_dd: '41.5° N 2.5° E' });
+    expect(result.features[0].properties.coordinate_dd).toBeUndefined();
+    expect(errors).toEqual([]);
+  });
+
+  it('reports features which can not be formatted', () => {
+    const { result, errors } = convertGeoJSON({
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', geometry: { type: 'Point', coordinates: [2, 85] }, properties: {} },
+        { type: 'Feature', geometry: { type: 'Point', coordinates: [2.5, 41.5] }, properties: {} },
+      ],
+    }, { format: 'mgrs' });
+    expect(result.features[0].properties).toEqual({});
+    expect(result.features[1].properties.coordinate_mgrs).toBeDefined();
+    expect(errors).toEqual([
+      { index: 0, property: 'coordinate_mgrs', value: [2, 85], message: 'Latitude outside of the UTM limits' },
+    ]);
+  });
+
+  it('throws for invalid feature collections', () => {
+    expect(() => convertGeoJSON({ type: 'Feature' })).toThrow('Not a valid FeatureCollection');
+  });
+});
@@ -0,0 +1,271 @@
+import { detectFormat, parse, toDMS } from './dmsformat';
+import { DmsParseError } from './errors';
+
+/**
+ * Exit codes of the command line interface.
+ * @type {{SUCCESS: number, PARSE_ERROR: number, USAGE_ERROR: number}}
+ */
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  PARSE_ERROR: 1,
+  USAGE_ERROR: 2,
+};
+
+/**
+ * Output types of the command line interface.
+ * @type {string[]}
+ */
+const OUTPUTS = ['text', 'json', 'geojson'];
+
+/**
+ * Usage of the command line interface.
+ * @type {string}
+ */
+const USAGE = [
+  'Usage: dmsformat [options] [value ...]',
+  '',
+  'Parses coordinates of any supported format and writes them in the given format. The values are',
+  'read from the arguments or, if no value is given, line by line from stdin.',
+  '',
+  'Options:',
+  '  -f, --format <format>         format string or preset of toDMS, e.g. dmm or \'DD mm X\' (default: dms)',
+  '  -d, --decimal-places <number> decimal places of the last value of the format',
+  '  -s, --separator <separator>   separator between latitude and longitude',
+  '  -o, --output <type>           text, json or geojson (default: text)',
+  '      --detect                  writes the detected format instead of converting the values',
+  '  -h, --help                    writes this help',
+  '',
+  'Exit codes: 0 if all values are parsed, 1 if a value can not be parsed, 2 for invalid options.',
+  '',
+].join('\n');
+
+/**
+ * Options with a value.
+ * @type {string[]}
+ */
+const VALUE_OPTIONS = ['format', 'decimal-places', 'separator', 'output'];
+
+/**
+ * Short aliases of the options.
+ * @type {{}}
+ */
+const SHORT_OPTIONS = {
+  f: 'format',
+  d: 'decimal-places',
+  s: 'separator',
+  o: 'output',
+  h: 'help',
+};
+
+/**
+ * Parses the command line arguments into options and values. Options with a value are accepted
+ * as `--format dmm`, `--format=dmm` and `-f dmm`. Arguments after `--` are always values.
+ * @param {string[]} args
+ * @returns {{ format: string, decimalPlaces: number|undefined, separator: string|undefined, output: string, detect: boolean, help: boolean, values: string[] }}
+ * @throws
+ */
+function argsFor(args) {
+  const result = {
+    format: 'dms',
+    decimalPlaces: undefined,
+    separator: undefined,
+    output: 'text',
+    detect: false,
+    help: false,
+    values: [],
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    // negative decimal degrees like `-2.261` do not match and are values
+    const m = args[i].match(/^--([a-z-]+)(?:=(.*))?$|^-([a-z])$/);
+    const name = m === null ? undefined : m[1] !== undefined ? m[1] : SHORT_OPTIONS[m[3]];
+
+    if (args[i] === '--') {
+      result.values = result.values.concat(args.slice(i + 1));
+      break;
+    } else if (m === null) {
+      result.values.push(args[i]);
+    } else if (name === 'help' || name === 'detect') {
+      result[name] = true;
+    } else if (VALUE_OPTIONS.indexOf(name) !== -1) {
+      const value = m[2] !== undefined ? m[2] : args[++i];
+      if (value === undefined) {
+        throw new Error('Missing value of option --' + name);
+      }
+      result[name.replace(/-([a-z])/g, (match, c) => c.toUpperCase())] = value;
+    } else {
+      throw new Error('Unknown option ' + args[i]);
+    }
+  }
+
+  if (result.decimalPlaces !== undefined) {
+    if (!/^\d+$/.test(result.decimalPlaces)) {
+      throw new Error('Not a valid number of decimal places: ' + result.decimalPlaces);
+    }
+    result.decimalPlaces = Number(result.decimalPlaces);
+  }
+
+  if (OUTPUTS.indexOf(result.output) === -1) {
+    throw new Error('Not a valid output: ' + result.output);
+  }
+
+  return result;
+}
+
+/**
+ * Converts a single value. Returns the parsed `coordinate`, the detected `format` and the
+ * `formatted` coordinate or the `error` of the value. Parse errors contain the `code` and
+ * the `start` and `end` offsets of the DmsParseError.
+ * @param {string} value
+ * @param {{ format: string, decimalPlaces: number|undefined, separator: string|undefined }} options
+ * @returns {{ input: string, coordinate: [number, number]=, format: string=, formatted: string=, error: {}= }}
+ * @throws
+ */
+function convert(value, options) {
+  const formatOptions = { preset: true };
+  if (options.decimalPlaces !== undefined) {
+    formatOptions.decimalPlaces = options.decimalPlaces;
+  }
+  if (options.separator !== undefined) {
+    formatOptions.latLonSeparator = options.separator;
+  }
+
+  let parsed;
+  try {
+    parsed = parse(value);
+  } catch (e) {
+    if (!(e instanceof DmsParseError)) {
+      throw e;
+    }
+    return {
+      input: value,
+      error: { code: e.code, message: e.message, start: e.start, end: e.end },
+    };
+  }
+
+  // formatting fails for coordinates outside of the format, e.g. the UTM limits
+  try {
+    return {
+      input: value,
+      coordinate: parsed.coordinate,
+      format: parsed.format,
+      formatted: toDMS(parsed.coordinate, options.format, formatOptions),
+    };
+  } catch (e) {
+    return {
+      input: value,
+      error: { message: e.message },
+    };
+  }
+}
+
+/**
+ * Calls the callback for each non-empty line of a readable stream. Resolves after the last line.
+ * @param {{ on: function(string, function) }} stream
+ * @param {function(string)} lineFn
+ * @returns {Promise}
+ */
+function forEachLine(stream, lineFn) {
+  return new Promise((resolve, reject) => {
+    let rest = '';
+
+    function emit(lines) {
+      lines.map((line) => line.trim())
+        .filter((line) => line !== '')
+        .forEach(lineFn);
+    }
+
+    stream.on('data', (chunk) => {
+      const lines = (rest + chunk).split(/\r?\n/);
+      rest = lines.pop();
+      try {
+        emit(lines);
+      } catch (e) {
+        reject(e);
+      }
+    });
+    stream.on('error', reject);
+    stream.on('end', () => {
+      try {
+        emit([rest]);
+        resolve();
+      } catch (e) {
+        reject(e);
+      }
+    });
+  });
+}
+
+/**
+ * Runs the command line interface. The values are read from the arguments or, if no value is
+ * given, line by line from `io.stdin`. The text output writes one formatted coordinate per line,
+ * the json output one JSON object per line and the geojson output a FeatureCollection of all
+ * parsed coordinates. Values which can not be parsed are reported on `io.stderr`, with the json
+ * output they are also written as object with an `error`. Resolves the exit code, see
+ * `EXIT_CODES`.
+ * @param {string[]} args command line arguments without the node and script path
+ * @param {{ stdin: {}, stdout: { write: function(string) }, stderr: { write: function(string) } }} io
+ * @returns {Promise<number>}
+ */
+export function run(args, io) {
+  let options;
+
+  try {
+    options = argsFor(args);
+  } catch (e) {
+    io.stderr.write('dmsformat: ' + e.message + '\n\n' + USAGE);
+    return Promise.resolve(EXIT_CODES.USAGE_ERROR);
+  }
+
+  if (options.help) {
+    io.stdout.write(USAGE);
+    return Promise.resolve(EXIT_CODES.SUCCESS);
+  }
+
+  const features = [];
+  let exitCode = EXIT_CODES.SUCCESS;
+
+  function lineFn(value) {
+    if (options.detect) {
+      const format = detectFormat(value);
+      exitCode = format === undefined ? EXIT_CODES.PARSE_ERROR : exitCode;
+      io.stdout.write(options.output === 'text'
+        ? (format !== undefined ? format : 'unknown') + '\n'
+        : JSON.stringify({ input: value, format }) + '\n');
+      return;
+    }
+
+    const result = convert(value, options);
+    if (result.error !== undefined) {
+      exitCode = EXIT_CODES.PARSE_ERROR;
+      io.stderr.write('dmsformat: ' + result.error.message
+        + (result.error.code !== undefined ? ' (' + result.error.code + ')' : '') + ': ' + value + '\n');
+    }
+
+    if (options.output === 'json') {
+      io.stdout.write(JSON.stringify(result) + '\n');
+    } else if (options.output === 'geojson' && result.error === undefined) {
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: result.coordinate },
+        properties: { input: value, format: result.format, formatted: result.formatted },
+      });
+    } else if (options.output === 'text' && result.error === undefined) {
+      io.stdout.write(result.formatted + '\n');
+    }
+  }
+
+  const done = options.values.length > 0
+    ? new Promise((resolve) => {
+      options.values.forEach(lineFn);
+      resolve();
+    })
+    : forEachLine(io.stdin, lineFn);
+
+  return done.then(() => {
+    if (options.output === 'geojson' && !options.detect) {
+      io.stdout.write(JSON.stringify({ type: 'FeatureCollection', features }) + '\n');
+    }
+    return exitCode;
+  });
+}
@@ -0,0 +1,110 @@
+import { PassThrough } from 'stream';
+import { EXIT_CODES, run } from './cli';
+
+describe('run', () => {
+  function ioFor(optLines) {
+    const io = {
+      stdin: new PassThrough(),
+      stdout: { text: '', write: (s) => { io.stdout.text += s; } },
+      stderr: { text: '', write: (s) => { io.stderr.text += s; } },
+    };
+    if (optLines !== undefined) {
+      io.stdin.end(optLines);
+    }
+    return io;
+  }
+
+  it('converts the values of the arguments', () => {
+    const io = ioFor();
+    return run(['--format', 'dmm', '-d', '2', '59°12\'7.7"N 02°15\'39.6"W', '41.5, -2.5'], io).then((exitCode) => {
+      expect(exitCode).toBe(EXIT_CODES.SUCCESS);
+      expect(io.stdout.text).toBe('59° 12.13′ N 2° 15.66′ W\n41° 30.00′ N 2° 30.00′ W\n');
+      expect(io.stderr.text).toBe('');
+    });
+  });
+
+  it('converts the lines of stdin', () => {
+    const io = ioFor('41 24.2028, 2 10.4418\r\n\n  59.2 -2.261  \n');
+    return run(['--format=dd', '--separator=, ', '--decimal-places=3'], io).then((exitCode) => {
+      expect(exitCode).toBe(EXIT_CODES.SUCCESS);
+      expect(io.stdout.text).toBe('41.403° N, 2.174° E\n59.200° N, 2.261° W\n');
+    });
+  });
+
+  it('reports values which can not be parsed', () => {
+    const io = ioFor('abc\n41.5, 2.5\n');
+    return run(['-f', 'dd', '-d', '1'], io).then((exitCode) => {
+      expect(exitCode).toBe(EXIT_CODES.PARSE_ERROR);
+      expect(io.stdout.text).toBe('41.5° N 2.5° E\n');
+      expect(io.stderr.text).toBe('dmsformat: Could not parse string (INVALID_SYNTAX): abc\n');
+    });
+  });
+
+  it('writes json and geojson output', () => {
+    const json = ioFor();
+    const geojson = ioFor();
+    return Promise.all([
+      run(['-o', 'json', '-f', 'dd', '-d', '1', '41.5, 2.5', '95°N 2°W'], json),
+      run(['-o', 'geojson', '-f', 'dd', '-d', '1', '41.5, 2.5'], geojson),
+    ]).then((exitCodes) => {
+      expect(exitCodes).toEqual([EXIT_CODES.PARSE_ERROR, EXIT_CODES.SUCCESS]);
+      expect(json.stdout.text.split('\n').filter((line) => line !== '').map((line) => JSON.parse(line))).toEqual([
+        { input: '41.5, 2.5', coordinate: [2.5, 41.5], format: 'dd', formatted: '41.5° N 2.5° E' },
+        {
+          input: '95°N 2°W',
+          error: { code: 'LATITUDE_OUT_OF_RANGE', message: 'Latitude out of range', start: 0, end: 4 },
+        },
+      ]);
+      expect(JSON.parse(geojson.stdout.text)).toEqual({
+        type: 'FeatureCollection',
+        features: [{
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [2.5, 41.5] },
+          properties: { input: '41.5, 2.5', format: 'dd', formatted: '41.5° N 2.5° E' },
+        }],
+      });
+    });
+  });
+
+  it('writes the detected formats', () => {
+    const io = ioFor('59°12\'7.7"N 02°15\'39.6"W\n31N 448251 5411932\nabc\n');
+    return run(['--detect'], io).then((exitCode) => {
+      expect(exitCode).toBe(EXIT_CODES.PARSE_ERROR);
+      expect(io.stdout.text).toBe('dms\nutm\nunknown\n');
+    });
+  });
+
+  it('treats negative decimal degrees and arguments after -- as values', () => {
+    const io = ioFor();
+    return run(['-f', 'dd', '-d', '1', '-41.5 -2.5', '--', '-d', '-41.5, -2.5'], io).then((exitCode) => {
+      expect(exitCode).toBe(EXIT_CODES.PARSE_ERROR);
+      expect(io.stdout.text).toBe('41.5° S 2.5° W\n41.5° S 2.5° W\n');
+      expect(io.stderr.text).toBe('dmsformat: Could not parse string (INVALID_SYNTAX): -d\n');
+    });
+  });
+
+  it('exits with a usage error for invalid options', () => {
+    const testData = [
+      ['--unknown'],
+      ['-o', 'xml'],
+      ['-d', 'two'],
+      ['--format'],
+    ];
+
+    return Promise.all(testData.map((args) => {
+      const io = ioFor();
+      return run(args, io).then((exitCode) => {
+        expect(exitCode).toBe(EXIT_CODES.USAGE_ERROR);
+        expect(io.stderr.text).toMatch(/^dmsformat: .+\n\nUsage: dmsformat/);
+      });
+    }));
+  });
+
+  it('writes the help', () => {
+    const io = ioFor();
+    return run(['-h'], io).then((exitCode) => {
+      expect(exitCode).toBe(EXIT_CODES.SUCCESS);
+      expect(io.stdout.text).toMatch(/^Usage: dmsformat/);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+import { isNumber, toDegrees, toRadians } from './format';
+
+/**
+ * Reference ellipsoids of the supported datums with semi-major axis `a` and flattening `f`.
+ * @type {{}}
+ */
+const ELLIPSOIDS = {
+  WGS84: { a: 6378137, f: 1 / 298.257223563 },
+  Intl1924: { a: 6378388, f: 1 / 297 },
+  Clarke1866: { a: 6378206.4, f: 1 / 294.978698214 },
+  Airy1830: { a: 6377563.396, f: 1 / 299.3249646 },
+  AiryModified: { a: 6377340.189, f: 1 / 299.3249646 },
+  Bessel1841: { a: 6377397.155, f: 1 / 299.1528128 },
+};
+
+/**
+ * Supported datums with their ellipsoid and the Helmert parameters of the transformation to
+ * WGS84: translations `tx`, `ty`, `tz` in meters, rotations `rx`, `ry`, `rz` in arc seconds
+ * (position vector convention) and the scale `s` in ppm. The parameters are averages over the
+ * area of the datum and accurate to a few meters.
+ * @type {{}}
+ */
+export const DATUMS = {
+  WGS84: {
+    ellipsoid: ELLIPSOIDS.WGS84,
+    toWGS84: { tx: 0, ty: 0, tz: 0, rx: 0, ry: 0, rz: 0, s: 0 },
+  },
+  ED50: {
+    ellipsoid: ELLIPSOIDS.Intl1924,
+    toWGS84: { tx: -89.5, ty: -93.8, tz: -123.1, rx: 0, ry: 0, rz: -0.156, s: 1.2 },
+  },
+  NAD27: {
+    ellipsoid: ELLIPSOIDS.Clarke1866,
+    toWGS84: { tx: -8, ty: 160, tz: 176, rx: 0, ry: 0, rz: 0, s: 0 },
+  },
+  OSGB36: {
+    ellipsoid: ELLIPSOIDS.Airy1830,
+    toWGS84: { tx: 446.448, ty: -125.157, tz: 542.06, rx: 0.1502, ry: 0.247, rz: 0.8421, s: -20.4894 },
+  },
+  Potsdam: {
+    ellipsoid: ELLIPSOIDS.Bessel1841,
+    // EPSG:1777, published in the coordinate frame convention with the opposite rotation signs
+    toWGS84: { tx: 582, ty: 105, tz: 414, rx: 1.04, ry: 0.35, rz: -3.08, s: 8.3 },
+  },
+  TM75: {
+    ellipsoid: ELLIPSOIDS.AiryModified,
+    toWGS84: { tx: 482.53, ty: -130.596, tz: 564.557, rx: -1.042, ry: -0.214, rz: -0.631, s: 8.15 },
+  },
+};
+
+/**
+ * Returns the definition of a datum.
+ * @param {string} name see `DATUMS`
+ * @returns {{ ellipsoid: { a: number, f: number }, toWGS84: {} }}
+ * @throws
+ */
+function datumFor(name) {
+  if (!DATUMS.hasOwnProperty(name)) {
+    throw new Error('Unknown datum: ' + name);
+  }
+  return DATUMS[name];
+}
+
+/**
+ * Converts a geodetic coordinate on the surface of an ellipsoid to geocentric cartesian
+ * coordinates.
+ * @param {[number, number]} coordinate [lon, lat]
+ * @param {{ a: number, f: number }} ellipsoid
+ * @returns {[number, number, number]} [x, y, z] in meters
+ */
+function cartesianOf(coordinate, ellipsoid) {
+  const lon = toRadians(coordinate[0]);
+  const lat = toRadians(coordinate[1]);
+  const e2 = ellipsoid.f * (2 - ellipsoid.f);
+  const nu = ellipsoid.a / Math.sqrt(1 - e2 * Math.sin(lat) * Math.sin(lat));
+
+  return [
+    nu * Math.cos(lat) * Math.cos(lon),
+    nu * Math.cos(lat) * Math.sin(lon),
+    nu * (1 - e2) * Math.sin(lat),
+  ];
+}
+
+/**
+ * Converts geocentric cartesian coordinates to a geodetic coordinate of an ellipsoid, see
+ * Bowring, "The accuracy of geodetic latitude and height equations" (1985). The height is
+ * dropped.
+ * @param {[number, number, number]} point [x, y, z] in meters
+ * @param {{ a: number, f: number }} ellipsoid
+ * @returns {[number, number]} [lon, lat]
+ */
+function geodeticOf(point, ellipsoid) {
+  const [x, y, z] = point;
+  const { a, f } = ellipsoid;
+  const b = a * (1 - f);
+  const e2 = f * (2 - f);
+  const eP2 = e2 / (1 - e2);
+  const p = Math.sqrt(x * x + y * y);
+  const r = Math.sqrt(p * p + z * z);
+
+  // parametric latitude
+  const beta = Math.atan2(b * z * (1 + eP2 * b / r), a * p);
+  const sinBeta = Math.sin(beta);
+  const cosBeta = Math.cos(beta);
+  const lat = Math.atan2(z + eP2 * b * sinBeta * sinBeta * sinBeta, p - e2 * a * cosBeta * cosBeta * cosBeta);
+
+  return [toDegrees(Math.atan2(y, x)), toDegrees(lat)];
+}
+
+/**
+ * Applies a Helmert transformation to geocentric cartesian coordinates. The inverse
+ * transformation negates all parameters, which is accurate to a few millimeters for the small
+ * rotations and scales of the supported datums.
+ * @param {[number, number, number]} point [x, y, z] in meters
+ * @param {{ tx: number, ty: number, tz: number, rx: number, ry: number, rz: number, s: number }} params
+ * @param {number} direction 1 for the transformation to WGS84 and -1 for the inverse
+ * @returns {[number, number, number]}
+ */
+function helmert(point, params, direction) {
+  const [x, y, z] = point;
+  const arcSeconds = Math.PI / (180 * 3600);
+  const tx = direction * params.tx;
+  const ty = direction * params.ty;
+  const tz = direction * params.tz;
+  const rx = direction * params.rx * arcSeconds;
+  const ry = direction * params.ry * arcSeconds;
+  const rz = direction * params.rz * arcSeconds;
+  const s = 1 + direction * params.s / 1e6;
+
+  return [
+    tx + x * s - y * rz + z * ry,
+    ty + x * rz + y * s - z * rx,
+    tz - x * ry + y * rx + z * s,
+  ];
+}
+
+/**
+ * Transforms a coordinate from one datum to another, e.g. a position read from an old chart in
+ * ED50 to WGS84. The coordinate is converted to geocentric cartesian coordinates, moved through
+ * WGS84 with the Helmert parameters of `DATUMS` and converted back to the ellipsoid of the target
+ * datum. Heights are not transformed, the coordinate is assumed to be on the ellipsoid and an
+ * altitude is passed through unchanged.
+ *
+ * [13.37770, 52.51628] (Potsdam) => [13.37597, 52.51488] (WGS84)
+ *
+ * @param {[number, number]|[number, number, number]} coordinate [lon, lat] or [lon, lat, alt]
+ * @param {string} from name of the datum of the coordinate, see `DATUMS`
+ * @param {string} to name of the target datum, see `DATUMS`
+ * @returns {[number, number]|[number, number, number]} [lon, lat] or [lon, lat, alt]
+ * @throws
+ */
+export function transformDatum(coordinate, from, to) {
+  const source = datumFor(from);
+  const target = datumFor(to);
+
+  if (from === to) {
+    return coordinate;
+  }
+
+  if ((coordinate.length !== 2 && coordinate.length !== 3)
+    || !isNumber(coordinate[0]) || !isNumber(coordinate[1])) {
+    throw new Error('Not a valid coordinate');
+  }
+
+  const wgs84 = helmert(cartesianOf(coordinate, source.ellipsoid), source.toWGS84, 1);
+  const result = geodeticOf(helmert(wgs84, target.toWGS84, -1), target.ellipsoid);
+  return coordinate.length === 3 ? result.concat(coordinate[2]) : result;
+}
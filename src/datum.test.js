@@ -0,0 +1,43 @@
+import { DATUMS, transformDatum } from './datum';
+
+describe('transformDatum', () => {
+  it('transforms coordinates between datums', () => {
+    const testData = [
+      // Greenwich meridian on the Royal Observatory
+      [[-0.0016, 51.4778], 'WGS84', 'OSGB36', [0, 51.4773]],
+      [[13.3777, 52.51628], 'Potsdam', 'WGS84', [13.37597, 52.51488]],
+      [[2.2945, 48.8583], 'WGS84', 'ED50', [2.29577, 48.85921]],
+      [[-77.0365, 38.8977], 'NAD27', 'WGS84', [-77.03618, 38.89773]],
+    ];
+
+    testData.forEach(([coordinate, from, to, expected]) => {
+      const subject = transformDatum(coordinate, from, to);
+      expect(subject[0]).toBeCloseTo(expected[0], 4);
+      expect(subject[1]).toBeCloseTo(expected[1], 4);
+    });
+  });
+
+  it('returns the coordinate of the same datum unchanged', () => {
+    expect(transformDatum([2.5, 41.2], 'ED50', 'ED50')).toEqual([2.5, 41.2]);
+    expect(transformDatum([2.5, 41.2, 120], 'WGS84', 'WGS84')).toEqual([2.5, 41.2, 120]);
+  });
+
+  it('passes the altitude through', () => {
+    const subject = transformDatum([2.5, 41.2, 120], 'ED50', 'WGS84');
+    expect(subject.slice(0, 2)).toEqual(transformDatum([2.5, 41.2], 'ED50', 'WGS84'));
+    expect(subject[2]).toBe(120);
+  });
+
+  it('transforms back and forth without loss', () => {
+    Object.keys(DATUMS).forEach((datum) => {
+      const subject = transformDatum(transformDatum([-1.5, 53], datum, 'WGS84'), 'WGS84', datum);
+      expect(subject[0]).toBeCloseTo(-1.5, 6);
+      expect(subject[1]).toBeCloseTo(53, 6);
+    });
+  });
+
+  it('throws for unknown datums and invalid coordinates', () => {
+    expect(() => transformDatum([2.5, 41.2], 'ED79', 'WGS84')).toThrow('Unknown datum: ED79');
+    expect(() => transformDatum([NaN, 41.2], 'ED50', 'WGS84')).toThrow('Not a valid coordinate');
+  });
+});
@@ -1,11 +1,10 @@
-/**
- * @type {{degrees: string, minutes: string, seconds: string}}
- */
-const UNITS = {
-  degrees: '°',
-  minutes: '′',
-  seconds: '″',
-};
+import { transformDatum } from './datum';
+import { DmsParseError, ERROR_CODES } from './errors';
+import {
+  AXES, decimalPlacesFor, formatFor, formatOptions, inRange, isNumber, tokenizeFormat
+} from './format';
+import { delocalize, localeFor } from './locales';
+import { PRESETS } from './presets';
 
 /**
  * @type {{PARSE_STRING: string}}
@@ -29,161 +28,501 @@ const SIGN_INDEX = {
  * See https://regex101.com/r/kS2zR1/3
  * @type {RegExp}
  */
-const DMS_REGREX = /([NSEW])?(-)?(\d+(?:\.\d+)?)[°º:d\s]?\s?(?:(\d+(?:\.\d+)?)['’‘′:]\s?(?:(\d{1,2}(?:\.\d+)?)(?:"|″|’’|'')?)?)?\s?([NSEW])?/i;
+export const DMS_REGREX = /([NSEW])?\s?(-)?(\d+(?:\.\d+)?)[°º:d\s]?\s?(?:(\d+(?:\.\d+)?)['’‘′:]\s?(?:(\d{1,2}(?:\.\d+)?)(?:"|″|’’|'')?)?)?\s?([NSEW])?/i;
 
 /**
  * RegEx for checking if a given string contain any special characters which allows
  * exclude it to have a DMM or DD syntax.
  * @type {RegExp}
  */
-const DOES_CONTAIN_SPECIAL_CHARS = /[NSEW°'’‘′:"″]/g;
+const DOES_CONTAIN_SPECIAL_CHARS = /[NSEW°'’‘′:"″]/;
 
 /**
- * Check if the given value is within the allowed range
- * @param {number} value
- * @param {number} a
- * @param {number} b
- * @returns {boolean}
+ * RegEx for checking if a given string contains hemisphere letters, which determine
+ * the order of the lat / lon values independent of their position.
+ * @type {RegExp}
+ */
+const DOES_CONTAIN_HEMISPHERE = /[NSEW]/i;
+
+/**
+ * RegEx matching a single signed decimal number as used within DMM and DD strings.
+ * @type {RegExp}
+ */
+const NUMBER_REGEX = /^-?\d+(?:\.\d*)?$/;
+
+/**
+ * RegEx matching a single dmm value of bare degrees and decimal minutes, e.g. `-2 10.4418`.
+ * @type {RegExp}
+ */
+const DMM_ANGLE_REGEX = /^\s*-?\d+\s+\d+(?:\.\d*)?\s*$/;
+
+/**
+ * RegEx matching two whitespace separated decimal degrees, e.g. `51.0504 13.7373`, which is
+ * written as `51,0504 13,7373` in locales with a decimal comma.
+ * @type {RegExp}
+ */
+const DD_PAIR_REGEX = /^(\s*-?\d+\.\d+)\s+-?\d+\.\d+\s*$/;
+
+/**
+ * Names of the formats which are detected by `parse`. Formats added through `registerFormat` are
+ * appended.
+ * @type {{DMS: string, DMM: string, DD: string, ICAO: string, NMEA: string, ISO6709: string, UTM: string, MGRS: string, GEOHASH: string, PLUSCODE: string, MAIDENHEAD: string, OSGB: string, IRISH: string}}
  */
-function inRange(value, a, b) {
-  return value >= a && value <= b;
+export const FORMATS = {
+  DMS: 'dms',
+  DMM: 'dmm',
+  DD: 'dd',
+  ICAO: 'icao',
+  NMEA: 'nmea',
+  ISO6709: 'iso6709',
+  UTM: 'utm',
+  MGRS: 'mgrs',
+  GEOHASH: 'geohash',
+  PLUSCODE: 'pluscode',
+  MAIDENHEAD: 'maidenhead',
+  OSGB: 'osgb',
+  IRISH: 'irish',
+};
+
+/**
+ * Returns the offset of the first non whitespace character of the given string.
+ * @param {string} value
+ * @returns {number}
+ */
+function leadingWhitespace(value) {
+  return value.search(/\S|$/);
 }
 
 /**
- * Checks if the given value is of type number
- * @param {*} v
- * @returns {boolean}
+ * Returns the start and end offset of a capture group of a match clause. The groups of the
+ * dms regex are ordered, so the group is searched behind all previous groups.
+ * @param {*} m
+ * @param {number} group
+ * @param {number} offset absolute offset of the match clause
+ * @returns {{start: number, end: number}}
  */
-function isNumber(v) {
-  return typeof v == 'number' && !isNaN(v);
+function groupRange(m, group, offset) {
+  let from = 0;
+  for (let i = 1; i < group; i++) {
+    if (m[i]) {
+      from = m[0].indexOf(m[i], from) + m[i].length;
+    }
+  }
+
+  const start = offset + m[0].indexOf(m[group], from);
+  return { start, end: start + m[group].length };
 }
 
 /**
- * Extract the decimal value and the orientation from a given match clause.
+ * Extract the decimal value and the orientation from a given match clause. If an axis is
+ * passed, the value is also checked against the range of the axis.
  * @param {*} m
+ * @param {string=} optAxis 'lat' or 'lon'
+ * @param {number=} optOffset absolute offset of the match clause, used for error positions
  * @returns {number}
- * @throws
+ * @throws {DmsParseError}
  */
-function decDegFromMatch(m) {
-  const sign = SIGN_INDEX[m[2]] || SIGN_INDEX[m[1]] || SIGN_INDEX[m[6]] || 1;
+function decDegFromMatch(m, optAxis, optOffset) {
+  const offset = optOffset !== undefined ? optOffset : 0;
+  const hemisphere = (m[1] || m[6] || '').toUpperCase();
+  const sign = SIGN_INDEX[m[2]] || SIGN_INDEX[hemisphere] || 1;
   const degrees = Number(m[3]);
   const minutes = m[4] ? Number(m[4]) : 0;
   const seconds = m[5] ? Number(m[5]) : 0;
 
+  function errorFn(errorMsg, code, group) {
+    const start = offset + leadingWhitespace(m[0]);
+    const range = group !== undefined
+      ? groupRange(m, group, offset)
+      : { start, end: start + m[0].trim().length };
+    throw new DmsParseError(errorMsg, code, Object.assign({ axis: optAxis }, range));
+  }
+
   if (!inRange(degrees, 0, 180)) {
-    throw new Error('Degrees out of range');
+    errorFn('Degrees out of range', ERROR_CODES.DEGREES_OUT_OF_RANGE, 3);
   }
 
   if (!inRange(minutes, 0, 60)) {
-    throw new Error('Minutes out of range');
+    errorFn('Minutes out of range', ERROR_CODES.MINUTES_OUT_OF_RANGE, 4);
   }
 
   if (!inRange(seconds, 0, 60)) {
-    throw new Error('Seconds out of range');
+    errorFn('Seconds out of range', ERROR_CODES.SECONDS_OUT_OF_RANGE, 5);
+  }
+
+  const value = sign * (degrees + minutes / 60 + seconds / 3600);
+  if (optAxis !== undefined && !inRange(value, -AXES[optAxis].max, AXES[optAxis].max)) {
+    errorFn(AXES[optAxis].rangeError, AXES[optAxis].rangeErrorCode);
+  }
+
+  return value;
+}
+
+/**
+ * Matches a single dms component starting at the given offset of the string. A hemisphere
+ * letter is captured either as prefix or as suffix. If a component has both, or if a suffix
+ * separated by whitespace is directly followed by a number, e.g. `59°12' W02°15'`, the letter
+ * is treated as the prefix of the following component and is given back. A suffix attached to
+ * the values, e.g. `59N2W`, always belongs to the component.
+ * @param {string} value
+ * @param {number} offset
+ * @returns {{ match: *, axis: string|undefined, offset: number, start: number, end: number }|null}
+ */
+export function matchComponent(value, offset) {
+  const m = value.substr(offset).match(DMS_REGREX);
+
+  if (!m) {
+    return null;
+  }
+
+  const isDetached = m[6] !== undefined && /\s/.test(m[0].charAt(m[0].length - 2));
+  const isFollowedByNumber = /^[-\d]/.test(value.substr(offset + m.index + m[0].length));
+  if (m[6] !== undefined && (m[1] !== undefined || (isDetached && isFollowedByNumber))) {
+    m[0] = m[0].slice(0, -1);
+    m[6] = undefined;
+  }
+
+  const hemisphere = (m[1] || m[6] || '').toUpperCase();
+  const axis = Object.keys(AXES).filter((a) => AXES[a].hemispheres.indexOf(hemisphere) !== -1)[0];
+
+  const start = offset + m.index + leadingWhitespace(m[0]);
+  return {
+    match: m,
+    axis,
+    offset: offset + m.index,
+    start,
+    end: start + m[0].trim().length,
+  };
+}
+
+/**
+ * Checks if the string consists of exactly two dms components, without text in front of the
+ * first or behind the second one. The values are not checked.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isCompleteDMS(value) {
+  const lead = leadingWhitespace(value);
+  const first = matchComponent(value, lead);
+  const second = first && first.start === lead ? matchComponent(value, first.end) : null;
+  return second !== null && value.substr(second.end).trim() === '';
+}
+
+/**
+ * Parses a single dms or dmm value of the given axis. A hemisphere letter is optional, but has
+ * to match the axis if present.
+ * @param {string} value
+ * @param {string} axis 'lat' or 'lon'
+ * @param {{ locale: string }=} optOptions
+ * @returns {number}
+ * @throws
+ */
+function parseAngle(value, axis, optOptions) {
+  const v = canonicalFor(value, optOptions);
+  const lead = leadingWhitespace(v);
+
+  // bare degrees and minutes, e.g. a dmm latitude column
+  if (DMM_ANGLE_REGEX.test(v)) {
+    const part = decDegFromDMMPart(v, 0, axis);
+    if (!inRange(part.value, -AXES[axis].max, AXES[axis].max)) {
+      throw new DmsParseError(AXES[axis].rangeError, AXES[axis].rangeErrorCode, {
+        axis,
+        start: part.start,
+        end: part.end,
+      });
+    }
+    return part.value;
+  }
+
+  const component = matchComponent(v, lead);
+
+  if (!component || component.start !== lead || v.substr(component.end).trim() !== '') {
+    throw new DmsParseError(ERRORS.PARSE_STRING, ERROR_CODES.INVALID_SYNTAX, {
+      axis,
+      start: component && component.start === lead ? component.end : lead,
+      end: v.trim().length + lead,
+    });
   }
 
-  return sign * (degrees + minutes / 60 + seconds / 3600);
+  if (component.axis !== undefined && component.axis !== axis) {
+    throw new DmsParseError('Hemisphere does not match the axis', ERROR_CODES.HEMISPHERE_MISMATCH, {
+      axis,
+      start: component.start,
+      end: component.end,
+    });
+  }
+
+  return decDegFromMatch(component.match, axis, component.offset);
+}
+
+/**
+ * Converts a string of the locale passed through the options into the canonical syntax of the
+ * parse functions, see `delocalize`.
+ * @param {string} value
+ * @param {{ locale: string }=} optOptions
+ * @returns {string}
+ */
+function canonicalFor(value, optOptions) {
+  return optOptions !== undefined && optOptions.locale !== undefined
+    ? delocalize(value, optOptions.locale)
+    : value;
+}
+
+/**
+ * Transforms a parsed coordinate from the `datum` of the options to WGS84.
+ * @param {[number, number]} coordinate [lon, lat]
+ * @param {{ datum: string }=} optOptions `datum` of the string, e.g. 'ED50'
+ * @returns {[number, number]} [lon, lat]
+ * @throws
+ */
+function toWGS84(coordinate, optOptions) {
+  return optOptions !== undefined && optOptions.datum !== undefined
+    ? transformDatum(coordinate, optOptions.datum, 'WGS84')
+    : coordinate;
 }
 
 /**
- * Computes a configuration of the coordinate.
- * @param {[number, number]} coordinate
- * @returns {{}}
+ * Parses one comma separated part of a dmm string, e.g. `41 24.2028` or `-2.17403`.
+ * @param {string} part
+ * @param {number} offset absolute offset of the part, used for error positions
+ * @param {string} axis 'lat' or 'lon'
+ * @returns {{ value: number, start: number, end: number }}
+ * @throws {DmsParseError}
  */
-function computeCoordinateConfig(coordinate) {
-  function computeFor(initValue) {
-    const values = {};
-    values.initValue = initValue;
-    values.degrees = Math.abs(initValue);
-    values.degreesInt = Math.floor(values.degrees);
-    values.degreesFrac = values.degrees - values.degreesInt;
-    values.secondsTotal = 3600 * values.degreesFrac;
-    values.minutes = values.secondsTotal / 60;
-    values.minutesInt = Math.floor(values.minutes);
-    values.seconds = values.secondsTotal - (values.minutesInt * 60);
-    return values;
+function decDegFromDMMPart(part, offset, axis) {
+  const p = part.trim();
+  const start = offset + leadingWhitespace(part);
+  const end = start + p.length;
+  const orientation = p.substring(0, 1) === '-' ? -1 : 1;
+  const tokens = p.split(' ');
+  const decimalGrad = orientation === -1 ? parseFloat(tokens[0].replace('-', '')) : parseFloat(tokens[0]);
+  const decimalMinutes = tokens.length > 1 ? parseFloat(tokens[1]) : 0;
+  // every token has to be a plain number, e.g. hemisphere letters are not supported
+  const isComplete = tokens.length <= 2 && tokens.every((t) => NUMBER_REGEX.test(t));
+
+  if (!isNumber(decimalGrad) || !isNumber(decimalMinutes) || !isComplete) {
+    const code = p.replace('-', '').length === 0
+      ? ERROR_CODES.MISSING_COMPONENT
+      : ERROR_CODES.INVALID_SYNTAX;
+    throw new DmsParseError(ERRORS.PARSE_STRING, code, { axis, start, end });
+  }
+
+  if (!inRange(decimalMinutes, 0, 60)) {
+    throw new DmsParseError('Minutes out of range', ERROR_CODES.MINUTES_OUT_OF_RANGE, { axis, start, end });
   }
 
   return {
-    north: coordinate[1] > 0,
-    east: coordinate[0] > 0,
-    latValues: computeFor([coordinate[1]]),
-    lonValues: computeFor([coordinate[0]]),
+    value: orientation * (decimalGrad + decimalMinutes / 60),
+    start,
+    end,
   };
 }
 
 /**
  * Converts grad and decimal minutes to a [lon, lat] coordinate. The function expects coordinates
- * to be in the form `41 24.2028, -2 10.4418` (lat, lon - order) and a comma as an seperator
+ * to be in the form `41 24.2028, -2 10.4418` (lat, lon - order) and a comma as an seperator. In
+ * locales with a decimal comma decimal degrees can be separated by whitespace as well, e.g.
+ * `51,0504 13,7373` with the locale 'de'.
  *
  * @param {string} value
- * @returns {[number,number]} [lon, lat]
+ * @param {{ locale: string, datum: string, withMetadata: boolean }=} optOptions `locale` of the string, e.g. 'de',
+ * `datum` of the string, e.g. 'ED50', `withMetadata` returns the coordinate together with the
+ * metadata of the string, see `fromDMS`
+ * @returns {[number,number]|{ coordinate: [number, number], metadata: {} }} [lon, lat]
  * @throws
  */
-export function fromDMM(value) {
-  function errorFn(errorMsg) {
-    throw new Error(errorMsg);
-  }
+export function fromDMM(value, optOptions) {
+  const canonical = canonicalFor(value, optOptions);
   const seperator = ',';
-  const v = value.trim();
+  // locales with a decimal comma separate decimal degrees by whitespace, e.g. `51,0504 13,7373`
+  const pair = canonical.indexOf(seperator) === -1 && optOptions !== undefined
+    && optOptions.locale !== undefined && localeFor(optOptions.locale).decimalSeparator === ','
+    ? DD_PAIR_REGEX.exec(canonical)
+    : null;
+  const v = pair !== null
+    ? pair[1] + seperator + canonical.substr(pair[1].length + 1)
+    : canonical;
 
   // check if seperator exists
-  if (v.indexOf(seperator) === -1) { return errorFn(ERRORS.PARSE_STRING); }
-
-  const parts = v.split(',');
-  if (parts.length !== 2) { return errorFn(ERRORS.PARSE_STRING); }
-
-  // try to parse lat coordinate
-  const orientationLat = parts[0].trim().substring(0, 1) === '-' ? -1 : 1;
-  const partsLat = parts[0].trim().split(' ');
-  const decimalGradLat = orientationLat === -1 ? parseFloat(partsLat[0].replace('-', '')) : parseFloat(partsLat[0]);
-  const decimalMinutesLat = partsLat.length > 1 ? parseFloat(partsLat[1]) : 0;
-  const valueLat = isNumber(decimalGradLat) && isNumber(decimalMinutesLat)
-    ? orientationLat * (decimalGradLat + decimalMinutesLat / 60)
-    : undefined;
-
-  // try to parse lon coordinate
-  const orientationLon = parts[1].trim().substring(0, 1) === '-' ? -1 : 1;
-  const partsLon = parts[1].trim().split(' ');
-  const decimalGradLon = orientationLon === -1 ? parseFloat(partsLon[0].replace('-', '')) : parseFloat(partsLon[0]);
-  const decimalMinutesLon = partsLon.length > 1 ? parseFloat(partsLon[1]) : 0;
-  const valueLon = isNumber(decimalGradLon) && isNumber(decimalMinutesLon)
-    ? orientationLon * (decimalGradLon + decimalMinutesLon / 60)
-    : undefined;
-
-  if (!isNumber(valueLon) || !isNumber(valueLat)) { return errorFn(ERRORS.PARSE_STRING); }
-  if (!inRange(valueLon, -180, 180) || !inRange(valueLat, -90, 90)) { return errorFn('Lon/Lat values out of range'); }
-
-  return [valueLon, valueLat];
+  if (v.indexOf(seperator) === -1) {
+    const end = v.trim().length + leadingWhitespace(v);
+    throw new DmsParseError(ERRORS.PARSE_STRING, ERROR_CODES.MISSING_SEPARATOR, { start: end, end });
+  }
+
+  const parts = v.split(seperator);
+  if (parts.length !== 2) {
+    const start = parts[0].length + parts[1].length + 1;
+    throw new DmsParseError(ERRORS.PARSE_STRING, ERROR_CODES.INVALID_SYNTAX, { start, end: start + 1 });
+  }
+
+  const lat = decDegFromDMMPart(parts[0], 0, 'lat');
+  const lon = decDegFromDMMPart(parts[1], parts[0].length + 1, 'lon');
+
+  [lat, lon].forEach((part, i) => {
+    const axis = i === 0 ? 'lat' : 'lon';
+    if (!inRange(part.value, -AXES[axis].max, AXES[axis].max)) {
+      throw new DmsParseError('Lon/Lat values out of range', AXES[axis].rangeErrorCode, {
+        axis,
+        start: part.start,
+        end: part.end,
+      });
+    }
+  });
+
+  return withMetadata(toWGS84([lon.value, lat.value], optOptions), value, optOptions);
 }
 
 /**
- * Function always expect that we got a dms string with the first part describing latitude and
- * the second part describing the longitude
+ * Parses a dms string with two components. The hemisphere letters (N, S, E, W) can be placed
+ * before or after each component and determine which of both describes the latitude. If the
+ * string contains no hemisphere letters, the first part is expected to describe the latitude
+ * and the second part the longitude. Text behind the second component is not accepted.
+ *
+ * With the `withMetadata` option an object with the [lon, lat] `coordinate` and the `metadata`
+ * of the string is returned. The metadata describes the components of the string, i.e. the
+ * order of the axes, the decimal places and zero padding of the values, the hemisphere letters
+ * and signs and all symbols and separators in between. Passed to `toDMS` instead of a format,
+ * the metadata reproduces the string exactly, e.g. `59°12'7.7"N 02°15'39.6"W`.
+ *
+ * Strings read from old charts or surveys can be moved to WGS84 through the `datum` option,
+ * e.g. 'ED50', see `DATUMS`. The metadata records the datum, so that `toDMS` transforms the
+ * coordinate back.
  * @param {string} value
- * @returns {[number,number]} [lon, lat]
+ * @param {{ locale: string, datum: string, withMetadata: boolean }=} optOptions `locale` of the string, e.g. 'de',
+ * `datum` of the string, e.g. 'ED50', `withMetadata` returns the coordinate together with the
+ * metadata of the string
+ * @returns {[number,number]|{ coordinate: [number, number], metadata: {} }} [lon, lat]
  * @throws
  */
-export function fromDMS(value) {
-  const v = value.trim();
-  const matchLat = v.match(DMS_REGREX);
+export function fromDMS(value, optOptions) {
+  const v = canonicalFor(value, optOptions);
+  const lead = leadingWhitespace(v);
+  const end = v.trim().length + lead;
+  const first = matchComponent(v, lead);
+
+  if (!first) {
+    throw new DmsParseError(ERRORS.PARSE_STRING, ERROR_CODES.INVALID_SYNTAX, { start: lead, end });
+  }
 
-  if (!matchLat) {
-    throw new Error(ERRORS.PARSE_STRING);
+  // text in front of the first component
+  if (first.start !== lead) {
+    throw new DmsParseError(ERRORS.PARSE_STRING, ERROR_CODES.INVALID_SYNTAX, { start: lead, end: first.start });
   }
 
-  // If dmsString starts with a hemisphere letter, then the regex can also capture the
-  // hemisphere letter for the second coordinate pair if also in the string
-  const lonString = matchLat[1] !== undefined
-    ? v.substr(matchLat[0].length - 1).trim()
-    : v.substr(matchLat[0].length).trim();
-  const matchLon = lonString.match(DMS_REGREX);
+  const second = matchComponent(v, first.end);
+
+  if (!second) {
+    throw new DmsParseError(ERRORS.PARSE_STRING, ERROR_CODES.MISSING_COMPONENT, {
+      axis: first.axis === undefined ? 'lon' : first.axis === 'lat' ? 'lon' : 'lat',
+      start: first.end,
+      end,
+    });
+  }
+
+  // text behind the second component, e.g. the minutes of `41 24.2028 N, 2 10.4418 E`
+  const rest = leadingWhitespace(v.substr(second.end));
+  if (second.end + rest < end) {
+    throw new DmsParseError(ERRORS.PARSE_STRING, ERROR_CODES.INVALID_SYNTAX, {
+      start: second.end + rest,
+      end,
+    });
+  }
 
-  if (!matchLon) {
-    throw new Error(ERRORS.PARSE_STRING);
+  // both components describe the same axis, e.g. `59°N 02°S`
+  if (first.axis !== undefined && first.axis === second.axis) {
+    throw new DmsParseError(ERRORS.PARSE_STRING, ERROR_CODES.DUPLICATE_AXIS, {
+      axis: second.axis,
+      start: second.start,
+      end: second.end,
+    });
+  }
+
+  const isLonFirst = first.axis === 'lon' || second.axis === 'lat';
+  const lon = isLonFirst ? first : second;
+  const lat = isLonFirst ? second : first;
+  return withMetadata(toWGS84([
+    decDegFromMatch(lon.match, 'lon', lon.offset),
+    decDegFromMatch(lat.match, 'lat', lat.offset),
+  ], optOptions), value, optOptions);
+}
+
+/**
+ * Parses a single latitude value in dms, dmm or dd syntax, e.g. `59°12'7.7"N`, `N59°12.128'`,
+ * `59 12.128` or `-59.2`. The value has to be within ±90.
+ * @param {string} value
+ * @param {{ locale: string }=} optOptions `locale` of the string, e.g. 'de'
+ * @returns {number}
+ * @throws
+ */
+export function parseLatitude(value, optOptions) {
+  return parseAngle(value, 'lat', optOptions);
+}
+
+/**
+ * Parses a single longitude value in dms, dmm or dd syntax, e.g. `02°15'39.6"W`, `W2°15.66'`,
+ * `-2 15.66` or `-2.261`. The value has to be within ±180.
+ * @param {string} value
+ * @param {{ locale: string }=} optOptions `locale` of the string, e.g. 'de'
+ * @returns {number}
+ * @throws
+ */
+export function parseLongitude(value, optOptions) {
+  return parseAngle(value, 'lon', optOptions);
+}
+
+/**
+ * Splits a dms, dmm or dd string into its components without computing or checking their
+ * values. Each component contains the raw `degrees`, `minutes` and `seconds` strings, the minus
+ * `sign` and the `hemisphere` letter if present, the `axis` it describes and its `start` and
+ * `end` offsets. The components are ordered by their position within the string. Returns an
+ * empty array for other formats.
+ * @param {string} value
+ * @param {{ locale: string }=} optOptions `locale` of the string, e.g. 'de'
+ * @returns {Array<{ axis: string, degrees: string, minutes: string=, seconds: string=, sign: string=, hemisphere: string=, start: number, end: number }>}
+ */
+export function componentsOf(value, optOptions) {
+  const v = canonicalFor(value, optOptions);
+  const format = detectFormat(v);
+  let components = [];
+
+  if (format === FORMATS.DMM) {
+    let offset = 0;
+    components = v.split(',').map((part) => {
+      const p = part.trim();
+      const start = offset + leadingWhitespace(part);
+      const tokens = p.replace(/^-/, '').split(/\s+/);
+      offset += part.length + 1;
+      return {
+        degrees: tokens[0],
+        minutes: tokens[1],
+        sign: p.charAt(0) === '-' ? '-' : undefined,
+        start,
+        end: start + p.length,
+      };
+    });
+  } else if (format === FORMATS.DMS || format === FORMATS.DD) {
+    const first = matchComponent(v, leadingWhitespace(v));
+    const second = first ? matchComponent(v, first.end) : null;
+    components = [first, second].filter((c) => c !== null).map((c) => ({
+      axis: c.axis,
+      degrees: c.match[3],
+      minutes: c.match[4],
+      seconds: c.match[5],
+      sign: c.match[2],
+      hemisphere: (c.match[1] || c.match[6] || '').toUpperCase() || undefined,
+      start: c.start,
+      end: c.end,
+    }));
   }
 
-  return [decDegFromMatch(matchLon), decDegFromMatch(matchLat)];
+  // components without hemisphere letter describe the remaining axis in lat / lon order
+  const isLonFirst = components.length === 2
+    && (components[0].axis === 'lon' || components[1].axis === 'lat');
+  components.forEach((c, i) => {
+    c.axis = (i === 0) !== isLonFirst ? 'lat' : 'lon';
+  });
+
+  return components;
 }
 
 /**
@@ -227,10 +566,159 @@ export function isDMS(value) {
 }
 
 /**
- * Returns a dms string for a given coordinate
+ * Returns the format tokens (see `tokenizeFormat`) of a raw number string of a component. The
+ * last value of a component keeps its decimal places, a leading zero is kept as zero padding.
+ * @param {string} number e.g. `02` or `7.70`
+ * @param {string} unit 'degrees', 'minutes' or 'seconds'
+ * @param {boolean} isLast
+ * @returns {Array<{}>}
+ */
+function tokensOfNumber(number, unit, isLast) {
+  const parts = number.split('.');
+  const keys = { degrees: ['D', 'd'], minutes: ['M', 'm'], seconds: ['s', 's'] };
+  const isDecimal = isLast && (parts.length > 1 || unit === 'seconds');
+  const tokens = [{
+    key: keys[unit][isDecimal ? 1 : 0],
+    withUnit: false,
+    padded: parts[0].length > 1 && parts[0].charAt(0) === '0',
+    width: parts[0].length,
+    precision: parts.length > 1 ? parts[1].length : 0,
+  }];
+
+  // a trailing decimal point, e.g. `10.`, has no decimal places to format
+  return parts.length > 1 && parts[1] === ''
+    ? tokens.concat({ literal: '.' })
+    : tokens;
+}
+
+/**
+ * Returns the format tokens of a component of a dms, dmm or dd string. Literals are copied
+ * from the original string, the positions of the values are found in the canonical string.
+ * @param {string} value original string
+ * @param {string} v canonical string, see `canonicalFor`
+ * @param {{ degrees: string, minutes: string=, seconds: string=, sign: string=, hemisphere: string=, start: number, end: number }} component
+ * see `componentsOf`
+ * @returns {Array<{}>}
+ */
+function tokensOfComponent(value, v, component) {
+  const text = v.substring(component.start, component.end);
+  const tokens = [];
+  let pos = 0;
+
+  function push(index, length, newTokens) {
+    if (index > pos) {
+      tokens.push({ literal: value.substr(component.start + pos, index - pos) });
+    }
+    newTokens.forEach((token) => tokens.push(token));
+    pos = index + length;
+  }
+
+  function hemisphereAt(index) {
+    const letter = value.charAt(component.start + index);
+    push(index, 1, [{ key: 'X', lowerCase: letter !== letter.toUpperCase() }]);
+  }
+
+  const hasPrefix = component.hemisphere !== undefined && DOES_CONTAIN_HEMISPHERE.test(text.charAt(0));
+  if (hasPrefix) {
+    hemisphereAt(0);
+  }
+
+  // without hemisphere letter a sign is formatted for negative values
+  if (component.sign !== undefined || component.hemisphere === undefined) {
+    const index = component.sign !== undefined ? text.indexOf('-', pos) : text.indexOf(component.degrees, pos);
+    push(index, component.sign !== undefined ? 1 : 0, [{ key: '-' }]);
+  }
+
+  const units = ['degrees', 'minutes', 'seconds'].filter((unit) => component[unit] !== undefined);
+  units.forEach((unit, i) => {
+    push(text.indexOf(component[unit], pos), component[unit].length,
+      tokensOfNumber(component[unit], unit, i === units.length - 1));
+  });
+
+  if (component.hemisphere !== undefined && !hasPrefix) {
+    hemisphereAt(pos + text.substring(pos).search(DOES_CONTAIN_HEMISPHERE));
+  }
+
+  push(text.length, 0, []);
+  return tokens;
+}
+
+/**
+ * Returns the coordinate of a parse function, or, with the `withMetadata` option, an object
+ * with the coordinate and the metadata of the string, see `fromDMS`.
  * @param {[number, number]} coordinate [lon, lat]
- * @param {string} optFormatStr e.g.: 'DD MM ss X', 'DD mm X', 'dd X'
- * @param {{ latLonSeparator: string, decimalPlaces: number }} optOptions
+ * @param {string} value parsed string
+ * @param {{ locale: string, datum: string, withMetadata: boolean }=} optOptions
+ * @returns {[number,number]|{ coordinate: [number, number], metadata: {} }}
+ */
+function withMetadata(coordinate, value, optOptions) {
+  const options = Object.assign({
+    withMetadata: false,
+  }, optOptions !== undefined ? optOptions : {});
+
+  if (!options.withMetadata) {
+    return coordinate;
+  }
+
+  const v = canonicalFor(value, options);
+  const components = componentsOf(value, options);
+  const metadata = {
+    axes: components.map((c) => c.axis),
+    literals: [
+      value.substring(0, components[0].start),
+      value.substring(components[0].end, components[1].start),
+      value.substring(components[1].end),
+    ],
+    locale: options.locale,
+    datum: options.datum,
+  };
+  components.forEach((c) => {
+    metadata[c.axis] = tokensOfComponent(value, v, c);
+  });
+
+  return { coordinate, metadata };
+}
+
+/**
+ * Formats a coordinate with the metadata of a parsed string, see `fromDMS`.
+ * @param {[number, number]} coordinate [lon, lat]
+ * @param {{ axes: string[], literals: string[], lat: Array<{}>, lon: Array<{}>, locale: string=, datum: string= }} metadata
+ * @returns {string}
+ */
+function formatWithMetadata(coordinate, metadata) {
+  const point = metadata.datum !== undefined
+    ? transformDatum(coordinate, 'WGS84', metadata.datum)
+    : coordinate;
+  const values = { lat: point[1], lon: point[0] };
+  const options = { locale: metadata.locale };
+
+  return metadata.literals[0]
+    + formatFor(metadata[metadata.axes[0]], options, values[metadata.axes[0]], metadata.axes[0])
+    + metadata.literals[1]
+    + formatFor(metadata[metadata.axes[1]], options, values[metadata.axes[1]], metadata.axes[1])
+    + metadata.literals[2];
+}
+
+/**
+ * Returns a dms string for a given coordinate. Instead of a format string the name of a preset
+ * (see `PRESETS`) can be passed, e.g. 'dms', 'dmm', 'dd', 'google', 'compact', 'icao', 'nmea',
+ * 'iso6709', 'utm', 'mgrs', 'geohash', 'pluscode', 'maidenhead', 'osgb' or 'irish'. The options of the preset can be overwritten through `optOptions`. The
+ * names 'dms', 'dmm' and 'dd' are valid format strings as well and are rendered as format
+ * string, the option `preset: true` selects the preset instead. The `locale`
+ * option localizes the decimal separator and the hemisphere letters of the format string, e.g.
+ * 'de' formats `51,05040° N 13,73730° O`. Instead of `decimalPlaces` a ground `resolution` or
+ * `precision` can be passed, e.g. `{ meters: 1 }`. The decimal places of the finest unit of the
+ * format are chosen per axis, so that the rounding error is at most the given distance. Presets
+ * with a format function, e.g. 'nmea' or 'mgrs', throw for a ground resolution, a number as
+ * `precision` is only supported by the grid presets. The
+ * `datum` option transforms the WGS84 coordinate to another datum before formatting, e.g.
+ * 'OSGB36', see `DATUMS`. The
+ * metadata returned by `fromDMS` and `fromDMM`
+ * with the `withMetadata` option can be passed instead of a format to reproduce the syntax of
+ * the parsed string, the options are ignored in this case.
+ * @param {[number, number]} coordinate [lon, lat]
+ * @param {string|{}} optFormatStr e.g.: 'DD MM ss X', 'DD mm X', 'dd X', 'X DDDmmm{3}', 'icao'
+ * @param {{ latLonSeparator: string, decimalPlaces: number, resolution: { meters: number }, precision: { meters: number }|number, units: {}, locale: string, datum: string, preset: boolean }} optOptions
  * @returns {string}
  */
 export function toDMS(coordinate, optFormatStr, optOptions) {
@@ -238,35 +726,278 @@ export function toDMS(coordinate, optFormatStr, optOptions) {
     throw new Error('Not a valid coordinate');
   }
 
+  if (optFormatStr !== null && typeof optFormatStr === 'object') {
+    return formatWithMetadata(coordinate, optFormatStr);
+  }
+
+  // preset names which are format strings as well, e.g. 'dd', are only used with `preset: true`
+  const isPreset = PRESETS.hasOwnProperty(optFormatStr)
+    && (!/^[dms]+$/.test(optFormatStr) || (optOptions !== undefined && optOptions.preset === true));
+  const preset = isPreset ? PRESETS[optFormatStr] : undefined;
+  const format = preset !== undefined
+    ? preset.format
+    : optFormatStr !== undefined
+      ? optFormatStr
+      : 'DD MM ss X';
+  const presetOptions = Object.assign({}, preset !== undefined ? preset.options : {}, optOptions);
+  const point = presetOptions.datum !== undefined
+    ? transformDatum(coordinate, 'WGS84', presetOptions.datum)
+    : coordinate;
+
+  // `precision: { meters }` is a ground resolution, a number is the precision of the grid presets
+  const isResolution = presetOptions.precision !== null && typeof presetOptions.precision === 'object';
+  const resolution = isResolution ? presetOptions.precision : presetOptions.resolution;
+
+  // presets with a format function define their own defaults
+  if (typeof format === 'function') {
+    if (resolution !== undefined) {
+      throw new Error('Not a valid option for the preset: resolution');
+    }
+    return format(point, presetOptions);
+  }
+
+  if (presetOptions.precision !== undefined && !isResolution) {
+    throw new Error('Not a valid option for a format string: precision');
+  }
+
+  if (resolution !== undefined
+    && !(resolution !== null && isNumber(resolution.meters) && resolution.meters > 0)) {
+    throw new Error('Not a valid resolution');
+  }
+
+  const options = formatOptions(presetOptions);
+
+  // the decimal places of a resolution depend on the axis and, for longitudes, on the latitude
+  const tokensFor = (axis) => tokenizeFormat(format, resolution !== undefined
+    ? decimalPlacesFor(format, resolution.meters, axis, point[1])
+    : options.decimalPlaces);
+
+  const lat = formatFor(tokensFor('lat'), options, point[1], 'lat');
+  const lon = formatFor(tokensFor('lon'), options, point[0], 'lon');
+
+  // a comma separator would be ambiguous with the decimal comma of the locale
+  const locale = localeFor(options.locale);
+  const separator = locale.decimalSeparator === ',' && options.latLonSeparator.trim() === ','
+    ? options.latLonSeparator.replace(',', locale.latLonSeparator)
+    : options.latLonSeparator;
+
+  return lat + separator + lon;
+}
+
+/**
+ * Returns a dms string for a single decimal angle of the given axis. The hemisphere letter
+ * of the `X` token is chosen from N / S for latitudes and E / W for longitudes.
+ * @param {number} value
+ * @param {string} axis 'lat' or 'lon'
+ * @param {string} optFormatStr e.g.: 'DD MM ss X', 'DD mm X', 'dd X', 'X DDDmmm{3}'
+ * @param {{ decimalPlaces: number, units: {}, locale: string }} optOptions
+ * @returns {string}
+ * @throws
+ */
+export function formatAngle(value, axis, optFormatStr, optOptions) {
+  if (AXES[axis] === undefined) {
+    throw new Error('Not a valid axis');
+  }
+
+  if (!isNumber(value) || !inRange(value, -AXES[axis].max, AXES[axis].max)) {
+    throw new RangeError(AXES[axis].rangeError);
+  }
+
   const format = optFormatStr !== undefined
     ? optFormatStr
     : 'DD MM ss X';
+  const options = formatOptions(optOptions);
+  return formatFor(tokenizeFormat(format, options.decimalPlaces), options, value, axis);
+}
+
+/**
+ * Classifies a given string value without parsing it. Returns the name of the detected
+ * format (see `FORMATS`) or `undefined` if the syntax is not supported. Strings with text
+ * behind the second dms component are not detected.
+ *
+ * 41°24'12.2"N 2°10'26.5"E (dms)
+ * 41 24.2028, 2 10.4418 (dmm)
+ * 41.40338, 2.17403 (dd)
+ * 4124N00210E (icao)
+ * 4124.2028,N,00210.4418,E (nmea)
+ * +41.40338+002.17403/ (iso6709)
+ * 31N 430960 4583867 (utm)
+ * 31TDF3095983866 (mgrs)
+ * sp3e93r04 (geohash)
+ * 8FH4C53F+9J (pluscode)
+ * JN11cj (maidenhead)
+ * TQ 30080 80500 (osgb)
+ * O 15918 34607 (irish)
+ *
+ * @param {string} value
+ * @returns {string|undefined}
+ */
+export function detectFormat(value) {
+  const v = value.trim();
+  if (!/\d/.test(v)) {
+    return undefined;
+  }
+
+  const preset = Object.keys(PRESETS).filter((name) => PRESETS[name].detect !== undefined
+    && PRESETS[name].detect.test(v))[0];
+  if (preset !== undefined) {
+    return preset;
+  }
+
+  // strings which are only partly dms, e.g. dmm with hemisphere letters, are not detected
+  if (DOES_CONTAIN_SPECIAL_CHARS.test(v) || DOES_CONTAIN_HEMISPHERE.test(v)) {
+    return isCompleteDMS(v) ? FORMATS.DMS : undefined;
+  }
+
+  // without a comma only a whitespace separated decimal degrees pair is supported
+  const parts = v.indexOf(',') === -1
+    ? [v]
+    : v.split(',');
+  const tokens = parts.map((part) => part.trim().split(/\s+/));
+  const isValid = tokens.every((t) => t.every((n) => NUMBER_REGEX.test(n)));
+
+  if (!isValid) {
+    return undefined;
+  }
+
+  if (parts.length === 1) {
+    return tokens[0].length === 2 ? FORMATS.DD : undefined;
+  }
+
+  if (parts.length !== 2 || tokens[0].length > 2 || tokens[1].length > 2) {
+    return undefined;
+  }
+
+  return tokens[0].length === 1 && tokens[1].length === 1
+    ? FORMATS.DD
+    : FORMATS.DMM;
+}
+
+/**
+ * Registers a custom coordinate format, e.g. an in-house syntax like `N5912.1W00215.7`. The
+ * format joins the detection of `detectFormat` and `parse` and can be passed to `toDMS` by its
+ * name. Custom formats are detected after the built-in presets and before the dms, dmm and dd
+ * syntax, so they can not take over strings of a built-in format.
+ *
+ * `detect` is a RegExp or a function which tells whether a string is written in the format.
+ * `parse` returns the [lon, lat] coordinate of such a string and should throw a DmsParseError
+ * for invalid values, e.g. through `matchSyntax` and `decDegFromParts`. `format` is either a
+ * format string of `toDMS` or a function returning the string of a [lon, lat] coordinate, it
+ * is called with the `options` of the format overwritten by the options of `toDMS`.
+ * @param {{ name: string, detect: RegExp|function(string): boolean, parse: function(string): [number, number], format: string|function([number, number], {}): string, options: {}= }} definition
+ * `name` has to start with a lowercase letter and may contain lowercase letters, digits and `-`
+ * @throws
+ */
+export function registerFormat(definition) {
+  const { name, detect, parse, format, options } = definition !== undefined && definition !== null ? definition : {};
+
+  // names only consisting of d, m and s would shadow the format strings of toDMS
+  if (typeof name !== 'string' || !/^[a-z][a-z0-9-]*$/.test(name) || /^[dms]+$/.test(name)) {
+    throw new Error('Not a valid format name: ' + name);
+  }
+
+  if (PRESETS.hasOwnProperty(name)) {
+    throw new Error('Format already exists: ' + name);
+  }
+
+  if (!(detect instanceof RegExp) && typeof detect !== 'function') {
+    throw new Error('A format needs a detect RegExp or function');
+  }
+
+  if (typeof parse !== 'function') {
+    throw new Error('A format needs a parse function');
+  }
+
+  if (typeof format !== 'string' && typeof format !== 'function') {
+    throw new Error('A format needs a format string or function');
+  }
+
+  PRESETS[name] = {
+    format,
+    options,
+    parse,
+    detect: typeof detect === 'function' ? { test: detect } : detect,
+  };
+  FORMATS[name.toUpperCase().replace(/-/g, '_')] = name;
+}
+
+/**
+ * Parses a coordinate string of any supported format. The format is detected through
+ * `detectFormat` and the string is dispatched to the matching parse function. Returns an
+ * object containing the [lon, lat] coordinate, the name of the detected format and an
+ * `ambiguous` flag. The flag is set if the string contains no hemisphere letters and the
+ * values would also be valid in swapped order, so that the lat / lon order is only an
+ * assumption.
+ *
+ * The accepted formats can be restricted through the `formats` option. It also accepts the
+ * names of presets without a syntax of their own, e.g. 'google' is parsed as 'dms'. Short
+ * geohashes like `u3` are only accepted if 'geohash' is passed through `formats`.
+ *
+ * The `datum` option moves the coordinate from the datum of the string to WGS84, see
+ * `fromDMS`. The datum the string came from is returned as `datum`.
+ *
+ * @param {string} value
+ * @param {{ formats: string[], locale: string, datum: string }=} optOptions `formats` restricts the accepted
+ * formats, `locale` is the locale of the string, e.g. 'de', `datum` is the datum of the string,
+ * e.g. 'ED50'
+ * @returns {{ coordinate: [number, number], format: string, ambiguous: boolean, datum: string }}
+ * @throws
+ */
+export function parse(value, optOptions) {
   const options = Object.assign({
-    decimalPlaces: 5,
-    latLonSeparator: ' '
+    formats: Object.keys(FORMATS).map((key) => FORMATS[key]),
+    datum: 'WGS84',
   }, optOptions !== undefined ? optOptions : {});
-  const coordConf = computeCoordinateConfig(coordinate);
-
-  const lat = formatFor(format, options, coordConf.latValues, (coordConf.north) ? 'N' : 'S' );
-  const lon = formatFor(format, options, coordConf.lonValues, (coordConf.east) ? 'E' : 'W' );
-
-  function formatFor(format, options, values, X) {
-    let formatted = format;
-    formatted = formatted.replace(/DD/g, values.degreesInt+UNITS.degrees);
-    formatted = formatted.replace(/dd/g, values.degrees.toFixed(options.decimalPlaces)+UNITS.degrees);
-    formatted = formatted.replace(/D/g, values.degreesInt);
-    formatted = formatted.replace(/d/g, values.degrees.toFixed(options.decimalPlaces));
-    formatted = formatted.replace(/MM/g, values.minutesInt+UNITS.minutes);
-    formatted = formatted.replace(/mm/g, values.minutes.toFixed(options.decimalPlaces)+UNITS.minutes);
-    formatted = formatted.replace(/M/g, values.minutesInt);
-    formatted = formatted.replace(/m/g, values.minutes.toFixed(options.decimalPlaces));
-    formatted = formatted.replace(/ss/g, values.seconds.toFixed(options.decimalPlaces)+UNITS.seconds);
-    formatted = formatted.replace(/s/g, values.seconds.toFixed(options.decimalPlaces));
-    formatted = formatted.replace(/-/g, (values.initValue<0) ? '-' : '');
-    formatted = formatted.replace(/X/g, X);
-
-    return formatted;
-  }
-
-  return lat + options.latLonSeparator + lon;
+  const formats = options.formats.map((name) => PRESETS.hasOwnProperty(name) && PRESETS[name].parseAs !== undefined
+    ? PRESETS[name].parseAs
+    : name);
+  // presets with a syntax of their own, e.g. nmea, are never localized
+  const raw = detectFormat(value);
+  const v = raw !== undefined && PRESETS[raw].parse !== undefined
+    ? value
+    : canonicalFor(value, options);
+  const detected = detectFormat(v);
+  // strings which are too unspecific for the detection, e.g. short geohashes
+  const format = (detected === undefined || formats.indexOf(detected) === -1)
+    && optOptions !== undefined && optOptions.formats !== undefined
+    ? formats.filter((name) => PRESETS.hasOwnProperty(name) && PRESETS[name].explicitDetect !== undefined
+      && PRESETS[name].explicitDetect.test(v.trim()))[0]
+    : detected;
+
+  // report where partly dms strings stop to be dms
+  if (format === undefined && detected === undefined && formats.indexOf(FORMATS.DMS) !== -1
+    && (DOES_CONTAIN_SPECIAL_CHARS.test(v) || DOES_CONTAIN_HEMISPHERE.test(v))) {
+    fromDMS(v);
+  }
+
+  if (format === undefined || formats.indexOf(format) === -1) {
+    const lead = leadingWhitespace(value);
+    throw new DmsParseError(ERRORS.PARSE_STRING, ERROR_CODES.INVALID_SYNTAX, {
+      start: lead,
+      end: value.trim().length + lead,
+    });
+  }
+
+  if (PRESETS[format].parse !== undefined) {
+    return {
+      coordinate: toWGS84(PRESETS[format].parse(v), options),
+      format,
+      ambiguous: false,
+      datum: options.datum,
+    };
+  }
+
+  // whitespace separated decimal degrees are only supported by fromDMS
+  const coordinate = format === FORMATS.DMS || v.indexOf(',') === -1
+    ? fromDMS(v)
+    : fromDMM(v);
+  const ambiguous = !DOES_CONTAIN_HEMISPHERE.test(v)
+    && Math.abs(coordinate[0]) <= 90;
+
+  return {
+    coordinate: toWGS84(coordinate, options),
+    format,
+    ambiguous,
+    datum: options.datum,
+  };
 }
@@ -1,4 +1,24 @@
-import { fromDMS, fromDMM, isDMM, isDMS, toDMS } from './dmsformat';
+import {
+  detectFormat, FORMATS, formatAngle, fromDMS, fromDMM, isDMM, isDMS, parse, parseLatitude, parseLongitude, registerFormat, toDMS
+} from './dmsformat';
+import { transformDatum } from './datum';
+import { DmsParseError } from './errors';
+import { decDegFromParts, matchSyntax } from './format';
+import { toMGRS } from './mgrs';
+
+/**
+ * Returns the error thrown by the given function.
+ * @param {Function} fn
+ * @returns {*}
+ */
+function catchError(fn) {
+  try {
+    fn();
+  } catch (e) {
+    return e;
+  }
+  return undefined;
+}
 
 describe('fromDMS', () => {
   it('Correctly parses DMS pairs with different separators, hemisphere at end', () => {
@@ -23,11 +43,12 @@ describe('fromDMS', () => {
     });
   });
 
-  // not supported yet
-  xit('Correctly parses DMS pairs with hemisphere at beginning', () => {
+  it('Correctly parses DMS pairs with hemisphere at beginning', () => {
     const testData = [
       'N59°12\'7.7" W02°15\'39.6"',
-      'W02°15\'39.6" N59°12\'7.7"'
+      'W02°15\'39.6" N59°12\'7.7"',
+      'N 59°12\'7.7" W 02°15\'39.6"',
+      'N59°12\'7.7",W02°15\'39.6"'
     ];
 
     const expected = [
@@ -42,11 +63,14 @@ describe('fromDMS', () => {
     });
   });
 
-  it('Correctly parses different separators between lat / lon pairs', () => {
+  it('Uses the hemisphere letters to detect the latitude in any order', () => {
     const testData = [
-      '59°12\'7.7"N  02°15\'39.6"W',
-      '59°12\'7.7"N , 02°15\'39.6"W',
-      '59°12\'7.7"N,02°15\'39.6"W'
+      '02°15\'39.6"W 59°12\'7.7"N',
+      '59°12\'7.7" W02°15\'39.6"',
+      'W02°15\'39.6" 59°12\'7.7"',
+      '59°12\'7.7"n 02°15\'39.6"w',
+      'w02°15\'39.6" n59°12\'7.7"',
+      '59°12\'7.7"N02°15\'39.6"W'
     ];
 
     const expected = [
@@ -61,45 +85,40 @@ describe('fromDMS', () => {
     });
   });
 
-  // not supported yet
-  xit('Will parse a single coordinate with hemisphere', () => {
-    const testData = [
-      '59°12\'7.7"N',
-      '02°15\'39.6"W'
-    ];
+  it('Keeps attached suffixes on compact strings', () => {
+    expect(fromDMS('59N2W')).toEqual([-2, 59]);
+    expect(fromDMS('59N 2W')).toEqual([-2, 59]);
+    expect(fromDMS('2W59N')).toEqual([-2, 59]);
+  });
 
-    const expected = [
-      [undefined, 59 + 12 / 60 + 7.7 / 3600],
-      [-1 * (2 + 15 / 60 + 39.6 / 3600), undefined]
+  it('Throws if both components describe the same axis', () => {
+    const testData = [
+      '59°12\'7.7"N 02°15\'39.6"S',
+      'E59°12\'7.7" W02°15\'39.6"'
     ];
 
-
-    for (let i = 0; i < testData.length; i ++) {
-      const subject = fromDMS(testData[i]);
-      expect(subject[0]).toBe(expected[i][0]);
-      expect(subject[1]).toBe(expected[i][1]);
-    }
+    testData.forEach((v) => {
+      expect(() => fromDMS(v)).toThrow('Could not parse string');
+    });
   });
 
-  // not supported yet
-  xit('Will parse a single coordinate with no hemisphere and return a number', () => {
+  it('Correctly parses different separators between lat / lon pairs', () => {
     const testData = [
-      '59°12\'7.7"',
-      '02°15\'39.6"',
-      '-02°15\'39.6"'
+      '59°12\'7.7"N  02°15\'39.6"W',
+      '59°12\'7.7"N , 02°15\'39.6"W',
+      '59°12\'7.7"N,02°15\'39.6"W'
     ];
 
     const expected = [
-      59 + 12 / 60 + 7.7 / 3600,
-      2 + 15 / 60 + 39.6 / 3600,
-      -1 * (2 + 15 / 60 + 39.6 / 3600)
+      -1 * (2 + 15 / 60 + 39.6 / 3600),
+      59 + 12 / 60 + 7.7 / 3600
     ];
 
-    for (let i = 0; i < testData.length; i ++) {
-      const subject = fromDMS(testData[i]);
-      expect(subject[0]).toBe(expected[i][0]);
-    }
-
+    testData.forEach((v) => {
+      const subject = fromDMS(v);
+      expect(subject[0]).toBe(expected[0]);
+      expect(subject[1]).toBe(expected[1]);
+    });
   });
 
   it('Will infer first coordinate is lat, second lon, if no hemisphere letter is included', () => {
@@ -163,6 +182,17 @@ describe('fromDMS', () => {
     });
   });
 
+  it('Throws for latitudes out of range', () => {
+    const testData = [
+      '95°12\'7.7"N 02°15\'39.6"W',
+      '02°15\'39.6"E 95°S'
+    ];
+
+    testData.forEach((v) => {
+      expect(() => fromDMS(v)).toThrow('Latitude out of range');
+    });
+  });
+
   it('Correctly parses DMS with decimal minutes', () => {
     const testData = [
       'N59°12.105\' W02°15.66\''
@@ -254,6 +284,149 @@ describe('fromDMS', () => {
   });
 });
 
+describe('error codes and positions', () => {
+  it('fromDMS throws DmsParseErrors with the offending token', () => {
+    const testData = [
+      ['Not DMS string', 'INVALID_SYNTAX', undefined, 0, 14],
+      ['59°12\'7.7"N', 'MISSING_COMPONENT', 'lon', 11, 11],
+      ['59°12\'7.7"N 02°15\'39.6"S', 'DUPLICATE_AXIS', 'lat', 12, 24],
+      ['190°12\'7.7" -02°15\'39.6"', 'DEGREES_OUT_OF_RANGE', 'lat', 0, 3],
+      ['59°65\'7.7" -02°15\'39.6"', 'MINUTES_OUT_OF_RANGE', 'lat', 3, 5],
+      [' 59°12\'7.7" -02°15\'65.5"', 'SECONDS_OUT_OF_RANGE', 'lon', 19, 23],
+      ['95°N 02°W', 'LATITUDE_OUT_OF_RANGE', 'lat', 0, 4],
+      ['02°W 95°', 'LATITUDE_OUT_OF_RANGE', 'lat', 5, 8],
+      ['41 24.2028 N, 2 10.4418 E', 'INVALID_SYNTAX', undefined, 12, 25],
+      ['41 24.2028, 2 10.4418 E', 'INVALID_SYNTAX', undefined, 10, 23],
+      ['59°N 2°W 3°E', 'INVALID_SYNTAX', undefined, 9, 12],
+    ];
+
+    testData.forEach((v) => {
+      const subject = catchError(() => fromDMS(v[0]));
+      expect(subject instanceof DmsParseError).toBe(true);
+      expect(subject.code).toBe(v[1]);
+      expect(subject.axis).toBe(v[2]);
+      expect(subject.start).toBe(v[3]);
+      expect(subject.end).toBe(v[4]);
+    });
+  });
+
+  it('fromDMM throws DmsParseErrors with the offending token', () => {
+    const testData = [
+      ['41 24.2028', 'MISSING_SEPARATOR', undefined, 10, 10],
+      ['41 24.2028, -', 'MISSING_COMPONENT', 'lon', 12, 13],
+      ['41 24.2028, 2, 3', 'INVALID_SYNTAX', undefined, 13, 14],
+      ['abc, 2 10.4418', 'INVALID_SYNTAX', 'lat', 0, 3],
+      ['91 24.2028, 2 10.4418', 'LATITUDE_OUT_OF_RANGE', 'lat', 0, 10],
+      ['41 24.2028,  -190.5', 'LONGITUDE_OUT_OF_RANGE', 'lon', 13, 19],
+      ['41 75.5, 2 10.4418', 'MINUTES_OUT_OF_RANGE', 'lat', 0, 7],
+      ['41 24.2028 N, 2 10.4418 E', 'INVALID_SYNTAX', 'lat', 0, 12],
+    ];
+
+    testData.forEach((v) => {
+      const subject = catchError(() => fromDMM(v[0]));
+      expect(subject instanceof DmsParseError).toBe(true);
+      expect(subject.code).toBe(v[1]);
+      expect(subject.axis).toBe(v[2]);
+      expect(subject.start).toBe(v[3]);
+      expect(subject.end).toBe(v[4]);
+    });
+  });
+
+  it('parseLatitude throws DmsParseErrors with the offending token', () => {
+    const testData = [
+      ['02°15\'39.6"W', 'HEMISPHERE_MISMATCH', 0, 12],
+      ['59°12\'7.7"N abc', 'INVALID_SYNTAX', 11, 15],
+      ['-90.5', 'LATITUDE_OUT_OF_RANGE', 0, 5],
+    ];
+
+    testData.forEach((v) => {
+      const subject = catchError(() => parseLatitude(v[0]));
+      expect(subject.code).toBe(v[1]);
+      expect(subject.axis).toBe('lat');
+      expect(subject.start).toBe(v[2]);
+      expect(subject.end).toBe(v[3]);
+    });
+  });
+});
+
+describe('parseLatitude / parseLongitude', () => {
+  it('Will parse a single coordinate with hemisphere', () => {
+    expect(parseLatitude('59°12\'7.7"N')).toBe(59 + 12 / 60 + 7.7 / 3600);
+    expect(parseLatitude('S 59°12.105\'')).toBe(-1 * (59 + 12.105 / 60));
+    expect(parseLongitude('02°15\'39.6"W')).toBe(-1 * (2 + 15 / 60 + 39.6 / 3600));
+    expect(parseLongitude('E2°')).toBe(2);
+  });
+
+  it('Will parse a single dmm coordinate', () => {
+    expect(parseLatitude('41 24.2028')).toBe(41 + 24.2028 / 60);
+    expect(parseLongitude(' -2 10.4418 ')).toBe(-1 * (2 + 10.4418 / 60));
+    expect(parseLatitude('51 3,024', { locale: 'de' })).toBe(51 + 3.024 / 60);
+    expect(() => parseLatitude('91 30')).toThrow('Latitude out of range');
+    expect(() => parseLongitude('2 75')).toThrow('Minutes out of range');
+  });
+
+  it('Will parse a single coordinate with no hemisphere and return a number', () => {
+    const testData = [
+      '59°12\'7.7"',
+      '02°15\'39.6"',
+      '-02°15\'39.6"',
+      '-2.261'
+    ];
+
+    const expected = [
+      59 + 12 / 60 + 7.7 / 3600,
+      2 + 15 / 60 + 39.6 / 3600,
+      -1 * (2 + 15 / 60 + 39.6 / 3600),
+      -2.261
+    ];
+
+    for (let i = 0; i < testData.length; i ++) {
+      expect(parseLatitude(testData[i])).toBe(expected[i]);
+      expect(parseLongitude(testData[i])).toBe(expected[i]);
+    }
+  });
+
+  it('Throws for values out of the range of the axis', () => {
+    expect(() => parseLatitude('120°15\'39.6"')).toThrow('Latitude out of range');
+    expect(() => parseLatitude('-90.5')).toThrow('Latitude out of range');
+    expect(parseLongitude('120°15\'39.6"')).toBe(120 + 15 / 60 + 39.6 / 3600);
+    expect(() => parseLongitude('181')).toThrow('Degrees out of range');
+    expect(() => parseLongitude('180°30\'W')).toThrow('Longitude out of range');
+  });
+
+  it('Throws for a hemisphere of the other axis', () => {
+    expect(() => parseLatitude('02°15\'39.6"W')).toThrow('Hemisphere does not match the axis');
+    expect(() => parseLongitude('59°12\'7.7"N')).toThrow('Hemisphere does not match the axis');
+  });
+
+  it('Throws for pairs or invalid data', () => {
+    const testData = [
+      '59°12\'7.7"N 02°15\'39.6"W',
+      '59.2, -2.2',
+      'Not DMS string',
+      ''
+    ];
+
+    testData.forEach((v) => {
+      expect(() => parseLatitude(v)).toThrow('Could not parse string');
+    });
+  });
+});
+
+describe('formatAngle', () => {
+  it('uses the hemisphere letters of the axis', () => {
+    expect(formatAngle(-35.282, 'lat')).toBe('35° 16′ 55.20000″ S');
+    expect(formatAngle(149.128684, 'lon')).toBe('149° 7′ 43.26240″ E');
+    expect(formatAngle(-35.282, 'lon', 'dd X', { decimalPlaces: 2 })).toBe('35.28° W');
+  });
+
+  it('throws for values out of the range of the axis', () => {
+    expect(() => formatAngle(149.128684, 'lat')).toThrow('Latitude out of range');
+    expect(() => formatAngle(-180.5, 'lon')).toThrow('Longitude out of range');
+    expect(() => formatAngle(10, 'alt')).toThrow('Not a valid axis');
+  });
+});
+
 describe('toDMS', () => {
   it('should throw a specific error when no argument is sent', () => {
     expect(() => { toDMS(); }).toThrow(Error, 'no arguments');
@@ -280,6 +453,94 @@ describe('toDMS', () => {
   it ('should render to 35° 16′ 55″ S, 149° 7′ 43″ E when only passing options object and forgetting format', () => {
     expect(toDMS([149.128684, -35.282000], undefined, { decimalPlaces: 0 })).toBe('35° 16′ 55″ S 149° 7′ 43″ E');
   });
+
+  it('should carry rounded seconds and minutes into the next unit instead of rendering 60', () => {
+    expect(toDMS([-10.999999999, 10.999999999], 'DD MM ss X', { decimalPlaces: 2 })).toBe('11° 0′ 0.00″ N 11° 0′ 0.00″ W');
+    expect(toDMS([10.9999999, 59.99999999], 'DD mm X', { decimalPlaces: 3 })).toBe('60° 0.000′ N 11° 0.000′ E');
+    expect(toDMS([10.9999, 10.99], 'DD MM X')).toBe('10° 59′ N 11° 0′ E');
+    expect(toDMS([2.9999999, 1.5], 'DD X')).toBe('2° N 3° E');
+    expect(toDMS([179.99999999, 89.999999], 'DD MM ss X', { decimalPlaces: 0 })).toBe('90° 0′ 0″ N 180° 0′ 0″ E');
+  });
+});
+
+describe('toDMS format tokens', () => {
+  const coordinate = [-2.261, 59.20213888888889];
+
+  it('keeps literals in square brackets and escaped characters', () => {
+    expect(toDMS(coordinate, '[Lat/Lon:] dd X', { decimalPlaces: 2, latLonSeparator: ', ' }))
+      .toBe('Lat/Lon: 59.20° N, Lat/Lon: 2.26° W');
+    expect(toDMS(coordinate, 'D \\- M \\- s{0}')).toBe('59 - 12 - 8 2 - 15 - 40');
+    expect(toDMS(coordinate, '\\Xdd', { decimalPlaces: 1 })).toBe('X59.2° X2.3°');
+  });
+
+  it('zero pads tripled tokens', () => {
+    expect(toDMS(coordinate, 'DDD MMM sss X', { decimalPlaces: 1 })).toBe('059° 12′ 07.7″ N 002° 15′ 39.6″ W');
+    expect(toDMS(coordinate, 'ddd', { decimalPlaces: 3 })).toBe('059.202° 002.261°');
+  });
+
+  it('supports the decimal places per token', () => {
+    expect(toDMS(coordinate, 'DD MM ss{1} X')).toBe('59° 12′ 7.7″ N 2° 15′ 39.6″ W');
+    expect(toDMS(coordinate, 'X DDDmmm{3}', { units: { minutes: '\'' } })).toBe('N 059°12.128\' W 002°15.660\'');
+    expect(toDMS(coordinate, 'dd{1} (DD mm{2})')).toBe('59.2° (59° 12.13′) 2.3° (2° 15.66′)');
+  });
+
+  it('renders the minus sign only for negative values', () => {
+    expect(toDMS(coordinate, '-dd', { decimalPlaces: 1 })).toBe('59.2° -2.3°');
+  });
+});
+
+describe('toDMS resolution', () => {
+  const coordinate = [-2.261, 59.20213888888889];
+
+  it('derives the decimal places of the finest unit from the ground resolution', () => {
+    const testData = [
+      ['dms', { meters: 1 }, '59° 12′ 7.70″ N 2° 15′ 39.6″ W'],
+      ['dmm', { meters: 1 }, '59° 12.128′ N 2° 15.660′ W'],
+      ['dd', { meters: 1 }, '59.20214° N 2.26100° W'],
+      ['dd', { meters: 0.1 }, '59.202139° N 2.261000° W'],
+      ['dd', { meters: 1000 }, '59.20° N 2.26° W'],
+      ['dmm', { meters: 1000 }, '59° 12′ N 2° 16′ W'],
+    ];
+
+    testData.forEach(([format, resolution, expected]) => {
+      expect(toDMS(coordinate, format, { resolution, preset: true })).toBe(expected);
+    });
+  });
+
+  it('uses less decimal places for longitudes near the poles', () => {
+    expect(toDMS([10, 1], 'DD MM ss X', { resolution: { meters: 1 } })).toBe('1° 0′ 0.00″ N 10° 0′ 0.00″ E');
+    expect(toDMS([10, 89.9], 'DD MM ss X', { resolution: { meters: 1 } })).toBe('89° 54′ 0.00″ N 10° 0′ 0″ E');
+  });
+
+  it('keeps the integer precision of the grid presets apart', () => {
+    expect(toDMS(coordinate, 'mgrs', { precision: 3 })).toBe(toMGRS(coordinate, { precision: 3 }));
+    expect(toDMS([-0.12762, 51.50735], 'osgb', { precision: 3 })).toBe('TQ 300 803');
+  });
+
+  it('accepts the ground resolution as precision', () => {
+    expect(toDMS(coordinate, 'dms', { precision: { meters: 1 }, preset: true })).toBe('59° 12′ 7.70″ N 2° 15′ 39.6″ W');
+    expect(toDMS(coordinate, 'dd X', { precision: { meters: 1000 } })).toBe('59.20° N 2.26° W');
+  });
+
+  it('throws for invalid resolutions', () => {
+    [{ meters: 0 }, { meters: 'a' }, {}, null].forEach((resolution) => {
+      expect(() => toDMS(coordinate, 'dd', { resolution, preset: true })).toThrow('Not a valid resolution');
+    });
+    expect(() => toDMS(coordinate, 'dd', { precision: { meters: 0 }, preset: true })).toThrow('Not a valid resolution');
+  });
+
+  it('throws for options which are not supported by the format', () => {
+    ['nmea', 'mgrs', 'icao'].forEach((preset) => {
+      expect(() => toDMS(coordinate, preset, { resolution: { meters: 1 } }))
+        .toThrow('Not a valid option for the preset: resolution');
+      expect(() => toDMS(coordinate, preset, { precision: { meters: 1 } }))
+        .toThrow('Not a valid option for the preset: resolution');
+    });
+    expect(() => toDMS(coordinate, 'dms', { precision: 3, preset: true }))
+      .toThrow('Not a valid option for a format string: precision');
+    expect(() => toDMS(coordinate, 'DD MM ss X', { precision: 3 }))
+      .toThrow('Not a valid option for a format string: precision');
+  });
 });
 
 describe('vice versa toDMS and fromDMS', () => {
@@ -290,6 +551,46 @@ describe('vice versa toDMS and fromDMS', () => {
     expect(fromDMS(expectedDMS)[0]).toBe(coordinate[0]);
     expect(fromDMS(expectedDMS)[1]).toBe(coordinate[1]);
   });
+
+  it('reproduces the parsed string exactly through the metadata', () => {
+    const testData = [
+      [fromDMS, '59°12\'7.7"N 02°15\'39.6"W'],
+      [fromDMS, 'N59°12\'7.70" W002°15\'39.60"'],
+      [fromDMS, ' 59 12\' 7.7" n, 2°15\' 39.6" w '],
+      [fromDMS, '2°15\'39.6"W 59°12\'7.7"N'],
+      [fromDMS, '59:12:07.7N 2:15:39.6W'],
+      [fromDMS, '59°12.128′ N 2° 15.66000′ W'],
+      [fromDMS, '59.20214 -2.26100'],
+      [fromDMM, '41 24.2028, -2 10.4418'],
+      [fromDMM, '41 24.2028, -2 10.'],
+      [fromDMM, '41.40338, -02.17403'],
+    ];
+
+    testData.forEach(([parseFn, v]) => {
+      const subject = parseFn(v, { withMetadata: true });
+      expect(subject.coordinate).toEqual(parseFn(v));
+      expect(toDMS(subject.coordinate, subject.metadata)).toBe(v);
+    });
+  });
+
+  it('formats changed coordinates with the syntax of the parsed string', () => {
+    const testData = [
+      ['59°12\'7.7"N 02°15\'39.6"W', [2.5, -59.25], '59°15\'0.0"S 02°30\'0.0"E'],
+      ['N59°12\'7.70" W002°15\'39.60"', [-12.75, 59.25], 'N59°15\'0.00" W012°45\'0.00"'],
+      ['59.20214 -2.26100', [2.5, -59.25], '-59.25000 2.50000'],
+    ];
+
+    testData.forEach(([v, coordinate, expected]) => {
+      expect(toDMS(coordinate, fromDMS(v, { withMetadata: true }).metadata)).toBe(expected);
+    });
+  });
+
+  it('keeps the localized syntax', () => {
+    const subject = fromDMM('41 24,2028; 2 10,4418', { locale: 'de', withMetadata: true });
+    expect(subject.metadata.locale).toBe('de');
+    expect(toDMS(subject.coordinate, subject.metadata)).toBe('41 24,2028; 2 10,4418');
+    expect(toDMS([-2.5, 41.5], subject.metadata)).toBe('41 30,0000; -2 30,0000');
+  });
 });
 
 describe('fromDMM', () => {
@@ -380,6 +681,8 @@ describe('#isDMM()', () => {
   it('isDMS returns false for not supported syntax', () => {
     const testData = [
       '41°24\'12.2"N 2°10\'26.5"E',
+      '31N 430960 4583867',
+      '31TDF3095983866',
     ];
 
     testData.forEach((v) => {
@@ -404,10 +707,244 @@ describe('#isDMS()', () => {
     const testData = [
       '41 24.2028, 2 10.4418',
       '41.40338, 2.17403',
+      '31N 430960 4583867',
+      '31T DF 30959 83866',
     ];
 
     testData.forEach((v) => {
       expect(isDMS(v)).toBe(false);
     });
   });
-});
\ No newline at end of file
+});
+describe('#detectFormat()', () => {
+  it('detects the format of supported syntax', () => {
+    const testData = [
+      ['41°24\'12.2"N 2°10\'26.5"E', 'dms'],
+      ['59 12\' 7.7" N 02 15\' 39.6" W', 'dms'],
+      ['41 24.2028, 2 10.4418', 'dmm'],
+      ['41 24.2028, -2', 'dmm'],
+      ['41.40338, 2.17403', 'dd'],
+      ['51.5 -0.126', 'dd'],
+      ['31N 430960 4583867', 'utm'],
+      ['31TDF3095983866', 'mgrs'],
+      ['31T DF 30959 83866', 'mgrs'],
+      ['sp3e93r04', 'geohash'],
+      ['8FH4C53F+9J', 'pluscode'],
+      ['JN11cj', 'maidenhead'],
+      ['jn11cj', 'geohash'],
+      ['TQ 30080 80500', 'osgb'],
+      ['O1590434671', 'irish'],
+      ['N 59 12', 'dms'],
+    ];
+
+    testData.forEach((v) => {
+      expect(detectFormat(v[0])).toBe(v[1]);
+    });
+  });
+
+  it('returns undefined for not supported syntax', () => {
+    const testData = [
+      '',
+      '41',
+      '41 24.2028 2 10.4418',
+      '41 24.2028, 2 10.4418, 3',
+      '41 24 12, 2 10 26',
+      'abc, def',
+      'bcdef',
+      '2024',
+    ];
+
+    testData.forEach((v) => {
+      expect(detectFormat(v)).toBe(undefined);
+    });
+  });
+
+  it('does not detect strings which are only partly dms', () => {
+    const testData = [
+      '41 24.2028 N, 2 10.4418 E',
+      '41 24.2028, 2 10.4418 E',
+      '59°N 2°W 3°E',
+      'at 59°N 2°W',
+    ];
+
+    testData.forEach((v) => {
+      expect(detectFormat(v)).toBe(undefined);
+    });
+  });
+});
+
+describe('#parse()', () => {
+  it('dispatches to the matching parse function', () => {
+    const testData = [
+      ['41°24\'12.2"N 2°10\'26.5"E', 'dms', [2 + 10 / 60 + 26.5 / 3600, 41 + 24 / 60 + 12.2 / 3600]],
+      ['41 24.2028, -2 10.4418', 'dmm', [-1 * (2 + 10.4418 / 60), 41 + 24.2028 / 60]],
+      ['41.40338, -2.17403', 'dd', [-2.17403, 41.40338]],
+      ['51.5 -0.126', 'dd', [-0.126, 51.5]],
+    ];
+
+    testData.forEach((v) => {
+      const subject = parse(v[0]);
+      expect(subject.format).toBe(v[1]);
+      expect(subject.coordinate[0]).toBe(v[2][0]);
+      expect(subject.coordinate[1]).toBe(v[2][1]);
+    });
+  });
+
+  it('flags a lat / lon order which is only assumed as ambiguous', () => {
+    expect(parse('41°24\'12.2"N 2°10\'26.5"E').ambiguous).toBe(false);
+    expect(parse('41.40338, 120.17403').ambiguous).toBe(false);
+    expect(parse('41.40338, 2.17403').ambiguous).toBe(true);
+  });
+
+  it('only accepts the formats passed through the options', () => {
+    expect(parse('41.40338, 2.17403', { formats: ['dd'] }).format).toBe('dd');
+    expect(() => parse('41 24.2028, 2 10.4418', { formats: ['dd'] })).toThrow('Could not parse string');
+  });
+
+  it('Throws for invalid data', () => {
+    const testData = [
+      'Not DMS string',
+      '41 24.2028 2 10.4418',
+      '',
+      '41 24.2028 N, 2 10.4418 E',
+      '41 24.2028, 2 10.4418 E',
+      '59°N 2°W 3°E',
+    ];
+
+    testData.forEach((v) => {
+      expect(() => parse(v)).toThrow('Could not parse string');
+    });
+  });
+
+  it('reports where partly dms strings stop to be dms', () => {
+    const testData = [
+      ['41 24.2028 N, 2 10.4418 E', 12, 25],
+      ['41 24.2028, 2 10.4418 E', 10, 23],
+      ['59°N 2°W 3°E', 9, 12],
+    ];
+
+    testData.forEach((v) => {
+      const error = catchError(() => parse(v[0]));
+      expect(error.code).toBe('INVALID_SYNTAX');
+      expect([error.start, error.end]).toEqual([v[1], v[2]]);
+    });
+  });
+});
+
+describe('datums', () => {
+  it('moves parsed coordinates to WGS84', () => {
+    const expected = transformDatum([-2.261, 59.20214], 'ED50', 'WGS84');
+    expect(fromDMS('59°12\'7.7"N 02°15\'39.6"W', { datum: 'ED50' })[0]).toBeCloseTo(expected[0], 6);
+    expect(fromDMM('59 12.1283, -2 15.66', { datum: 'ED50' })[1]).toBeCloseTo(expected[1], 5);
+    expect(parse('59.20214, -2.261', { datum: 'ED50' })).toEqual({
+      coordinate: expected,
+      format: 'dd',
+      ambiguous: true,
+      datum: 'ED50',
+    });
+    expect(parse('59.20214, -2.261').datum).toBe('WGS84');
+  });
+
+  it('formats coordinates in another datum', () => {
+    expect(toDMS([-0.0016, 51.4778], 'dd X', { datum: 'OSGB36', decimalPlaces: 4 })).toBe('51.4773° N 0.0000° E');
+    expect(toDMS([-0.0016, 51.4778], 'dd X', { decimalPlaces: 4 })).toBe('51.4778° N 0.0016° W');
+  });
+
+  it('keeps the datum in the metadata of a parsed string', () => {
+    const value = '51°28\'38.3"N 0°00\'00.1"E';
+    const { coordinate, metadata } = fromDMS(value, { datum: 'OSGB36', withMetadata: true });
+    expect(metadata.datum).toBe('OSGB36');
+    expect(coordinate[0]).toBeCloseTo(-0.0016, 4);
+    expect(toDMS(coordinate, metadata)).toBe(value);
+  });
+
+  it('keeps the altitude of ISO 6709 strings', () => {
+    expect(parse('+40.20361-075.00417+123CRSWGS_84/').coordinate).toEqual([-75.00417, 40.20361, 123]);
+    const subject = parse('+40.20361-075.00417+123CRSWGS_84/', { datum: 'NAD27' }).coordinate;
+    expect(subject.length).toBe(3);
+    expect(subject[2]).toBe(123);
+  });
+
+  it('throws for unknown datums', () => {
+    expect(() => fromDMS('59°12\'7.7"N 02°15\'39.6"W', { datum: 'ED79' })).toThrow('Unknown datum: ED79');
+    expect(() => toDMS([-2.261, 59.20214], 'dms', { datum: 'ED79' })).toThrow('Unknown datum: ED79');
+  });
+});
+
+describe('#registerFormat()', () => {
+  const units = { degrees: '', minutes: '' };
+  const definition = {
+    name: 'mil',
+    detect: /^[NS]\d{4,5}(?:\.\d+)?[EW]\d{5}(?:\.\d+)?$/i,
+    parse: (value) => {
+      const m = matchSyntax(value, /^([NS])(\d{2,3})(\d{2}(?:\.\d+)?)([EW])(\d{3})(\d{2}(?:\.\d+)?)$/i);
+      const split = m.offset + m[0].search(/[EW]/i);
+      return [
+        decDegFromParts({ degrees: m[5], minutes: m[6], sign: /w/i.test(m[4]) ? -1 : 1 }, 'lon', {
+          start: split,
+          end: m.offset + m[0].length,
+        }),
+        decDegFromParts({ degrees: m[2], minutes: m[3], sign: /s/i.test(m[1]) ? -1 : 1 }, 'lat', {
+          start: m.offset,
+          end: split,
+        }),
+      ];
+    },
+    format: 'XDDDmmm{1}',
+    options: { units, latLonSeparator: '' },
+  };
+
+  registerFormat(definition);
+  registerFormat({
+    name: 'mil-short',
+    detect: (value) => /^[NS]\d{4} [EW]\d{5}$/i.test(value),
+    parse: (value) => definition.parse(value.replace(' ', '')),
+    format: (coordinate) => formatAngle(coordinate[1], 'lat', 'XDDMMM', { units }) + ' '
+      + formatAngle(coordinate[0], 'lon', 'XDDDMMM', { units }),
+  });
+
+  it('detects and parses the registered formats', () => {
+    const subject = parse('N5912.1W00215.7');
+    expect(detectFormat('N5912.1W00215.7')).toBe('mil');
+    expect(subject.format).toBe('mil');
+    expect(subject.coordinate[0]).toBeCloseTo(-(2 + 15.7 / 60), 10);
+    expect(subject.coordinate[1]).toBeCloseTo(59 + 12.1 / 60, 10);
+    expect(parse('N5912 W00216').format).toBe('mil-short');
+    expect(FORMATS.MIL).toBe('mil');
+    expect(FORMATS.MIL_SHORT).toBe('mil-short');
+  });
+
+  it('formats into the registered formats by name', () => {
+    expect(toDMS([-2.261, 59.20214], 'mil')).toBe('N05912.1W00215.7');
+    expect(toDMS([-2.261, 59.20214], 'mil', { latLonSeparator: ' ' })).toBe('N05912.1 W00215.7');
+    expect(toDMS([-2.261, 59.20214], 'mil-short')).toBe('N5912 W00216');
+  });
+
+  it('keeps the built-in formats first', () => {
+    expect(detectFormat('5912N00216W')).toBe('icao');
+    expect(detectFormat('59°12\'7.7"N 02°15\'39.6"W')).toBe('dms');
+  });
+
+  it('passes the DmsParseErrors of the parse function', () => {
+    const error = catchError(() => parse(' N5972.1W00215.7'));
+    expect(error.code).toBe('MINUTES_OUT_OF_RANGE');
+    expect([error.axis, error.start, error.end]).toEqual(['lat', 1, 8]);
+  });
+
+  it('throws for invalid definitions', () => {
+    const testData = [
+      [Object.assign({}, definition, { name: 'Mil' }), 'Not a valid format name: Mil'],
+      [Object.assign({}, definition, { name: 'ms' }), 'Not a valid format name: ms'],
+      [Object.assign({}, definition, { name: 'utm' }), 'Format already exists: utm'],
+      [Object.assign({}, definition, { name: 'mil' }), 'Format already exists: mil'],
+      [Object.assign({}, definition, { name: 'mil2', detect: '^N' }), 'A format needs a detect RegExp or function'],
+      [Object.assign({}, definition, { name: 'mil2', parse: undefined }), 'A format needs a parse function'],
+      [Object.assign({}, definition, { name: 'mil2', format: undefined }), 'A format needs a format string or function'],
+    ];
+
+    testData.forEach(([value, message]) => {
+      expect(() => registerFormat(value)).toThrow(message);
+    });
+    expect(() => registerFormat()).toThrow('Not a valid format name: undefined');
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Stable codes of the errors thrown by the parse functions. In contrast to the error messages
+ * they can be used to show localized messages.
+ * @type {{}}
+ */
+export const ERROR_CODES = {
+  INVALID_SYNTAX: 'INVALID_SYNTAX',
+  INVALID_CHECKSUM: 'INVALID_CHECKSUM',
+  MISSING_SEPARATOR: 'MISSING_SEPARATOR',
+  MISSING_COMPONENT: 'MISSING_COMPONENT',
+  DUPLICATE_AXIS: 'DUPLICATE_AXIS',
+  HEMISPHERE_MISMATCH: 'HEMISPHERE_MISMATCH',
+  DEGREES_OUT_OF_RANGE: 'DEGREES_OUT_OF_RANGE',
+  MINUTES_OUT_OF_RANGE: 'MINUTES_OUT_OF_RANGE',
+  SECONDS_OUT_OF_RANGE: 'SECONDS_OUT_OF_RANGE',
+  LATITUDE_OUT_OF_RANGE: 'LATITUDE_OUT_OF_RANGE',
+  LONGITUDE_OUT_OF_RANGE: 'LONGITUDE_OUT_OF_RANGE',
+  ZONE_OUT_OF_RANGE: 'ZONE_OUT_OF_RANGE',
+  EASTING_OUT_OF_RANGE: 'EASTING_OUT_OF_RANGE',
+  NORTHING_OUT_OF_RANGE: 'NORTHING_OUT_OF_RANGE',
+  INVALID_GRID_SQUARE: 'INVALID_GRID_SQUARE',
+  ANGLE_OUT_OF_RANGE: 'ANGLE_OUT_OF_RANGE',
+};
+
+/**
+ * Error thrown by the parse functions. Besides the message it carries a stable `code` (see
+ * `ERROR_CODES`), the `axis` ('lat' or 'lon') the error refers to if known and the `start` and
+ * `end` character offsets of the offending token within the parsed string.
+ *
+ * The error is defined as a constructor function instead of a class, because classes extending
+ * `Error` lose their prototype when transpiled to ES5.
+ *
+ * @param {string} message
+ * @param {string} code
+ * @param {{ axis: string=, start: number=, end: number= }=} optDetails
+ * @constructor
+ */
+export function DmsParseError(message, code, optDetails) {
+  const details = optDetails !== undefined ? optDetails : {};
+  this.name = 'DmsParseError';
+  this.message = message;
+  this.code = code;
+  this.axis = details.axis;
+  this.start = details.start;
+  this.end = details.end;
+  this.stack = (new Error(message)).stack;
+}
+
+DmsParseError.prototype = Object.create(Error.prototype);
+DmsParseError.prototype.constructor = DmsParseError;
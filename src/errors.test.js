@@ -0,0 +1,29 @@
+import { DmsParseError, ERROR_CODES } from './errors';
+
+describe('DmsParseError', () => {
+  it('is an instance of Error and carries code, axis and position', () => {
+    const subject = new DmsParseError('Minutes out of range', ERROR_CODES.MINUTES_OUT_OF_RANGE, {
+      axis: 'lat',
+      start: 3,
+      end: 5,
+    });
+
+    expect(subject instanceof Error).toBe(true);
+    expect(subject instanceof DmsParseError).toBe(true);
+    expect(subject.name).toBe('DmsParseError');
+    expect(subject.message).toBe('Minutes out of range');
+    expect(subject.code).toBe('MINUTES_OUT_OF_RANGE');
+    expect(subject.axis).toBe('lat');
+    expect(subject.start).toBe(3);
+    expect(subject.end).toBe(5);
+    expect(typeof subject.stack).toBe('string');
+  });
+
+  it('leaves the details undefined if not passed', () => {
+    const subject = new DmsParseError('Could not parse string', ERROR_CODES.INVALID_SYNTAX);
+
+    expect(subject.axis).toBe(undefined);
+    expect(subject.start).toBe(undefined);
+    expect(subject.end).toBe(undefined);
+  });
+});
@@ -0,0 +1,170 @@
+import { FORMATS, matchComponent, parse } from './dmsformat';
+import { DmsParseError } from './errors';
+import { PRESETS } from './presets';
+
+/**
+ * Presets which are searched within a text through their `detect` regex. The syntax of the
+ * other presets, e.g. geohashes or MGRS references, is too close to ordinary words and numbers.
+ * @type {string[]}
+ */
+const SEARCHED_PRESETS = ['nmea', 'iso6709', 'icao'];
+
+/**
+ * Returns a global regex finding the syntax of a preset within a text. The anchors of the
+ * `detect` regex are removed and a sentence, e.g. of nmea, ends at the next whitespace.
+ * @param {RegExp} regex
+ * @returns {RegExp}
+ */
+function searchRegexOf(regex) {
+  const source = regex.source.replace(/^\^/, '').replace(/\$$/, '').replace(/\.\*/g, '\\S*');
+  return new RegExp(source, regex.ignoreCase ? 'gi' : 'g');
+}
+
+/**
+ * Checks if the candidate is glued to a word or a number of the surrounding text, e.g. the
+ * `N` of `IN59°` or a part of a longer number.
+ * @param {string} text
+ * @param {number} start
+ * @param {number} end
+ * @returns {boolean}
+ */
+function isEmbedded(text, start, end) {
+  const before = text.charAt(start - 1);
+  const after = text.charAt(end);
+  return /[A-Za-z\d.]/.test(before) || /[A-Za-z\d]/.test(after);
+}
+
+/**
+ * Splits a text into its dms components, see `matchComponent`. A hemisphere prefix which is the
+ * last letter of a word, e.g. the `n` of `seen 59°`, is skipped.
+ * @param {string} text
+ * @returns {Array<{ match: *, axis: string|undefined, start: number, end: number }>}
+ */
+function componentsWithin(text) {
+  const components = [];
+  let offset = 0;
+  let component;
+
+  while ((component = matchComponent(text, offset)) !== null) {
+    if (component.match[1] !== undefined && /[A-Za-z]/.test(text.charAt(component.start - 1))) {
+      offset = component.start + 1;
+    } else {
+      components.push(component);
+      offset = component.end;
+    }
+  }
+
+  return components;
+}
+
+/**
+ * Checks if a dms component is marked as part of a coordinate by a hemisphere letter or a unit.
+ * @param {{ match: *, axis: string|undefined }} component
+ * @returns {boolean}
+ */
+function isMarked(component) {
+  return component.axis !== undefined || /[°º'’‘′″":]/.test(component.match[0]);
+}
+
+/**
+ * Checks if a parsed candidate is recognizable as coordinate within a text. Each dms component
+ * needs a hemisphere letter or a unit. Unmarked dmm and dd strings need a comma and at least two
+ * values with 3 or more decimals, so that numbers of the text like `Version 1.2, 3.4` are not
+ * treated as coordinates. The searched presets are always recognizable, other formats never.
+ * @param {string} candidate
+ * @param {string} format
+ * @param {Array<{ match: *, axis: string|undefined }>} components
+ * @returns {boolean}
+ */
+function isRecognizable(candidate, format, components) {
+  if (format === FORMATS.DMS) {
+    return components.every(isMarked);
+  }
+
+  if (format === FORMATS.DMM || format === FORMATS.DD) {
+    return components.some(isMarked)
+      || (candidate.indexOf(',') !== -1 && (candidate.match(/\.\d{3,}/g) || []).length >= 2);
+  }
+
+  return SEARCHED_PRESETS.indexOf(format) !== -1;
+}
+
+/**
+ * Parses a candidate, returns `undefined` if it is not a valid coordinate.
+ * @param {string} candidate
+ * @param {{ formats: string[] }=} optOptions
+ * @returns {{ coordinate: [number, number], format: string }|undefined}
+ */
+function parsedOf(candidate, optOptions) {
+  try {
+    return parse(candidate, optOptions);
+  } catch (e) {
+    if (!(e instanceof DmsParseError)) {
+      throw e;
+    }
+    return undefined;
+  }
+}
+
+/**
+ * Finds all coordinates within an arbitrary text, e.g. an email or an incident report. dms, dmm
+ * and dd strings are recognized as well as the icao, nmea and iso6709 presets, UTM, MGRS, grid
+ * references, geohashes, Plus Codes and Maidenhead locators are not. Returns the found
+ * coordinates ordered by their position, each with its [lon, lat] `coordinate`, the detected
+ * `format`, the matched `text` and the `start` and `end` offsets within the text. Overlapping
+ * candidates are resolved in favor of the earlier and then the longer one. The values of dms
+ * strings need a hemisphere letter or a unit, dmm and dd strings without them need a comma
+ * between the values and at least 3 decimals.
+ *
+ * @param {string} text
+ * @param {{ formats: string[] }=} optOptions `formats` restricts the accepted formats, see `parse`
+ * @returns {Array<{ coordinate: [number, number], format: string, text: string, start: number, end: number }>}
+ */
+export function extractCoordinates(text, optOptions) {
+  const results = [];
+
+  function add(candidate, start, components) {
+    const end = start + candidate.length;
+    const parsed = !isEmbedded(text, start, end) ? parsedOf(candidate, optOptions) : undefined;
+
+    if (parsed !== undefined && isRecognizable(candidate, parsed.format, components)) {
+      results.push({ coordinate: parsed.coordinate, format: parsed.format, text: candidate, start, end });
+    }
+  }
+
+  SEARCHED_PRESETS.forEach((name) => {
+    const regex = searchRegexOf(PRESETS[name].detect);
+    let m;
+
+    while ((m = regex.exec(text)) !== null) {
+      add(m[0], m.index, []);
+      // continue behind the first character, so that overlapping candidates are found as well
+      regex.lastIndex = m.index + 1;
+    }
+  });
+
+  // dmm strings consist of up to four components, e.g. `41 24.2028, 2 10.4418`
+  const components = componentsWithin(text);
+  components.forEach((first, i) => {
+    [2, 3, 4].forEach((count) => {
+      const window = components.slice(i, i + count);
+      const isAdjacent = window.length === count && window.every((c, j) => j === 0
+        || /^\s*[,;]?\s*$/.test(text.substring(window[j - 1].end, c.start)));
+
+      if (isAdjacent) {
+        add(text.substring(first.start, window[count - 1].end), first.start, window);
+      }
+    });
+  });
+
+  results.sort((a, b) => a.start - b.start || b.end - a.end);
+
+  let last = 0;
+  return results.filter((result) => {
+    if (result.start < last) {
+      return false;
+    }
+    last = result.end;
+    return true;
+  });
+}
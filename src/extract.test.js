@@ -0,0 +1,78 @@
+import { extractCoordinates } from './extract';
+
+describe('extractCoordinates', () => {
+  it('finds coordinates of all supported formats within a text', () => {
+    const text = 'The vessel was seen at 59°12\'7.7"N 02°15\'39.6"W by the coast guard. '
+      + 'The helicopter started at N59°12.105\' W02°15.66\' and landed at 41 24.2028, 2 10.4418. '
+      + 'The camp is located at 51.5074, -0.1278. Tower: 5912N00216W, photo: +40.20361-075.00417/. '
+      + 'GPS log: $GPGGA,123519,4807.038,N,01131.000,E,1,08,0.9,545.4,M,46.9,M,,*47 end.';
+
+    const subject = extractCoordinates(text);
+
+    expect(subject.map((r) => r.format)).toEqual(['dms', 'dms', 'dmm', 'dd', 'icao', 'iso6709', 'nmea']);
+    expect(subject.map((r) => r.text)).toEqual([
+      '59°12\'7.7"N 02°15\'39.6"W',
+      'N59°12.105\' W02°15.66\'',
+      '41 24.2028, 2 10.4418',
+      '51.5074, -0.1278',
+      '5912N00216W',
+      '+40.20361-075.00417/',
+      '$GPGGA,123519,4807.038,N,01131.000,E,1,08,0.9,545.4,M,46.9,M,,*47',
+    ]);
+    subject.forEach((r) => {
+      expect(text.substring(r.start, r.end)).toBe(r.text);
+    });
+    expect(subject[0].coordinate).toEqual([-1 * (2 + 15 / 60 + 39.6 / 3600), 59 + 12 / 60 + 7.7 / 3600]);
+    expect(subject[3].coordinate).toEqual([-0.1278, 51.5074]);
+  });
+
+  it('finds dms coordinates with separators, spaces and hemisphere prefixes', () => {
+    const testData = [
+      'Position: 59° 12\' 7.7" N 02° 15\' 39.6" W.',
+      'Position (59 12\' 7.7" N, 02 15\' 39.6" W)',
+      'Position W02°15\'39.6" N59°12\'7.7"',
+      'It was seen 59°12\'7.7"N 02°15\'39.6"W',
+    ];
+
+    testData.forEach((v) => {
+      const subject = extractCoordinates(v);
+      expect(subject.length).toBe(1);
+      expect(subject[0].coordinate[0]).toBe(-1 * (2 + 15 / 60 + 39.6 / 3600));
+      expect(subject[0].coordinate[1]).toBe(59 + 12 / 60 + 7.7 / 3600);
+    });
+  });
+
+  it('ignores numbers and words which are no coordinates', () => {
+    const testData = [
+      'We had 3 apples and 4 pears on 12 May 2018.',
+      'Version 1.2.3, build 4.5.6 released',
+      'Invalid position 95.5, 200.5 was reported',
+      'Codes AB1234.5678, CD12.5 are not relevant',
+      'IN59°12\'7.7" and 123456',
+      'Version 1.2 3.4',
+      'Versions 1.2, 3.4',
+      'Rows 12 5, 13 6',
+      'Grid 31N 430960 4583867 and 12 May',
+      'Measured 51.5074 -0.1278 twice',
+    ];
+
+    testData.forEach((v) => {
+      expect(extractCoordinates(v)).toEqual([]);
+    });
+  });
+
+  it('finds decimal degrees with hemisphere letters without a comma', () => {
+    ['At 51.5074 N 0.1278 W.', 'At N51.5074 W0.1278.', 'At 51.5074° N, 0.1278° W.'].forEach((v) => {
+      const subject = extractCoordinates(v);
+      expect(subject.length).toBe(1);
+      expect(subject[0].coordinate).toEqual([-0.1278, 51.5074]);
+    });
+  });
+
+  it('only returns the formats passed through the options', () => {
+    const text = 'From 59°12\'7.7"N 02°15\'39.6"W to 51.5074, -0.1278';
+    const subject = extractCoordinates(text, { formats: ['dd'] });
+    expect(subject.length).toBe(1);
+    expect(subject[0].format).toBe('dd');
+  });
+});
@@ -0,0 +1,370 @@
+import { DmsParseError, ERROR_CODES } from './errors';
+import { localizeHemisphere, localizeNumber } from './locales';
+
+/**
+ * @type {{degrees: string, minutes: string, seconds: string}}
+ */
+export const UNITS = {
+  degrees: '°',
+  minutes: '′',
+  seconds: '″',
+};
+
+/**
+ * Range and hemisphere letters ([positive, negative]) of the latitude and longitude axis.
+ * @type {{lat: {max: number, hemispheres: string[], rangeError: string, rangeErrorCode: string}, lon: {max: number, hemispheres: string[], rangeError: string, rangeErrorCode: string}}}
+ */
+export const AXES = {
+  lat: {
+    max: 90,
+    hemispheres: ['N', 'S'],
+    rangeError: 'Latitude out of range',
+    rangeErrorCode: ERROR_CODES.LATITUDE_OUT_OF_RANGE,
+  },
+  lon: {
+    max: 180,
+    hemispheres: ['E', 'W'],
+    rangeError: 'Longitude out of range',
+    rangeErrorCode: ERROR_CODES.LONGITUDE_OUT_OF_RANGE,
+  },
+};
+
+/**
+ * Definition of the value tokens of a format string. `width` is the number of integer digits
+ * of the zero padded token.
+ * @type {{}}
+ */
+const FORMAT_TOKENS = {
+  D: { value: 'degreesInt', unit: 'degrees', perDegree: 1, width: 3, isDecimal: false },
+  d: { value: 'degrees', unit: 'degrees', perDegree: 1, width: 3, isDecimal: true },
+  M: { value: 'minutesInt', unit: 'minutes', perDegree: 60, width: 2, isDecimal: false },
+  m: { value: 'minutes', unit: 'minutes', perDegree: 60, width: 2, isDecimal: true },
+  s: { value: 'seconds', unit: 'seconds', perDegree: 3600, width: 2, isDecimal: true },
+};
+
+/**
+ * RegEx matching the literals (`[text]`, `\c`) and tokens of a format string.
+ * @type {RegExp}
+ */
+const FORMAT_TOKEN_REGEX = /\[([^\]]*)\]|\\(.)|([DdMms])\3{0,2}(?:\{(\d+)\})?|[X-]/;
+
+/**
+ * Length of one degree of latitude in meters on a sphere with the equatorial radius of WGS84.
+ * The approximation is good enough to derive decimal places and uncertainties.
+ * @type {number}
+ */
+export const METERS_PER_DEGREE = 2 * Math.PI * 6378137 / 360;
+
+/**
+ * Check if the given value is within the allowed range
+ * @param {number} value
+ * @param {number} a
+ * @param {number} b
+ * @returns {boolean}
+ */
+export function inRange(value, a, b) {
+  return value >= a && value <= b;
+}
+
+/**
+ * Checks if the given value is of type number
+ * @param {*} v
+ * @returns {boolean}
+ */
+export function isNumber(v) {
+  return typeof v == 'number' && !isNaN(v);
+}
+
+/**
+ * Converts degrees to radians.
+ * @param {number} value
+ * @returns {number}
+ */
+export function toRadians(value) {
+  return value * Math.PI / 180;
+}
+
+/**
+ * Converts radians to degrees.
+ * @param {number} value
+ * @returns {number}
+ */
+export function toDegrees(value) {
+  return value * 180 / Math.PI;
+}
+
+/**
+ * Converts a positive decimal angle to the index of the cell containing it, e.g. for a grid of
+ * 20 cells per degree. Values at a cell border belong to the upper cell, also if the angle is
+ * not exactly representable as floating point number.
+ * @param {number} value
+ * @param {number} perDegree number of cells per degree
+ * @returns {number}
+ */
+export function cellIndexOf(value, perDegree) {
+  return Math.floor(Math.round(value * perDegree * 1e6) / 1e6);
+}
+
+/**
+ * Splits a format string into literals and tokens. A token is a letter of `FORMAT_TOKENS`,
+ * repeated up to three times (`D` value, `DD` value with unit, `DDD` zero padded value with
+ * unit), optionally followed by the decimal places in braces, e.g. `s{1}`. `X` is replaced with
+ * the hemisphere letter and `-` with the minus sign of negative values. Text in square brackets
+ * and characters escaped with a backslash are kept as literals.
+ * @param {string} format
+ * @param {number} decimalPlaces default decimal places of the tokens
+ * @returns {Array<{ literal: string }|{ key: string, withUnit: boolean, padded: boolean, precision: number }>}
+ */
+export function tokenizeFormat(format, decimalPlaces) {
+  const tokens = [];
+  const regex = new RegExp(FORMAT_TOKEN_REGEX.source, 'g');
+  let last = 0;
+  let m;
+
+  while ((m = regex.exec(format)) !== null) {
+    if (m.index > last) {
+      tokens.push({ literal: format.substring(last, m.index) });
+    }
+    last = m.index + m[0].length;
+
+    if (m[1] !== undefined || m[2] !== undefined) {
+      tokens.push({ literal: m[1] !== undefined ? m[1] : m[2] });
+    } else if (m[3] !== undefined) {
+      const length = m[0].length - (m[4] !== undefined ? m[4].length + 2 : 0);
+      tokens.push({
+        key: m[3],
+        withUnit: length > 1,
+        padded: length > 2,
+        precision: m[4] !== undefined ? Number(m[4]) : decimalPlaces,
+      });
+    } else {
+      tokens.push({ key: m[0] });
+    }
+  }
+
+  if (last < format.length) {
+    tokens.push({ literal: format.substring(last) });
+  }
+
+  return tokens;
+}
+
+/**
+ * Returns the finest unit used by the format tokens and the decimal places it is rounded to.
+ * `perDegree` is the number of units per degree (3600 for seconds, 60 for minutes, 1 for degrees).
+ * @param {Array<{}>} tokens
+ * @returns {{ perDegree: number, decimalPlaces: number }}
+ */
+export function roundingFor(tokens) {
+  return tokens.reduce((rounding, token) => {
+    const def = FORMAT_TOKENS[token.key];
+    if (def === undefined) {
+      return rounding;
+    }
+
+    const decimalPlaces = def.isDecimal ? token.precision : 0;
+    return def.perDegree > rounding.perDegree
+      || (def.perDegree === rounding.perDegree && decimalPlaces > rounding.decimalPlaces)
+      ? { perDegree: def.perDegree, decimalPlaces }
+      : rounding;
+  }, { perDegree: 1, decimalPlaces: 0 });
+}
+
+/**
+ * Returns the length of one degree of the given axis in meters. Degrees of longitude shrink
+ * with the cosine of the latitude.
+ * @param {string} axis 'lat' or 'lon'
+ * @param {number} latitude
+ * @returns {number}
+ */
+export function metersPerDegreeOf(axis, latitude) {
+  return axis === 'lon'
+    ? METERS_PER_DEGREE * Math.cos(latitude * Math.PI / 180)
+    : METERS_PER_DEGREE;
+}
+
+/**
+ * Returns the decimal places of the finest unit of a format string, so that the rounding error
+ * of a formatted angle, which is half of the last decimal place, is at most the given distance.
+ * @param {string} format e.g. 'DD MM ss X'
+ * @param {number} meters
+ * @param {string} axis 'lat' or 'lon'
+ * @param {number} latitude latitude of the coordinate, used for the length of longitudes
+ * @returns {number}
+ */
+export function decimalPlacesFor(format, meters, axis, latitude) {
+  const metersPerUnit = metersPerDegreeOf(axis, latitude) / roundingFor(tokenizeFormat(format, 0)).perDegree;
+  return Math.max(0, Math.ceil(Math.log10(metersPerUnit / (2 * meters))));
+}
+
+/**
+ * Computes the decimal angle of the given degrees, minutes and seconds strings and checks the
+ * ranges of the minutes and seconds. The range of the angle is left to the caller.
+ * @param {{ degrees: string, minutes: string=, seconds: string=, sign: number }} parts
+ * @param {{ axis: string=, start: number, end: number }} details details of the thrown errors
+ * @returns {number}
+ * @throws {DmsParseError}
+ */
+export function angleFromParts(parts, details) {
+  const minutes = parts.minutes !== undefined ? Number(parts.minutes) : 0;
+  const seconds = parts.seconds !== undefined ? Number(parts.seconds) : 0;
+
+  if (!inRange(minutes, 0, 60)) {
+    throw new DmsParseError('Minutes out of range', ERROR_CODES.MINUTES_OUT_OF_RANGE, details);
+  }
+
+  if (!inRange(seconds, 0, 60)) {
+    throw new DmsParseError('Seconds out of range', ERROR_CODES.SECONDS_OUT_OF_RANGE, details);
+  }
+
+  return parts.sign * (Number(parts.degrees) + minutes / 60 + seconds / 3600);
+}
+
+/**
+ * Computes the decimal angle of the given degrees, minutes and seconds strings and checks the
+ * ranges of the values.
+ * @param {{ degrees: string, minutes: string=, seconds: string=, sign: number }} parts
+ * @param {string} axis 'lat' or 'lon'
+ * @param {{ start: number, end: number }} range position of the value within the parsed string
+ * @returns {number}
+ * @throws {DmsParseError}
+ */
+export function decDegFromParts(parts, axis, range) {
+  const details = Object.assign({ axis }, range);
+  const value = angleFromParts(parts, details);
+
+  if (!inRange(value, -AXES[axis].max, AXES[axis].max)) {
+    throw new DmsParseError(AXES[axis].rangeError, AXES[axis].rangeErrorCode, details);
+  }
+
+  return value;
+}
+
+/**
+ * Matches the trimmed value against the given regex. The offset of the match within the
+ * untrimmed value is returned as `offset` property.
+ * @param {string} value
+ * @param {RegExp} regex
+ * @returns {*}
+ * @throws {DmsParseError}
+ */
+export function matchSyntax(value, regex) {
+  const m = value.trim().match(regex);
+
+  if (!m) {
+    throw new DmsParseError('Could not parse string', ERROR_CODES.INVALID_SYNTAX, {
+      start: 0,
+      end: value.length,
+    });
+  }
+
+  m.offset = value.search(/\S/);
+  return m;
+}
+
+/**
+ * Returns the hemisphere letter of a decimal angle of the given axis.
+ * @param {number} value
+ * @param {string} axis 'lat' or 'lon'
+ * @returns {string}
+ */
+export function hemisphereFor(value, axis) {
+  return value > 0 ? AXES[axis].hemispheres[0] : AXES[axis].hemispheres[1];
+}
+
+/**
+ * Pads the integer part of a number string with zeros up to the given width.
+ * @param {string} value
+ * @param {number} width
+ * @returns {string}
+ */
+export function zeroPad(value, width) {
+  let padded = value;
+  while (padded.split('.')[0].length < width) {
+    padded = '0' + padded;
+  }
+  return padded;
+}
+
+/**
+ * Computes the degrees, minutes and seconds of a single decimal angle. The angle is rounded
+ * once in the finest unit of the format and split up afterwards, so that a rounding carry is
+ * pushed into the minutes and degrees and seconds / minutes never render as 60.
+ * @param {number} initValue
+ * @param {{ perDegree: number, decimalPlaces: number }} rounding
+ * @returns {{}}
+ */
+export function computeAngleConfig(initValue, rounding) {
+  // the rounded angle is handled as an integer of the finest unit to avoid floating point errors
+  const factor = Math.pow(10, rounding.decimalPlaces);
+  const unitsPerDegree = rounding.perDegree * factor;
+  const total = Math.round(Math.abs(initValue) * unitsPerDegree);
+
+  const values = {};
+  values.initValue = initValue;
+  values.degrees = Math.abs(initValue);
+  values.degreesInt = Math.floor(total / unitsPerDegree);
+
+  const rest = total - values.degreesInt * unitsPerDegree;
+  if (rounding.perDegree === 3600) {
+    values.minutesInt = Math.floor(rest / (60 * factor));
+    values.seconds = (rest - values.minutesInt * 60 * factor) / factor;
+    values.minutes = values.minutesInt + values.seconds / 60;
+  } else {
+    values.minutes = rest * (60 / rounding.perDegree) / factor;
+    values.minutesInt = Math.floor(values.minutes);
+    values.seconds = (values.minutes - values.minutesInt) * 60;
+  }
+
+  return values;
+}
+
+/**
+ * Formats a single decimal angle of the given axis with the given format tokens. Besides the
+ * tokens of `tokenizeFormat` value tokens may define the `width` of their zero padding and
+ * `X` tokens may be written in `lowerCase`, as used by the metadata of `fromDMS`.
+ * @param {Array<{}>} tokens see `tokenizeFormat`
+ * @param {{ units: {} }} options
+ * @param {number} value
+ * @param {string} axis 'lat' or 'lon'
+ * @returns {string}
+ */
+export function formatFor(tokens, options, value, axis) {
+  const values = computeAngleConfig(value, roundingFor(tokens));
+  const units = Object.assign({}, UNITS, options.units);
+  const X = localizeHemisphere(hemisphereFor(value, axis), options.locale);
+
+  return tokens.map((token) => {
+    if (token.literal !== undefined) {
+      return token.literal;
+    }
+
+    if (token.key === 'X') {
+      return token.lowerCase ? X.toLowerCase() : X;
+    }
+
+    if (token.key === '-') {
+      return values.initValue < 0 ? '-' : '';
+    }
+
+    const def = FORMAT_TOKENS[token.key];
+    const number = def.isDecimal
+      ? values[def.value].toFixed(token.precision)
+      : String(values[def.value]);
+    const width = token.width !== undefined ? token.width : def.width;
+    const formatted = localizeNumber(token.padded ? zeroPad(number, width) : number, options.locale);
+    return token.withUnit ? formatted + units[def.unit] : formatted;
+  }).join('');
+}
+
+/**
+ * Returns the default options of the format functions merged with the given options.
+ * @param {{}=} optOptions
+ * @returns {{ decimalPlaces: number, latLonSeparator: string, units: {}, locale: string }}
+ */
+export function formatOptions(optOptions) {
+  return Object.assign({
+    decimalPlaces: 5,
+    latLonSeparator: ' ',
+  }, optOptions !== undefined ? optOptions : {});
+}
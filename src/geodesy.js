@@ -0,0 +1,331 @@
+import { DATUMS } from './datum';
+import { parse } from './dmsformat';
+import { inRange, isNumber, toDegrees, toRadians } from './format';
+
+/**
+ * Methods of the distance functions. Haversine works on a sphere with the mean earth radius,
+ * Vincenty on the WGS84 ellipsoid. Vincenty falls back to haversine for nearly antipodal points,
+ * for which the formula does not converge.
+ * @type {{HAVERSINE: string, VINCENTY: string}}
+ */
+export const DISTANCE_METHODS = {
+  HAVERSINE: 'haversine',
+  VINCENTY: 'vincenty',
+};
+
+/**
+ * Mean earth radius in meters, used by the haversine method.
+ * @type {number}
+ */
+const EARTH_RADIUS = 6371008.8;
+
+/**
+ * Fills the options of the distance functions with their defaults.
+ * @param {{}=} optOptions
+ * @returns {{ method: string }}
+ * @throws
+ */
+function distanceOptions(optOptions) {
+  const options = Object.assign({
+    method: DISTANCE_METHODS.VINCENTY,
+  }, optOptions !== undefined ? optOptions : {});
+
+  if (options.method !== DISTANCE_METHODS.HAVERSINE && options.method !== DISTANCE_METHODS.VINCENTY) {
+    throw new Error('Not a valid method');
+  }
+
+  return options;
+}
+
+/**
+ * Returns the [lon, lat] coordinate of a point, which is either a coordinate or a string of any
+ * format supported by `parse`. An altitude, e.g. of an iso6709 string, is dropped.
+ * @param {[number, number]|[number, number, number]|string} point
+ * @param {{ formats: string[], locale: string, datum: string }} options passed to `parse`
+ * @returns {[number, number]} [lon, lat]
+ * @throws
+ */
+function pointOf(point, options) {
+  const coordinate = typeof point === 'string'
+    ? parse(point, options).coordinate
+    : point;
+
+  if (!Array.isArray(coordinate) || (coordinate.length !== 2 && coordinate.length !== 3)
+    || !isNumber(coordinate[0]) || !inRange(coordinate[0], -180, 180)
+    || !isNumber(coordinate[1]) || !inRange(coordinate[1], -90, 90)) {
+    throw new Error('Not a valid coordinate');
+  }
+
+  return coordinate.slice(0, 2);
+}
+
+/**
+ * Wraps a longitude into [-180, 180).
+ * @param {number} lon
+ * @returns {number}
+ */
+function wrapLongitude(lon) {
+  return ((lon + 540) % 360) - 180;
+}
+
+/**
+ * Wraps a bearing into [0, 360).
+ * @param {number} bearing
+ * @returns {number}
+ */
+function wrapBearing(bearing) {
+  return (bearing + 360) % 360;
+}
+
+/**
+ * Solves the inverse geodesic problem on a sphere with the mean earth radius.
+ * @param {[number, number]} a [lon, lat]
+ * @param {[number, number]} b [lon, lat]
+ * @returns {{ distance: number, initialBearing: number }} meters and degrees
+ */
+function haversineInverse(a, b) {
+  const phi1 = toRadians(a[1]);
+  const phi2 = toRadians(b[1]);
+  const sinDeltaPhi = Math.sin((phi2 - phi1) / 2);
+  const deltaLambda = toRadians(b[0] - a[0]);
+  const sinDeltaLambda = Math.sin(deltaLambda / 2);
+  const h = sinDeltaPhi * sinDeltaPhi + Math.cos(phi1) * Math.cos(phi2) * sinDeltaLambda * sinDeltaLambda;
+
+  return {
+    distance: 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h))),
+    initialBearing: wrapBearing(toDegrees(Math.atan2(
+      Math.sin(deltaLambda) * Math.cos(phi2),
+      Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(deltaLambda)
+    ))),
+  };
+}
+
+/**
+ * Solves the inverse geodesic problem on the WGS84 ellipsoid, see Vincenty, "Direct and Inverse
+ * Solutions of Geodesics on the Ellipsoid with application of nested equations" (1975).
+ * @param {[number, number]} a [lon, lat]
+ * @param {[number, number]} b [lon, lat]
+ * @returns {{ distance: number, initialBearing: number }|undefined} meters and degrees or
+ * `undefined` for nearly antipodal points, for which the formula does not converge
+ */
+function vincentyInverse(a, b) {
+  const { a: semiMajor, f } = DATUMS.WGS84.ellipsoid;
+  const semiMinor = semiMajor * (1 - f);
+  const L = toRadians(b[0] - a[0]);
+  const tanU1 = (1 - f) * Math.tan(toRadians(a[1]));
+  const cosU1 = 1 / Math.sqrt(1 + tanU1 * tanU1);
+  const sinU1 = tanU1 * cosU1;
+  const tanU2 = (1 - f) * Math.tan(toRadians(b[1]));
+  const cosU2 = 1 / Math.sqrt(1 + tanU2 * tanU2);
+  const sinU2 = tanU2 * cosU2;
+
+  let lambda = L;
+  let previous;
+  let iterations = 0;
+  let sinLambda;
+  let cosLambda;
+  let sinSigma;
+  let cosSigma;
+  let sigma;
+  let cosSqAlpha;
+  let cos2SigmaM;
+
+  do {
+    sinLambda = Math.sin(lambda);
+    cosLambda = Math.cos(lambda);
+    const sinSqSigma = (cosU2 * sinLambda) * (cosU2 * sinLambda)
+      + (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) * (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda);
+
+    // coincident points
+    if (sinSqSigma === 0) {
+      return { distance: 0, initialBearing: 0 };
+    }
+
+    sinSigma = Math.sqrt(sinSqSigma);
+    cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+    sigma = Math.atan2(sinSigma, cosSigma);
+    const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+    cosSqAlpha = 1 - sinAlpha * sinAlpha;
+    // points on the equator have no cos2SigmaM
+    cos2SigmaM = cosSqAlpha !== 0 ? cosSigma - 2 * sinU1 * sinU2 / cosSqAlpha : 0;
+    const C = f / 16 * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+    previous = lambda;
+    lambda = L + (1 - C) * f * sinAlpha
+      * (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+
+    // nearly antipodal points do not converge
+    if (++iterations > 1000) {
+      return undefined;
+    }
+  } while (Math.abs(lambda - previous) > 1e-12);
+
+  const uSq = cosSqAlpha * (semiMajor * semiMajor - semiMinor * semiMinor) / (semiMinor * semiMinor);
+  const A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+  const B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+  const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)
+    - B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+
+  return {
+    distance: semiMinor * A * (sigma - deltaSigma),
+    initialBearing: wrapBearing(toDegrees(Math.atan2(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda))),
+  };
+}
+
+/**
+ * Solves the inverse geodesic problem with the given method. Vincenty falls back to haversine
+ * for nearly antipodal points.
+ * @param {[number, number]} a [lon, lat]
+ * @param {[number, number]} b [lon, lat]
+ * @param {string} method see `DISTANCE_METHODS`
+ * @returns {{ distance: number, initialBearing: number }} meters and degrees
+ */
+function inverseOf(a, b, method) {
+  const result = method === DISTANCE_METHODS.VINCENTY ? vincentyInverse(a, b) : undefined;
+  return result !== undefined ? result : haversineInverse(a, b);
+}
+
+/**
+ * Solves the direct geodesic problem on the WGS84 ellipsoid, see `vincentyInverse`.
+ * @param {[number, number]} point [lon, lat]
+ * @param {number} bearing initial bearing in degrees
+ * @param {number} distance meters
+ * @returns {[number, number]} [lon, lat]
+ */
+function vincentyDirect(point, bearing, distance) {
+  const { a: semiMajor, f } = DATUMS.WGS84.ellipsoid;
+  const semiMinor = semiMajor * (1 - f);
+  const sinAlpha1 = Math.sin(toRadians(bearing));
+  const cosAlpha1 = Math.cos(toRadians(bearing));
+  const tanU1 = (1 - f) * Math.tan(toRadians(point[1]));
+  const cosU1 = 1 / Math.sqrt(1 + tanU1 * tanU1);
+  const sinU1 = tanU1 * cosU1;
+  const sigma1 = Math.atan2(tanU1, cosAlpha1);
+  const sinAlpha = cosU1 * sinAlpha1;
+  const cosSqAlpha = 1 - sinAlpha * sinAlpha;
+  const uSq = cosSqAlpha * (semiMajor * semiMajor - semiMinor * semiMinor) / (semiMinor * semiMinor);
+  const A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+  const B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+
+  let sigma = distance / (semiMinor * A);
+  let previous;
+  let sinSigma;
+  let cosSigma;
+  let cos2SigmaM;
+
+  do {
+    cos2SigmaM = Math.cos(2 * sigma1 + sigma);
+    sinSigma = Math.sin(sigma);
+    cosSigma = Math.cos(sigma);
+    const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)
+      - B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+    previous = sigma;
+    sigma = distance / (semiMinor * A) + deltaSigma;
+  } while (Math.abs(sigma - previous) > 1e-12);
+
+  const x = sinU1 * sinSigma - cosU1 * cosSigma * cosAlpha1;
+  const lat = Math.atan2(sinU1 * cosSigma + cosU1 * sinSigma * cosAlpha1, (1 - f) * Math.sqrt(sinAlpha * sinAlpha + x * x));
+  const lambda = Math.atan2(sinSigma * sinAlpha1, cosU1 * cosSigma - sinU1 * sinSigma * cosAlpha1);
+  const C = f / 16 * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+  const L = lambda - (1 - C) * f * sinAlpha
+    * (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+
+  return [wrapLongitude(point[0] + toDegrees(L)), toDegrees(lat)];
+}
+
+/**
+ * Returns the distance between two points in meters. The points are either [lon, lat]
+ * coordinates or strings of any format supported by `parse`, e.g. `59°12'7.7"N 02°15'39.6"W`.
+ * The distance is computed on the WGS84 ellipsoid (Vincenty) or, with the `method` 'haversine',
+ * on a sphere with the mean earth radius. Nearly antipodal points, for which Vincenty does not
+ * converge, are computed with haversine, which is accurate to about 0.5 %.
+ * @param {[number, number]|string} a
+ * @param {[number, number]|string} b
+ * @param {{ method: string, formats: string[], locale: string, datum: string }=} optOptions
+ * `method` defaults to 'vincenty', the other options are passed to `parse`
+ * @returns {number} meters
+ * @throws
+ */
+export function distance(a, b, optOptions) {
+  const options = distanceOptions(optOptions);
+  return inverseOf(pointOf(a, options), pointOf(b, options), options.method).distance;
+}
+
+/**
+ * Returns the initial bearing from point `a` to point `b` as azimuth in degrees within [0, 360),
+ * which can be formatted through `toAngle`. See `distance` for the points and options.
+ * @param {[number, number]|string} a
+ * @param {[number, number]|string} b
+ * @param {{ method: string, formats: string[], locale: string, datum: string }=} optOptions
+ * @returns {number} degrees
+ * @throws
+ */
+export function initialBearing(a, b, optOptions) {
+  const options = distanceOptions(optOptions);
+  return inverseOf(pointOf(a, options), pointOf(b, options), options.method).initialBearing;
+}
+
+/**
+ * Returns the point reached after travelling the given distance from a point along a geodesic
+ * (Vincenty) or great circle (haversine) with the given initial bearing. See `distance` for the
+ * point and options.
+ * @param {[number, number]|string} point
+ * @param {number} bearing initial bearing in degrees clockwise from north
+ * @param {number} meters
+ * @param {{ method: string, formats: string[], locale: string, datum: string }=} optOptions
+ * @returns {[number, number]} [lon, lat]
+ * @throws
+ */
+export function destination(point, bearing, meters, optOptions) {
+  const options = distanceOptions(optOptions);
+  const from = pointOf(point, options);
+
+  if (!isNumber(bearing) || !isNumber(meters)) {
+    throw new Error('Not a valid bearing or distance');
+  }
+
+  if (options.method === DISTANCE_METHODS.VINCENTY) {
+    return vincentyDirect(from, bearing, meters);
+  }
+
+  const phi1 = toRadians(from[1]);
+  const theta = toRadians(bearing);
+  const delta = meters / EARTH_RADIUS;
+  const phi2 = Math.asin(Math.sin(phi1) * Math.cos(delta) + Math.cos(phi1) * Math.sin(delta) * Math.cos(theta));
+  const lambda = Math.atan2(
+    Math.sin(theta) * Math.sin(delta) * Math.cos(phi1),
+    Math.cos(delta) - Math.sin(phi1) * Math.sin(phi2)
+  );
+  return [wrapLongitude(from[0] + toDegrees(lambda)), toDegrees(phi2)];
+}
+
+/**
+ * Returns the point halfway between two points along the geodesic (Vincenty) or great circle
+ * (haversine). See `distance` for the points and options.
+ * @param {[number, number]|string} a
+ * @param {[number, number]|string} b
+ * @param {{ method: string, formats: string[], locale: string, datum: string }=} optOptions
+ * @returns {[number, number]} [lon, lat]
+ * @throws
+ */
+export function midpoint(a, b, optOptions) {
+  const options = distanceOptions(optOptions);
+  const from = pointOf(a, options);
+  const to = pointOf(b, options);
+
+  const inverse = options.method === DISTANCE_METHODS.VINCENTY ? vincentyInverse(from, to) : undefined;
+  if (inverse !== undefined) {
+    return vincentyDirect(from, inverse.initialBearing, inverse.distance / 2);
+  }
+
+  const phi1 = toRadians(from[1]);
+  const phi2 = toRadians(to[1]);
+  const deltaLambda = toRadians(to[0] - from[0]);
+  const bx = Math.cos(phi2) * Math.cos(deltaLambda);
+  const by = Math.cos(phi2) * Math.sin(deltaLambda);
+  const phi = Math.atan2(
+    Math.sin(phi1) + Math.sin(phi2),
+    Math.sqrt((Math.cos(phi1) + bx) * (Math.cos(phi1) + bx) + by * by)
+  );
+  const lambda = Math.atan2(by, Math.cos(phi1) + bx);
+  return [wrapLongitude(from[0] + toDegrees(lambda)), toDegrees(phi)];
+}
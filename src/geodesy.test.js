@@ -0,0 +1,93 @@
+import { destination, distance, initialBearing, midpoint } from './geodesy';
+
+// Flinders Peak and Buninyong, see Vincenty (1975)
+const FLINDERS_PEAK = '37°57′03.72030″S 144°25′29.52440″E';
+const BUNINYONG = '37°39′10.15610″S 143°55′35.38390″E';
+
+describe('distance', () => {
+  it('computes the distance on the WGS84 ellipsoid', () => {
+    expect(distance(FLINDERS_PEAK, BUNINYONG)).toBeCloseTo(54972.271, 3);
+    expect(distance([0, 0], [1, 0])).toBeCloseTo(111319.491, 3);
+    expect(distance([1, 1], [1, 1])).toBe(0);
+  });
+
+  it('computes the distance on a sphere with the haversine method', () => {
+    expect(distance([0, 0], [1, 0], { method: 'haversine' })).toBeCloseTo(111195.080, 3);
+    expect(distance([0, 90], [0, -90], { method: 'haversine' })).toBeCloseTo(Math.PI * 6371008.8, 3);
+  });
+
+  it('falls back to haversine for nearly antipodal points', () => {
+    [[[0, 0], [180, 0]], [[0, 0], [179.7, 0.5]]].forEach(([a, b]) => {
+      const subject = distance(a, b);
+      expect(subject).toBe(distance(a, b, { method: 'haversine' }));
+      expect(Math.abs(subject - 20003931.459) / 20003931.459).toBeLessThan(0.005);
+      expect(initialBearing(a, b)).toBe(initialBearing(a, b, { method: 'haversine' }));
+      expect(midpoint(a, b)).toEqual(midpoint(a, b, { method: 'haversine' }));
+    });
+  });
+
+  it('accepts strings of any supported format', () => {
+    expect(distance('59°12\'7.7"N 02°15\'39.6"W', '59 12.1283, -2 15.66')).toBeLessThan(1);
+    expect(distance('59,20214; -2,261', [-2.261, 59.20214], { locale: 'de' })).toBe(0);
+  });
+
+  it('ignores the altitude of a point', () => {
+    expect(distance('+27.5916+086.5640+8850CRSWGS_84/', [86.564, 27.5916])).toBe(0);
+    expect(distance([86.564, 27.5916, 8850], [86.564, 27.5916])).toBe(0);
+    expect(midpoint('+27.5916+086.5640+8850CRSWGS_84/', [86.564, 27.5916]).length).toBe(2);
+  });
+
+  it('throws for invalid points and options', () => {
+    expect(() => distance('abc', [0, 0])).toThrow('Could not parse string');
+    expect(() => distance([0, 91], [0, 0])).toThrow('Not a valid coordinate');
+    expect(() => distance([0, 0], [1, 0], { method: 'flat' })).toThrow('Not a valid method');
+  });
+});
+
+describe('initialBearing', () => {
+  it('computes the initial bearing as azimuth', () => {
+    expect(initialBearing(FLINDERS_PEAK, BUNINYONG)).toBeCloseTo(306 + 52 / 60 + 5.37 / 3600, 5);
+    expect(initialBearing([0, 0], [0, -1])).toBe(180);
+    expect(initialBearing([0, 0], [1, 1], { method: 'haversine' })).toBeCloseTo(44.99564, 5);
+  });
+});
+
+describe('destination', () => {
+  it('computes the point reached with a bearing and distance', () => {
+    const subject = destination(FLINDERS_PEAK, 306 + 52 / 60 + 5.37 / 3600, 54972.271);
+    expect(subject[0]).toBeCloseTo(143 + 55 / 60 + 35.3839 / 3600, 6);
+    expect(subject[1]).toBeCloseTo(-(37 + 39 / 60 + 10.1561 / 3600), 6);
+  });
+
+  it('supports the haversine method and wraps the longitude', () => {
+    const subject = destination([179.5, 0], 90, 111195.0802, { method: 'haversine' });
+    expect(subject[0]).toBeCloseTo(-179.5, 6);
+    expect(subject[1]).toBeCloseTo(0, 6);
+  });
+
+  it('throws for invalid bearings and distances', () => {
+    expect(() => destination([0, 0], '90', 1000)).toThrow('Not a valid bearing or distance');
+  });
+});
+
+describe('midpoint', () => {
+  it('computes the point halfway between two points', () => {
+    const testData = [
+      [[0, 0], [10, 0], undefined, [5, 0]],
+      [[0, 0], [10, 0], 'haversine', [5, 0]],
+      [[0, 10], [0, 20], 'haversine', [0, 15]],
+    ];
+
+    testData.forEach(([a, b, method, expected]) => {
+      const subject = midpoint(a, b, { method: method !== undefined ? method : 'vincenty' });
+      expect(subject[0]).toBeCloseTo(expected[0], 6);
+      expect(subject[1]).toBeCloseTo(expected[1], 6);
+    });
+  });
+
+  it('computes the midpoint across the antimeridian', () => {
+    const subject = midpoint([179, 10], [-179, 10], { method: 'haversine' });
+    expect(Math.abs(subject[0])).toBeCloseTo(180, 6);
+    expect(subject[1]).toBeCloseTo(10.0015, 4);
+  });
+});
@@ -0,0 +1,116 @@
+import { DmsParseError, ERROR_CODES } from './errors';
+import { AXES, inRange, isNumber } from './format';
+
+/**
+ * RegEx for geohash strings as detected by `parse`. Only lowercase strings of 5 to 12
+ * characters with at least one digit and one letter are detected, so that plain numbers, short
+ * words and other formats are not treated as geohash. `decodeGeohash` accepts all strings of
+ * the geohash alphabet.
+ * @type {RegExp}
+ */
+export const GEOHASH_REGEX = /^(?=[^a-z]*[a-z])(?=\D*\d)[0-9b-hjkmnp-z]{5,12}$/;
+
+/**
+ * RegEx for lowercase geohash strings of any length, e.g. `u3`. Only accepted by `parse` if the
+ * geohash format is requested explicitly through the `formats` option.
+ * @type {RegExp}
+ */
+export const SHORT_GEOHASH_REGEX = /^[0-9b-hjkmnp-z]{1,12}$/;
+
+/**
+ * Base 32 alphabet of the geohash characters.
+ * @type {string}
+ */
+const ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/**
+ * Decodes a geohash, e.g. `gfjm5gq4b`. Returns the center of the cell as [lon, lat]
+ * `coordinate` and the `bounds` of the cell as [west, south, east, north] array.
+ * @param {string} value
+ * @returns {{ coordinate: [number, number], bounds: [number, number, number, number] }}
+ * @throws {DmsParseError}
+ */
+export function decodeGeohash(value) {
+  const offset = value.search(/\S|$/);
+  const v = value.trim().toLowerCase();
+  const bounds = { lon: [-180, 180], lat: [-90, 90] };
+  let isLon = true;
+
+  if (v.length === 0) {
+    throw new DmsParseError('Could not parse string', ERROR_CODES.INVALID_SYNTAX, { start: 0, end: value.length });
+  }
+
+  for (let i = 0; i < v.length; i++) {
+    const index = ALPHABET.indexOf(v.charAt(i));
+    if (index === -1) {
+      throw new DmsParseError('Could not parse string', ERROR_CODES.INVALID_SYNTAX, {
+        start: offset + i,
+        end: offset + i + 1,
+      });
+    }
+
+    // each character describes five bits, which alternately halve the longitude and latitude
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = isLon ? bounds.lon : bounds.lat;
+      const mid = (range[0] + range[1]) / 2;
+      range[(index >> bit) & 1 ? 0 : 1] = mid;
+      isLon = !isLon;
+    }
+  }
+
+  return {
+    coordinate: [(bounds.lon[0] + bounds.lon[1]) / 2, (bounds.lat[0] + bounds.lat[1]) / 2],
+    bounds: [bounds.lon[0], bounds.lat[0], bounds.lon[1], bounds.lat[1]],
+  };
+}
+
+/**
+ * Encodes a coordinate as geohash, e.g. `gfjm5gq4b`.
+ * @param {[number, number]} coordinate [lon, lat]
+ * @param {{ precision: number }=} optOptions `precision` is the number of characters from 1 to
+ * 12, defaults to 9 (about 5 m)
+ * @returns {string}
+ * @throws
+ */
+export function encodeGeohash(coordinate, optOptions) {
+  if (coordinate.length !== 2) {
+    throw new Error('Not a valid coordinate');
+  }
+
+  const options = Object.assign({
+    precision: 9,
+  }, optOptions !== undefined ? optOptions : {});
+
+  if (!(options.precision >= 1 && options.precision <= 12 && options.precision % 1 === 0)) {
+    throw new Error('Not a valid precision');
+  }
+
+  const values = { lon: coordinate[0], lat: coordinate[1] };
+  Object.keys(values).forEach((axis) => {
+    if (!isNumber(values[axis]) || !inRange(values[axis], -AXES[axis].max, AXES[axis].max)) {
+      throw new RangeError(AXES[axis].rangeError);
+    }
+  });
+
+  const bounds = { lon: [-180, 180], lat: [-90, 90] };
+  let isLon = true;
+  let hash = '';
+
+  for (let i = 0; i < options.precision; i++) {
+    let index = 0;
+    for (let bit = 4; bit >= 0; bit--) {
+      const axis = isLon ? 'lon' : 'lat';
+      const mid = (bounds[axis][0] + bounds[axis][1]) / 2;
+      if (values[axis] >= mid) {
+        index |= 1 << bit;
+        bounds[axis][0] = mid;
+      } else {
+        bounds[axis][1] = mid;
+      }
+      isLon = !isLon;
+    }
+    hash += ALPHABET.charAt(index);
+  }
+
+  return hash;
+}
@@ -0,0 +1,63 @@
+import { DmsParseError } from './errors';
+import { decodeGeohash, encodeGeohash } from './geohash';
+
+describe('encodeGeohash', () => {
+  it('Correctly encodes coordinates', () => {
+    const testData = [
+      [[-5.6, 42.6], { precision: 5 }, 'ezs42'],
+      [[10.40744, 57.64911], { precision: 11 }, 'u4pruydqqvj'],
+      [[2.17403, 41.40338], undefined, 'sp3e93r04'],
+      [[-180, -90], { precision: 3 }, '000'],
+      [[180, 90], { precision: 3 }, 'zzz'],
+    ];
+
+    testData.forEach((v) => {
+      expect(encodeGeohash(v[0], v[1])).toBe(v[2]);
+    });
+  });
+
+  it('throws for invalid options and coordinates', () => {
+    expect(() => encodeGeohash([0, 0], { precision: 13 })).toThrow('Not a valid precision');
+    expect(() => encodeGeohash([0, 91])).toThrow('Latitude out of range');
+    expect(() => encodeGeohash([181, 0])).toThrow('Longitude out of range');
+  });
+});
+
+describe('decodeGeohash', () => {
+  it('returns the center and the bounds of the cell', () => {
+    expect(decodeGeohash('ezs42')).toEqual({
+      coordinate: [-5.60302734375, 42.60498046875],
+      bounds: [-5.625, 42.5830078125, -5.5810546875, 42.626953125],
+    });
+    expect(decodeGeohash(' EZS42 ').bounds).toEqual(decodeGeohash('ezs42').bounds);
+  });
+
+  it('round trips coordinates within the cell', () => {
+    [[-179.9, -89.9], [0, 0], [2.17403, 41.40338], [179.9, 89.9]].forEach((coordinate) => {
+      const bounds = decodeGeohash(encodeGeohash(coordinate)).bounds;
+      expect(coordinate[0] >= bounds[0] && coordinate[0] <= bounds[2]).toBe(true);
+      expect(coordinate[1] >= bounds[1] && coordinate[1] <= bounds[3]).toBe(true);
+    });
+  });
+
+  it('throws DmsParseErrors with the offending character', () => {
+    const testData = [
+      ['ezs4a', 4, 5],
+      [' ezl42', 3, 4],
+      ['', 0, 0],
+    ];
+
+    testData.forEach((v) => {
+      let subject;
+      try {
+        decodeGeohash(v[0]);
+      } catch (e) {
+        subject = e;
+      }
+      expect(subject instanceof DmsParseError).toBe(true);
+      expect(subject.code).toBe('INVALID_SYNTAX');
+      expect(subject.start).toBe(v[1]);
+      expect(subject.end).toBe(v[2]);
+    });
+  });
+});
@@ -0,0 +1,219 @@
+import { DATUMS, transformDatum } from './datum';
+import { DmsParseError, ERROR_CODES } from './errors';
+import { inRange, matchSyntax, zeroPad } from './format';
+import { kruegerFor, projectTransverseMercator, unprojectTransverseMercator } from './utm';
+
+/**
+ * RegEx for OSGB grid references with two letters, e.g. `TQ 30080 80500` or `TQ3008080500`.
+ * Used to detect the format, so the letters have to be followed by digits.
+ * @type {RegExp}
+ */
+export const OSGB_REGEX = /^[A-HJ-Z]{2}\s?(?:\d{1,5}\s+\d{1,5}|\d{2,10})$/i;
+
+/**
+ * RegEx for Irish grid references with one letter, e.g. `O 15918 34607` or `O1591834607`. Used
+ * to detect the format, so at least three digits per axis are required to tell references like
+ * `N 159 346` from single dms values like `N 59 12`.
+ * @type {RegExp}
+ */
+export const IRISH_GRID_REGEX = /^[A-HJ-Z]\s?(?:\d{3,5}\s+\d{3,5}|\d{6,10})$/i;
+
+/**
+ * RegEx for grid references of both grids with any number of digits, e.g. `TQ 30080 80500`,
+ * `O1591834607` or `TQ` for the 100 km square.
+ * @type {RegExp}
+ */
+const GRID_REF_REGEX = /^([A-HJ-Z]{1,2})(?:\s?(\d+)(?:\s+(\d+))?)?$/i;
+
+/**
+ * Letters of the 100 km squares. The letter I is skipped.
+ * @type {string}
+ */
+const LETTERS = 'ABCDEFGHJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Transverse Mercator projections of the national grids with their datum, the central meridian
+ * and latitude of the true origin, the scale factor on the central meridian, the coordinates of
+ * the true origin and the extent of the grid in 100 km squares.
+ * @type {{}}
+ */
+const GRIDS = {
+  osgb: {
+    datum: 'OSGB36',
+    centralMeridian: -2,
+    originLatitude: 49,
+    k0: 0.9996012717,
+    falseEasting: 400e3,
+    falseNorthing: -100e3,
+    columns: 7,
+    rows: 13,
+  },
+  irish: {
+    datum: 'TM75',
+    centralMeridian: -8,
+    originLatitude: 53.5,
+    k0: 1.000035,
+    falseEasting: 200e3,
+    falseNorthing: 250e3,
+    columns: 5,
+    rows: 5,
+  },
+};
+
+/**
+ * Returns the projection of a national grid.
+ * @param {string} name 'osgb' or 'irish'
+ * @returns {{}} see `GRIDS`, together with the `krueger` constants of the ellipsoid and the
+ * unscaled northing `originY` of the true origin
+ * @throws
+ */
+function gridFor(name) {
+  if (!GRIDS.hasOwnProperty(name)) {
+    throw new Error('Not a valid grid');
+  }
+
+  const grid = GRIDS[name];
+  const krueger = kruegerFor(DATUMS[grid.datum].ellipsoid);
+  const originY = projectTransverseMercator([grid.centralMeridian, grid.originLatitude], grid.centralMeridian, krueger)[1];
+  return Object.assign({ krueger, originY }, grid);
+}
+
+/**
+ * Returns the column and row of a 100 km square, counted from the false origin of the grid. OSGB
+ * squares are named by a 500 km square and a 100 km square within it, Irish squares by a single
+ * 100 km square.
+ * @param {string} letters
+ * @returns {{ column: number, row: number }}
+ */
+function squareOf(letters) {
+  const first = LETTERS.indexOf(letters.charAt(0));
+
+  if (letters.length === 1) {
+    return { column: first % 5, row: 4 - Math.floor(first / 5) };
+  }
+
+  const second = LETTERS.indexOf(letters.charAt(1));
+  return {
+    column: ((first - 2) % 5) * 5 + second % 5,
+    row: 19 - Math.floor(first / 5) * 5 - Math.floor(second / 5),
+  };
+}
+
+/**
+ * Returns the letters of a 100 km square, see `squareOf`.
+ * @param {number} column
+ * @param {number} row
+ * @param {string} name 'osgb' or 'irish'
+ * @returns {string}
+ */
+function lettersOf(column, row, name) {
+  if (name === 'irish') {
+    return LETTERS.charAt((4 - row) * 5 + column);
+  }
+
+  const first = (19 - row) - (19 - row) % 5 + Math.floor((column + 10) / 5);
+  const second = (19 - row) * 5 % 25 + column % 5;
+  return LETTERS.charAt(first) + LETTERS.charAt(second);
+}
+
+/**
+ * Parses an OSGB grid reference of Great Britain, e.g. `TQ 30080 80500`, or an Irish grid
+ * reference, e.g. `O 15918 34607`. The grid is chosen by the number of letters. The easting and
+ * northing digits can be given with a precision of 0 (100 km) to 5 (1 m) digits each. The
+ * returned coordinate is the south-west corner of the referenced square, transformed from the
+ * datum of the grid (OSGB36 or TM75) to WGS84.
+ * @param {string} value
+ * @returns {[number, number]} [lon, lat]
+ * @throws {DmsParseError}
+ */
+export function fromGridRef(value) {
+  const m = matchSyntax(value, GRID_REF_REGEX);
+  const end = m.offset + m[0].length;
+  const letters = m[1].toUpperCase();
+  const grid = gridFor(letters.length === 2 ? 'osgb' : 'irish');
+  const digits = m[2] !== undefined ? m[2] + (m[3] !== undefined ? m[3] : '') : '';
+
+  if (digits.length % 2 !== 0 || digits.length > 10
+    || (m[3] !== undefined && m[2].length !== m[3].length)) {
+    throw new DmsParseError('Could not parse string', ERROR_CODES.INVALID_SYNTAX, {
+      start: end - (m[3] !== undefined ? m[2].length + m[3].length + 1 : digits.length),
+      end,
+    });
+  }
+
+  const square = squareOf(letters);
+
+  if (!inRange(square.column, 0, grid.columns - 1) || !inRange(square.row, 0, grid.rows - 1)) {
+    throw new DmsParseError('Invalid 100 km square', ERROR_CODES.INVALID_GRID_SQUARE, {
+      start: m.offset,
+      end: m.offset + letters.length,
+    });
+  }
+
+  const precision = digits.length / 2;
+  const factor = Math.pow(10, 5 - precision);
+  const easting = square.column * 100e3 + Number(digits.substr(0, precision)) * factor;
+  const northing = square.row * 100e3 + Number(digits.substr(precision)) * factor;
+  const coordinate = unprojectTransverseMercator([
+    (easting - grid.falseEasting) / grid.k0,
+    (northing - grid.falseNorthing) / grid.k0 + grid.originY,
+  ], grid.centralMeridian, grid.krueger);
+
+  return transformDatum(coordinate, grid.datum, 'WGS84');
+}
+
+/**
+ * Formats a WGS84 coordinate as OSGB or Irish grid reference, e.g. `TQ 30080 80500`. The
+ * coordinate is transformed to the datum of the grid (OSGB36 or TM75) first. The digits are
+ * truncated to the given `precision` (0 for 100 km to 5 for 1 m), so that the reference
+ * describes the square containing the coordinate.
+ * @param {[number, number]} coordinate [lon, lat]
+ * @param {{ grid: string, precision: number, separator: string }=} optOptions `grid` is 'osgb'
+ * (default) or 'irish', `precision` defaults to 5, `separator` is placed between square, easting
+ * and northing and defaults to ' '
+ * @returns {string}
+ * @throws
+ */
+export function toGridRef(coordinate, optOptions) {
+  if (coordinate.length !== 2) {
+    throw new Error('Not a valid coordinate');
+  }
+
+  const options = Object.assign({
+    grid: 'osgb',
+    precision: 5,
+    separator: ' ',
+  }, optOptions !== undefined ? optOptions : {});
+
+  if (!(options.precision >= 0 && options.precision <= 5 && options.precision % 1 === 0)) {
+    throw new Error('Not a valid precision');
+  }
+
+  const grid = gridFor(options.grid);
+  const [x, y] = projectTransverseMercator(
+    transformDatum(coordinate, 'WGS84', grid.datum),
+    grid.centralMeridian,
+    grid.krueger
+  );
+  // a centimetre, so that the south-west corner of a square, e.g. from `fromGridRef`, is not
+  // truncated into the neighbouring square by the few millimetres of the datum round trip
+  const tolerance = 0.01;
+  const easting = grid.k0 * x + grid.falseEasting + tolerance;
+  const northing = grid.k0 * (y - grid.originY) + grid.falseNorthing + tolerance;
+
+  if (!(easting >= 0 && easting < grid.columns * 100e3 && northing >= 0 && northing < grid.rows * 100e3)) {
+    throw new RangeError('Coordinate outside of the grid');
+  }
+
+  const factor = Math.pow(10, 5 - options.precision);
+  const parts = [lettersOf(Math.floor(easting / 100e3), Math.floor(northing / 100e3), options.grid)];
+
+  if (options.precision > 0) {
+    parts.push(
+      zeroPad(String(Math.floor(easting % 100e3 / factor)), options.precision),
+      zeroPad(String(Math.floor(northing % 100e3 / factor)), options.precision)
+    );
+  }
+
+  return parts.join(options.separator);
+}
@@ -0,0 +1,87 @@
+import { fromGridRef, toGridRef } from './gridref';
+
+describe('fromGridRef', () => {
+  it('parses OSGB and Irish grid references', () => {
+    const testData = [
+      // Ordnance Survey example, 52°39′28.72″N 1°42′57.79″E in WGS84
+      ['TG 51409 13177', [1.71604, 52.65798]],
+      ['TG5140913177', [1.71604, 52.65798]],
+      ['tg 51409 13177', [1.71604, 52.65798]],
+      ['TQ 30080 80500', [-0.12702, 51.50847]],
+      // Ordnance Survey Ireland example, ITM 715830 734697 in WGS84
+      ['O 15904 34671', [-6.26025, 53.3498]],
+      ['O1590434671', [-6.26025, 53.3498]],
+    ];
+
+    testData.forEach(([value, expected]) => {
+      const subject = fromGridRef(value);
+      expect(subject[0]).toBeCloseTo(expected[0], 5);
+      expect(subject[1]).toBeCloseTo(expected[1], 5);
+    });
+  });
+
+  it('matches the published Irish grid control point within a meter', () => {
+    // Ordnance Survey Ireland: Irish grid 315904 234671 is ITM 715830 734697, which is
+    // -6.2602478° 53.3497939° in WGS84 (ITM is a transverse mercator projection of ETRS89)
+    const subject = fromGridRef('O 15904 34671');
+    expect(Math.abs(subject[0] - -6.2602478) * 66500).toBeLessThan(1);
+    expect(Math.abs(subject[1] - 53.3497939) * 111250).toBeLessThan(1);
+  });
+
+  it('returns the south-west corner of squares with less digits', () => {
+    const subject = fromGridRef('TQ 30 80');
+    const expected = fromGridRef('TQ 30000 80000');
+    expect(subject[0]).toBeCloseTo(expected[0], 10);
+    expect(subject[1]).toBeCloseTo(expected[1], 10);
+    expect(fromGridRef('TQ')).toEqual(fromGridRef('TQ 00000 00000'));
+  });
+
+  it('throws DmsParseErrors', () => {
+    const testData = [
+      ['TQ 123 12', 'INVALID_SYNTAX', 3, 9],
+      ['TQ12345', 'INVALID_SYNTAX', 2, 7],
+      ['AA 1 1', 'INVALID_GRID_SQUARE', 0, 2],
+      ['XX 1 1', 'INVALID_GRID_SQUARE', 0, 2],
+      ['TQ 1 1 1', 'INVALID_SYNTAX', 0, 8],
+    ];
+
+    testData.forEach(([value, code, start, end]) => {
+      let error;
+      try {
+        fromGridRef(value);
+      } catch (e) {
+        error = e;
+      }
+      expect([value, error.code, error.start, error.end]).toEqual([value, code, start, end]);
+    });
+  });
+});
+
+describe('toGridRef', () => {
+  it('formats OSGB and Irish grid references', () => {
+    expect(toGridRef([1.716053, 52.657978])).toBe('TG 51409 13177');
+    expect(toGridRef([-0.12762, 51.50735])).toBe('TQ 30041 80374');
+    expect(toGridRef([-3.0, 58.64])).toBe('ND 42048 72889');
+    expect(toGridRef([-6.26025, 53.3498], { grid: 'irish', precision: 4 })).toBe('O 1590 3467');
+  });
+
+  it('truncates the digits to the precision', () => {
+    expect(toGridRef([-0.12762, 51.50735], { precision: 3 })).toBe('TQ 300 803');
+    expect(toGridRef([-0.12762, 51.50735], { precision: 2, separator: '' })).toBe('TQ3080');
+    expect(toGridRef([-0.12762, 51.50735], { precision: 0 })).toBe('TQ');
+  });
+
+  it('round trips the references', () => {
+    ['SW 81840 23332', 'HY 85192 35081', 'NN 16600 71200', 'TG 51409 13177', 'TQ 30080 80500'].forEach((value) => {
+      expect(toGridRef(fromGridRef(value))).toBe(value);
+    });
+    expect(toGridRef(fromGridRef('O 15904 34671'), { grid: 'irish' })).toBe('O 15904 34671');
+  });
+
+  it('throws for coordinates outside of the grid and invalid options', () => {
+    expect(() => toGridRef([10, 48])).toThrow('Coordinate outside of the grid');
+    expect(() => toGridRef([-0.12762, 51.50735], { grid: 'irish' })).toThrow('Coordinate outside of the grid');
+    expect(() => toGridRef([-0.12762, 51.50735], { grid: 'dutch' })).toThrow('Not a valid grid');
+    expect(() => toGridRef([-0.12762, 51.50735], { precision: 6 })).toThrow('Not a valid precision');
+  });
+});
@@ -0,0 +1,137 @@
+import { computeAngleConfig, decDegFromParts, isNumber, matchSyntax, zeroPad } from './format';
+
+/**
+ * RegEx for ISO 6709 strings. Latitude and longitude are supported in the forms ±DD.DDDD,
+ * ±DDMM.MM and ±DDMMSS.S, followed by an optional altitude, an optional coordinate reference
+ * system identifier and the optional trailing solidus, e.g. `+27.5916+086.5640+8850CRSWGS_84/`.
+ * @type {RegExp}
+ */
+export const ISO6709_REGEX = /^([+-])(\d{2})(\d{2})?(\d{2})?(\.\d+)?([+-])(\d{3})(\d{2})?(\d{2})?(\.\d+)?([+-]\d+(?:\.\d+)?)?(?:CRS([^/]+))?\/?$/;
+
+/**
+ * Default decimal places of the supported forms.
+ * @type {{dd: number, dmm: number, dms: number}}
+ */
+const DECIMAL_PLACES = {
+  dd: 5,
+  dmm: 3,
+  dms: 1,
+};
+
+/**
+ * Computes the decimal angle of the sign, degrees, minutes, seconds and fraction groups of a
+ * ISO 6709 match. The fraction belongs to the last given group.
+ * @param {*} m
+ * @param {number} group index of the sign group
+ * @param {string} axis 'lat' or 'lon'
+ * @param {{ start: number, end: number }} range
+ * @returns {number}
+ * @throws {DmsParseError}
+ */
+function decDegFromGroups(m, group, axis, range) {
+  const fraction = m[group + 4] !== undefined ? m[group + 4] : '';
+  const parts = {
+    sign: m[group] === '-' ? -1 : 1,
+    degrees: m[group + 1],
+    minutes: m[group + 2],
+    seconds: m[group + 3],
+  };
+
+  if (parts.seconds !== undefined) {
+    parts.seconds += fraction;
+  } else if (parts.minutes !== undefined) {
+    parts.minutes += fraction;
+  } else {
+    parts.degrees += fraction;
+  }
+
+  return decDegFromParts(parts, axis, range);
+}
+
+/**
+ * Formats a single angle in the given ISO 6709 form.
+ * @param {number} value
+ * @param {number} width number of digits of the degrees
+ * @param {string} form 'dd', 'dmm' or 'dms'
+ * @param {number} decimalPlaces
+ * @returns {string}
+ */
+function formatFor(value, width, form, decimalPlaces) {
+  let formatted;
+
+  if (form === 'dms') {
+    const values = computeAngleConfig(value, { perDegree: 3600, decimalPlaces });
+    formatted = zeroPad(String(values.degreesInt), width)
+      + zeroPad(String(values.minutesInt), 2)
+      + zeroPad(values.seconds.toFixed(decimalPlaces), 2);
+  } else if (form === 'dmm') {
+    const values = computeAngleConfig(value, { perDegree: 60, decimalPlaces });
+    formatted = zeroPad(String(values.degreesInt), width)
+      + zeroPad(values.minutes.toFixed(decimalPlaces), 2);
+  } else {
+    formatted = zeroPad(Math.abs(value).toFixed(decimalPlaces), width);
+  }
+
+  // avoid a negative zero, e.g. `-00.00`
+  return (value < 0 && /[1-9]/.test(formatted) ? '-' : '+') + formatted;
+}
+
+/**
+ * Parses an ISO 6709 string, e.g. `+59.20214-002.26100/`, `+5912.128-00215.660/` or
+ * `+591207.7-0021539.6+123CRSWGS_84/`. Returns a [lon, lat] coordinate array or, if the string
+ * contains an altitude, a [lon, lat, altitude] array.
+ * @param {string} value
+ * @returns {number[]} [lon, lat] or [lon, lat, altitude]
+ * @throws {DmsParseError}
+ */
+export function fromISO6709(value) {
+  const m = matchSyntax(value, ISO6709_REGEX);
+  const latLength = m.slice(1, 6).join('').length;
+  const lonLength = m.slice(6, 11).join('').length;
+
+  const lat = decDegFromGroups(m, 1, 'lat', { start: m.offset, end: m.offset + latLength });
+  const lon = decDegFromGroups(m, 6, 'lon', {
+    start: m.offset + latLength,
+    end: m.offset + latLength + lonLength,
+  });
+
+  return m[11] !== undefined
+    ? [lon, lat, Number(m[11])]
+    : [lon, lat];
+}
+
+/**
+ * Formats a [lon, lat] or [lon, lat, altitude] coordinate array as ISO 6709 string.
+ * @param {number[]} coordinate [lon, lat] or [lon, lat, altitude]
+ * @param {{ form: string, decimalPlaces: number, crs: string }=} optOptions `form` is one of
+ * 'dd' (default), 'dmm' or 'dms', `crs` an optional coordinate reference system identifier,
+ * e.g. 'WGS_84'
+ * @returns {string}
+ */
+export function toISO6709(coordinate, optOptions) {
+  if (coordinate.length !== 2 && coordinate.length !== 3) {
+    throw new Error('Not a valid coordinate');
+  }
+
+  const options = Object.assign({
+    form: 'dd',
+  }, optOptions !== undefined ? optOptions : {});
+
+  if (DECIMAL_PLACES[options.form] === undefined) {
+    throw new Error('Not a valid form');
+  }
+
+  const decimalPlaces = options.decimalPlaces !== undefined
+    ? options.decimalPlaces
+    : DECIMAL_PLACES[options.form];
+  const altitude = isNumber(coordinate[2])
+    ? (coordinate[2] < 0 ? '-' : '+') + Math.abs(coordinate[2])
+    : '';
+  const crs = options.crs !== undefined ? 'CRS' + options.crs : '';
+
+  return formatFor(coordinate[1], 2, options.form, decimalPlaces)
+    + formatFor(coordinate[0], 3, options.form, decimalPlaces)
+    + altitude
+    + crs
+    + '/';
+}
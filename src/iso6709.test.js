@@ -0,0 +1,97 @@
+import { fromISO6709, toISO6709 } from './iso6709';
+
+describe('fromISO6709', () => {
+  it('Correctly parses the decimal degrees, dmm and dms forms', () => {
+    const testData = [
+      ['+59.20214-002.261/', [-2.261, 59.20214]],
+      ['+40.20361-075.00417CRSWGS_84/', [-75.00417, 40.20361]],
+      ['+5912.128-00215.660/', [-1 * (2 + 15.66 / 60), 59 + 12.128 / 60]],
+      ['+591207.7-0021539.6', [-1 * (2 + 15 / 60 + 39.6 / 3600), 59 + 12 / 60 + 7.7 / 3600]],
+      ['-35-149', [-149, -35]],
+      ['  +5912-00215/ ', [-1 * (2 + 15 / 60), 59 + 12 / 60]],
+    ];
+
+    testData.forEach((v) => {
+      const subject = fromISO6709(v[0]);
+      expect(subject.length).toBe(2);
+      expect(subject[0]).toBe(v[1][0]);
+      expect(subject[1]).toBe(v[1][1]);
+    });
+  });
+
+  it('returns the altitude as third value', () => {
+    expect(fromISO6709('+27.5916+086.5640+8850CRSWGS_84/')).toEqual([86.564, 27.5916, 8850]);
+    expect(fromISO6709('+591207.7-0021539.6+123CRSWGS_84/'))
+      .toEqual([-1 * (2 + 15 / 60 + 39.6 / 3600), 59 + 12 / 60 + 7.7 / 3600, 123]);
+    expect(fromISO6709('-77.508333+164.754167-8200.5/')).toEqual([164.754167, -77.508333, -8200.5]);
+  });
+
+  it('throws DmsParseErrors for invalid data', () => {
+    const testData = [
+      ['59°12\'7.7"N 02°15\'39.6"W', 'INVALID_SYNTAX', undefined],
+      ['+59.20214/', 'INVALID_SYNTAX', undefined],
+      ['+95.0-002.0/', 'LATITUDE_OUT_OF_RANGE', 'lat'],
+      ['+5962.128-00215.660/', 'MINUTES_OUT_OF_RANGE', 'lat'],
+      ['+59.2-190.5/', 'LONGITUDE_OUT_OF_RANGE', 'lon'],
+    ];
+
+    testData.forEach((v) => {
+      expect(() => fromISO6709(v[0])).toThrow();
+      try {
+        fromISO6709(v[0]);
+      } catch (e) {
+        expect(e.code).toBe(v[1]);
+        expect(e.axis).toBe(v[2]);
+      }
+    });
+  });
+
+  it('reports the position of the offending value', () => {
+    expect.assertions(2);
+    try {
+      fromISO6709(' +59.2-190.5/');
+    } catch (e) {
+      expect(e.start).toBe(6);
+      expect(e.end).toBe(12);
+    }
+  });
+});
+
+describe('toISO6709', () => {
+  const coordinate = [-2.261, 59.20213888888889];
+
+  it('formats the decimal degrees form by default', () => {
+    expect(toISO6709(coordinate)).toBe('+59.20214-002.26100/');
+    expect(toISO6709(coordinate, { decimalPlaces: 2 })).toBe('+59.20-002.26/');
+  });
+
+  it('formats the dmm and dms forms', () => {
+    expect(toISO6709(coordinate, { form: 'dmm' })).toBe('+5912.128-00215.660/');
+    expect(toISO6709(coordinate, { form: 'dms' })).toBe('+591207.7-0021539.6/');
+    expect(toISO6709([-0.9999999, 5.9999999], { form: 'dms', decimalPlaces: 0 })).toBe('+060000-0010000/');
+  });
+
+  it('appends the altitude and the coordinate reference system', () => {
+    expect(toISO6709([86.564, 27.5916, 8850], { decimalPlaces: 4, crs: 'WGS_84' }))
+      .toBe('+27.5916+086.5640+8850CRSWGS_84/');
+    expect(toISO6709([164.754167, -77.508333, -8200.5], { decimalPlaces: 6 }))
+      .toBe('-77.508333+164.754167-8200.5/');
+  });
+
+  it('avoids a negative zero', () => {
+    expect(toISO6709([-0.000001, -0.000001], { decimalPlaces: 2 })).toBe('+00.00+000.00/');
+  });
+
+  it('throws for invalid arguments', () => {
+    expect(() => toISO6709([1])).toThrow('Not a valid coordinate');
+    expect(() => toISO6709(coordinate, { form: 'utm' })).toThrow('Not a valid form');
+  });
+
+  it('round trips all forms', () => {
+    ['dd', 'dmm', 'dms'].forEach((form) => {
+      const subject = fromISO6709(toISO6709(coordinate, { form }));
+      expect(subject[0]).toBeCloseTo(coordinate[0], 4);
+      expect(subject[1]).toBeCloseTo(coordinate[1], 4);
+    });
+  });
+});
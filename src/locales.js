@@ -0,0 +1,109 @@
+/**
+ * Decimal separator, separator between the lat / lon values and hemisphere letters of the
+ * supported locales. The hemisphere letters map the canonical letter to the localized one.
+ * @type {{}}
+ */
+export const LOCALES = {
+  en: {
+    decimalSeparator: '.',
+    latLonSeparator: ',',
+    hemispheres: { N: 'N', S: 'S', E: 'E', W: 'W' },
+  },
+  de: {
+    decimalSeparator: ',',
+    latLonSeparator: ';',
+    hemispheres: { N: 'N', S: 'S', E: 'O', W: 'W' },
+  },
+  fr: {
+    decimalSeparator: ',',
+    latLonSeparator: ';',
+    hemispheres: { N: 'N', S: 'S', E: 'E', W: 'O' },
+  },
+  es: {
+    decimalSeparator: ',',
+    latLonSeparator: ';',
+    hemispheres: { N: 'N', S: 'S', E: 'E', W: 'O' },
+  },
+  it: {
+    decimalSeparator: ',',
+    latLonSeparator: ';',
+    hemispheres: { N: 'N', S: 'S', E: 'E', W: 'O' },
+  },
+  nl: {
+    decimalSeparator: ',',
+    latLonSeparator: ';',
+    hemispheres: { N: 'N', S: 'Z', E: 'O', W: 'W' },
+  },
+};
+
+/**
+ * Returns the definition of a locale. Region subtags are ignored, e.g. 'de-AT' returns the
+ * definition of 'de'. Without a locale the definition of 'en' is returned.
+ * @param {string=} optLocale
+ * @returns {{ decimalSeparator: string, latLonSeparator: string, hemispheres: {} }}
+ * @throws
+ */
+export function localeFor(optLocale) {
+  if (optLocale === undefined) {
+    return LOCALES.en;
+  }
+
+  const key = String(optLocale).toLowerCase().split(/[-_]/)[0];
+  if (!LOCALES.hasOwnProperty(key)) {
+    throw new Error('Not a supported locale');
+  }
+
+  return LOCALES[key];
+}
+
+/**
+ * Converts a localized coordinate string into the canonical syntax of the parse functions. The
+ * localized hemisphere letters are replaced with N, S, E and W and a decimal comma with a point.
+ * For locales with a decimal comma the lat / lon separator of the locale (`;`) is replaced with
+ * a comma. All replacements keep the length of the string, so that error positions stay valid.
+ * @param {string} value
+ * @param {string=} optLocale
+ * @returns {string}
+ */
+export function delocalize(value, optLocale) {
+  const locale = localeFor(optLocale);
+  const letters = Object.keys(locale.hemispheres)
+    .filter((key) => locale.hemispheres[key] !== key)
+    .reduce((result, key) => {
+      result[locale.hemispheres[key]] = key;
+      return result;
+    }, {});
+
+  // only single letters are replaced, not the letters of words
+  let v = Object.keys(letters).length === 0
+    ? value
+    : value.replace(/[A-Za-z]+/g, (word) => word.length === 1 && letters.hasOwnProperty(word.toUpperCase())
+      ? letters[word.toUpperCase()]
+      : word);
+
+  if (locale.decimalSeparator === ',') {
+    v = v.replace(/(\d),(?=\d)/g, '$1.').split(locale.latLonSeparator).join(',');
+  }
+
+  return v;
+}
+
+/**
+ * Replaces the decimal point of a formatted number with the decimal separator of the locale.
+ * @param {string} value formatted number
+ * @param {string=} optLocale
+ * @returns {string}
+ */
+export function localizeNumber(value, optLocale) {
+  return value.replace('.', localeFor(optLocale).decimalSeparator);
+}
+
+/**
+ * Returns the localized letter of a canonical hemisphere letter.
+ * @param {string} hemisphere N, S, E or W
+ * @param {string=} optLocale
+ * @returns {string}
+ */
+export function localizeHemisphere(hemisphere, optLocale) {
+  return localeFor(optLocale).hemispheres[hemisphere];
+}
@@ -0,0 +1,92 @@
+import { formatAngle, fromDMM, fromDMS, parse, parseLongitude, toDMS } from './dmsformat';
+import { delocalize, localeFor } from './locales';
+
+describe('delocalize', () => {
+  it('converts localized strings into the canonical syntax', () => {
+    const testData = [
+      ['51,0504; 13,7373', 'de', '51.0504, 13.7373'],
+      ['51°3′N 13°44′O', 'de', '51°3′N 13°44′E'],
+      ['48°51′N 2°21′O', 'fr', '48°51′N 2°21′W'],
+      ['34°36′Z 58°22′W', 'nl', '34°36′S 58°22′W'],
+      ['51°3′N 13°44′E', 'en', '51°3′N 13°44′E'],
+    ];
+
+    testData.forEach((v) => {
+      expect(delocalize(v[0], v[1])).toBe(v[2]);
+      expect(delocalize(v[0], v[1]).length).toBe(v[0].length);
+    });
+  });
+
+  it('keeps the letters of words', () => {
+    expect(delocalize('Ost 13,5', 'de')).toBe('Ost 13.5');
+  });
+
+  it('ignores the region of a locale', () => {
+    expect(localeFor('de-AT')).toBe(localeFor('de'));
+    expect(localeFor('fr_CA')).toBe(localeFor('fr'));
+  });
+
+  it('throws for an unsupported locale', () => {
+    expect(() => localeFor('xx')).toThrow('Not a supported locale');
+    expect(() => fromDMS('51°3′N 13°44′E', { locale: 'xx' })).toThrow('Not a supported locale');
+  });
+});
+
+describe('parsing with a locale', () => {
+  it('parses decimal commas and localized hemisphere letters', () => {
+    expect(fromDMS('51,0504 13,7373', { locale: 'de' })).toEqual([13.7373, 51.0504]);
+    expect(fromDMS('51°3′N 13°44′O', { locale: 'de' })).toEqual([13 + 44 / 60, 51 + 3 / 60]);
+    expect(fromDMS('48°51′N 2°21′O', { locale: 'fr' })).toEqual([-1 * (2 + 21 / 60), 48 + 51 / 60]);
+    expect(fromDMS('34°36′Z 58°22′W', { locale: 'nl' })).toEqual([-1 * (58 + 22 / 60), -1 * (34 + 36 / 60)]);
+    expect(fromDMM('51 3,024; 13 44,238', { locale: 'de' })).toEqual([13 + 44.238 / 60, 51 + 3.024 / 60]);
+    expect(parseLongitude('13°44,5′ O', { locale: 'de' })).toBe(13 + 44.5 / 60);
+  });
+
+  it('parses whitespace separated decimal degrees of locales with a decimal comma', () => {
+    expect(fromDMM('51,0504 13,7373', { locale: 'de' })).toEqual([13.7373, 51.0504]);
+    expect(fromDMM(' -34,6 -58,38 ', { locale: 'es' })).toEqual([-58.38, -34.6]);
+    expect(() => fromDMM('51 3,024', { locale: 'de' })).toThrow('Could not parse string');
+    expect(() => fromDMM('51.0504 13.7373')).toThrow('Could not parse string');
+    expect(() => fromDMM('51.0504 13.7373', { locale: 'en' })).toThrow('Could not parse string');
+  });
+
+  it('detects the format of localized strings', () => {
+    expect(parse('51,0504; 13,7373', { locale: 'de' })).toEqual({
+      coordinate: [13.7373, 51.0504],
+      format: 'dd',
+      ambiguous: true,
+      datum: 'WGS84',
+    });
+    expect(parse('51°3′N 13°44′O', { locale: 'de' }).coordinate).toEqual([13 + 44 / 60, 51 + 3 / 60]);
+  });
+
+  it('does not localize presets with a syntax of their own', () => {
+    expect(parse('$GPGLL,5912.1283,N,00215.6600,W,,A*39', { locale: 'de' }).coordinate)
+      .toEqual([-1 * (2 + 15.66 / 60), 59 + 12.1283 / 60]);
+  });
+});
+
+describe('formatting with a locale', () => {
+  const coordinate = [-2.261, 59.20213888888889];
+
+  it('localizes the decimal separator and the hemisphere letters', () => {
+    expect(toDMS(coordinate, 'dd X', { locale: 'de' })).toBe('59,20214° N 2,26100° W');
+    expect(toDMS([13.7373, 51.0504], 'dd X', { locale: 'de' })).toBe('51,05040° N 13,73730° O');
+    expect(toDMS(coordinate, 'dmm', { locale: 'fr', preset: true })).toBe('59° 12,12833′ N 2° 15,66000′ O');
+    expect(formatAngle(-34.6, 'lat', 'dd X', { decimalPlaces: 1, locale: 'nl' })).toBe('34,6° Z');
+  });
+
+  it('replaces a comma separator with the separator of the locale', () => {
+    expect(toDMS(coordinate, 'compact', { locale: 'de' })).toBe('59,20214;-2,26100');
+    expect(toDMS(coordinate, 'compact', { locale: 'en' })).toBe('59.20214,-2.26100');
+  });
+
+  it('parses its own output', () => {
+    ['de', 'fr', 'es', 'it', 'nl'].forEach((locale) => {
+      const formatted = toDMS(coordinate, 'dms', { locale, preset: true });
+      const parsed = fromDMS(formatted, { locale });
+      expect(parsed[0]).toBeCloseTo(coordinate[0], 5);
+      expect(parsed[1]).toBeCloseTo(coordinate[1], 5);
+    });
+  });
+});
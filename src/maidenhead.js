@@ -0,0 +1,113 @@
+import { DmsParseError, ERROR_CODES } from './errors';
+import { AXES, cellIndexOf, inRange, isNumber } from './format';
+
+/**
+ * RegEx for Maidenhead locators with field and the optional square, subsquare, extended
+ * square and extended subsquare, e.g. `JO62`, `JO62qm` or `JO62qm48ax`. The field has to be
+ * written in upper case, so that lower case geohash strings are not treated as locator.
+ * `decodeMaidenhead` accepts both cases.
+ * @type {RegExp}
+ */
+export const MAIDENHEAD_REGEX = /^[A-R]{2}(?:\d{2}(?:[A-Xa-x]{2}(?:\d{2}(?:[A-Xa-x]{2})?)?)?)?$/;
+
+/**
+ * Pairs of a Maidenhead locator. Each pair divides the cell of the previous pair into the
+ * given number of divisions, `letters` pairs use the alphabet starting at `A`.
+ * @type {Array<{ divisions: number, letters: boolean }>}
+ */
+const PAIRS = [
+  { divisions: 18, letters: true },
+  { divisions: 10, letters: false },
+  { divisions: 24, letters: true },
+  { divisions: 10, letters: false },
+  { divisions: 24, letters: true },
+];
+
+/**
+ * Decodes a Maidenhead locator, e.g. `JO62qm`. Returns the center of the locator cell as
+ * [lon, lat] `coordinate` and the `bounds` of the cell as [west, south, east, north] array.
+ * @param {string} value
+ * @returns {{ coordinate: [number, number], bounds: [number, number, number, number] }}
+ * @throws {DmsParseError}
+ */
+export function decodeMaidenhead(value) {
+  const offset = value.search(/\S|$/);
+  const v = value.trim().toUpperCase();
+
+  if (!MAIDENHEAD_REGEX.test(v)) {
+    throw new DmsParseError('Could not parse string', ERROR_CODES.INVALID_SYNTAX, {
+      start: offset,
+      end: offset + v.length,
+    });
+  }
+
+  let lon = 0;
+  let lat = 0;
+  let lonCell = 2 * AXES.lon.max;
+  let latCell = 2 * AXES.lat.max;
+
+  for (let i = 0; i < v.length / 2; i++) {
+    const pair = PAIRS[i];
+    const base = pair.letters ? 'A'.charCodeAt(0) : '0'.charCodeAt(0);
+    lonCell /= pair.divisions;
+    latCell /= pair.divisions;
+    lon += (v.charCodeAt(2 * i) - base) * lonCell;
+    lat += (v.charCodeAt(2 * i + 1) - base) * latCell;
+  }
+
+  const west = lon - AXES.lon.max;
+  const south = lat - AXES.lat.max;
+  return {
+    coordinate: [west + lonCell / 2, south + latCell / 2],
+    bounds: [west, south, west + lonCell, south + latCell],
+  };
+}
+
+/**
+ * Encodes a coordinate as Maidenhead locator, e.g. `JO62qm`. The field is written in upper case,
+ * the subsquares in lower case.
+ * @param {[number, number]} coordinate [lon, lat]
+ * @param {{ precision: number }=} optOptions `precision` is the number of characters, either 2,
+ * 4, 6, 8 or 10, defaults to 6
+ * @returns {string}
+ * @throws
+ */
+export function encodeMaidenhead(coordinate, optOptions) {
+  if (coordinate.length !== 2) {
+    throw new Error('Not a valid coordinate');
+  }
+
+  const options = Object.assign({
+    precision: 6,
+  }, optOptions !== undefined ? optOptions : {});
+
+  if ([2, 4, 6, 8, 10].indexOf(options.precision) === -1) {
+    throw new Error('Not a valid precision');
+  }
+
+  const values = { lon: coordinate[0], lat: coordinate[1] };
+  Object.keys(values).forEach((axis) => {
+    if (!isNumber(values[axis]) || !inRange(values[axis], -AXES[axis].max, AXES[axis].max)) {
+      throw new RangeError(AXES[axis].rangeError);
+    }
+  });
+
+  // the indexes of all pairs are computed from the index of the finest cell
+  const cells = PAIRS.reduce((result, pair) => result * pair.divisions, 1);
+  let lonValue = Math.min(cellIndexOf(values.lon + AXES.lon.max, cells / (2 * AXES.lon.max)), cells - 1);
+  let latValue = Math.min(cellIndexOf(values.lat + AXES.lat.max, cells / (2 * AXES.lat.max)), cells - 1);
+  let locator = '';
+
+  for (let i = PAIRS.length - 1; i >= 0; i--) {
+    const pair = PAIRS[i];
+    const base = pair.letters ? (i === 0 ? 'A' : 'a').charCodeAt(0) : '0'.charCodeAt(0);
+
+    locator = String.fromCharCode(base + lonValue % pair.divisions)
+      + String.fromCharCode(base + latValue % pair.divisions)
+      + locator;
+    lonValue = Math.floor(lonValue / pair.divisions);
+    latValue = Math.floor(latValue / pair.divisions);
+  }
+
+  return locator.substr(0, options.precision);
+}
@@ -0,0 +1,59 @@
+import { DmsParseError } from './errors';
+import { decodeMaidenhead, encodeMaidenhead } from './maidenhead';
+
+describe('encodeMaidenhead', () => {
+  it('Correctly encodes coordinates', () => {
+    const testData = [
+      [[2.17403, 41.40338], undefined, 'JN11cj'],
+      [[11.5755, 48.1372], { precision: 4 }, 'JN58'],
+      [[11.5755, 48.1372], { precision: 10 }, 'JN58sd92bw'],
+      [[-180, -90], { precision: 10 }, 'AA00aa00aa'],
+      [[180, 90], { precision: 10 }, 'RR99xx99xx'],
+    ];
+
+    testData.forEach((v) => {
+      expect(encodeMaidenhead(v[0], v[1])).toBe(v[2]);
+    });
+  });
+
+  it('throws for invalid options and coordinates', () => {
+    expect(() => encodeMaidenhead([0, 0], { precision: 5 })).toThrow('Not a valid precision');
+    expect(() => encodeMaidenhead([0, -91])).toThrow('Latitude out of range');
+  });
+});
+
+describe('decodeMaidenhead', () => {
+  it('returns the center and the bounds of the cell', () => {
+    expect(decodeMaidenhead('JN58')).toEqual({ coordinate: [11, 48.5], bounds: [10, 48, 12, 49] });
+    expect(decodeMaidenhead('JO')).toEqual({ coordinate: [10, 55], bounds: [0, 50, 20, 60] });
+
+    const subject = decodeMaidenhead(' jn58sd ');
+    expect(subject.bounds[0]).toBeCloseTo(11.5, 9);
+    expect(subject.bounds[1]).toBeCloseTo(48 + 3 / 24, 9);
+    expect(subject.coordinate[0]).toBeCloseTo(11.5 + 1 / 24, 9);
+    expect(subject.coordinate[1]).toBeCloseTo(48 + 3.5 / 24, 9);
+  });
+
+  it('round trips coordinates within the cell', () => {
+    [[-179.9, -89.9], [0, 0], [2.17403, 41.40338], [179.9, 89.9]].forEach((coordinate) => {
+      const bounds = decodeMaidenhead(encodeMaidenhead(coordinate, { precision: 10 })).bounds;
+      expect(coordinate[0] >= bounds[0] && coordinate[0] <= bounds[2]).toBe(true);
+      expect(coordinate[1] >= bounds[1] && coordinate[1] <= bounds[3]).toBe(true);
+    });
+  });
+
+  it('throws DmsParseErrors for invalid locators', () => {
+    ['JS58', 'JN5', 'JN58sz', ' JN58sd9 '].forEach((v) => {
+      let subject;
+      try {
+        decodeMaidenhead(v);
+      } catch (e) {
+        subject = e;
+      }
+      expect(subject instanceof DmsParseError).toBe(true);
+      expect(subject.code).toBe('INVALID_SYNTAX');
+      expect(subject.start).toBe(v.search(/\S/));
+      expect(subject.end).toBe(v.trim().length + v.search(/\S/));
+    });
+  });
+});
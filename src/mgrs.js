@@ -0,0 +1,122 @@
+import { DmsParseError, ERROR_CODES } from './errors';
+import { inRange, matchSyntax, zeroPad } from './format';
+import { centralMeridianOf, LAT_BANDS, latBandOf, lonLatFor, utmFor } from './utm';
+
+/**
+ * RegEx for MGRS references with or without whitespace, e.g. `31U DQ 48251 11932`,
+ * `31UDQ4825111932` or `31UDQ` for the 100 km square.
+ * @type {RegExp}
+ */
+export const MGRS_REGEX = /^(\d{1,2})\s?([C-HJ-NP-X])\s?([A-HJ-NP-Z])([A-HJ-NP-V])(?:\s?(\d+)(?:\s+(\d+))?)?$/i;
+
+/**
+ * Column letters of the 100 km squares, which repeat every three zones.
+ * @type {string[]}
+ */
+const COLUMN_LETTERS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+
+/**
+ * Row letters of the 100 km squares, which alternate between odd and even zones and repeat
+ * every 2000 km.
+ * @type {string[]}
+ */
+const ROW_LETTERS = ['ABCDEFGHJKLMNPQRSTUV', 'FGHJKLMNPQRSTUVABCDE'];
+
+/**
+ * Parses a MGRS reference, e.g. `31U DQ 48251 11932` or `31UDQ4825111932`. The easting and
+ * northing digits can be given with a precision of 0 (100 km) to 5 (1 m) digits each.
+ * The returned coordinate is the south-west corner of the referenced square.
+ * @param {string} value
+ * @returns {[number, number]} [lon, lat]
+ * @throws {DmsParseError}
+ */
+export function fromMGRS(value) {
+  const m = matchSyntax(value, MGRS_REGEX);
+  const end = m.offset + m[0].length;
+  const zone = Number(m[1]);
+  const band = m[2].toUpperCase();
+  const digits = m[5] !== undefined ? m[5] + (m[6] !== undefined ? m[6] : '') : '';
+  const digitsStart = end - (m[6] !== undefined ? m[5].length + m[6].length + 1 : digits.length);
+  const squareStart = m.offset + m[0].indexOf(m[3] + m[4], m[0].search(/[A-Z]/i) + 1);
+
+  if (!inRange(zone, 1, 60)) {
+    throw new DmsParseError('Zone out of range', ERROR_CODES.ZONE_OUT_OF_RANGE, {
+      start: m.offset,
+      end: m.offset + m[1].length,
+    });
+  }
+
+  if (digits.length % 2 !== 0 || digits.length > 10
+    || (m[6] !== undefined && m[5].length !== m[6].length)) {
+    throw new DmsParseError('Could not parse string', ERROR_CODES.INVALID_SYNTAX, {
+      start: digitsStart,
+      end,
+    });
+  }
+
+  const column = COLUMN_LETTERS[(zone - 1) % 3].indexOf(m[3].toUpperCase()) + 1;
+  const row = ROW_LETTERS[(zone - 1) % 2].indexOf(m[4].toUpperCase());
+
+  if (column === 0 || row === -1) {
+    throw new DmsParseError('Invalid 100 km square', ERROR_CODES.INVALID_GRID_SQUARE, {
+      start: squareStart,
+      end: squareStart + 2,
+    });
+  }
+
+  // the row letters repeat every 2000 km, so blocks of 2000 km are added until the northing
+  // reaches the bottom of the latitude band
+  const precision = digits.length / 2;
+  const factor = Math.pow(10, 5 - precision);
+  const bandBottom = utmFor([centralMeridianOf(zone), (LAT_BANDS.indexOf(band) - 10) * 8], zone).northing;
+  const easting = column * 100e3 + Number(digits.substr(0, precision)) * factor;
+  let northing = row * 100e3 + Number(digits.substr(precision)) * factor;
+  while (northing < Math.floor(bandBottom / 100e3) * 100e3) {
+    northing += 2000e3;
+  }
+
+  return lonLatFor(zone, band >= 'N' ? 'N' : 'S', easting, northing);
+}
+
+/**
+ * Formats a coordinate as MGRS reference, e.g. `31UDQ4825111932`. The digits are truncated to
+ * the given `precision` (0 for 100 km to 5 for 1 m), so that the reference describes the square
+ * containing the coordinate. Coordinates of the polar regions beyond 80°S and 84°N are not
+ * supported.
+ * @param {[number, number]} coordinate [lon, lat]
+ * @param {{ precision: number, separator: string }=} optOptions `precision` defaults to 5,
+ * `separator` is placed between zone, square, easting and northing and defaults to ''
+ * @returns {string}
+ * @throws
+ */
+export function toMGRS(coordinate, optOptions) {
+  if (coordinate.length !== 2) {
+    throw new Error('Not a valid coordinate');
+  }
+
+  const options = Object.assign({
+    precision: 5,
+    separator: '',
+  }, optOptions !== undefined ? optOptions : {});
+
+  if (!(options.precision >= 0 && options.precision <= 5 && options.precision % 1 === 0)) {
+    throw new Error('Not a valid precision');
+  }
+
+  const utm = utmFor(coordinate);
+  const column = Math.floor(utm.easting / 100e3);
+  const row = Math.floor(utm.northing / 100e3) % 20;
+  const factor = Math.pow(10, 5 - options.precision);
+  const square = COLUMN_LETTERS[(utm.zone - 1) % 3].charAt(column - 1)
+    + ROW_LETTERS[(utm.zone - 1) % 2].charAt(row);
+  const parts = [zeroPad(String(utm.zone), 2) + latBandOf(coordinate[1]), square];
+
+  if (options.precision > 0) {
+    parts.push(
+      zeroPad(String(Math.floor(utm.easting % 100e3 / factor)), options.precision),
+      zeroPad(String(Math.floor(utm.northing % 100e3 / factor)), options.precision)
+    );
+  }
+
+  return parts.join(options.separator);
+}
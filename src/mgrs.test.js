@@ -0,0 +1,82 @@
+import { DmsParseError } from './errors';
+import { fromMGRS, toMGRS } from './mgrs';
+
+describe('toMGRS', () => {
+  it('Correctly formats coordinates', () => {
+    const testData = [
+      [[2.2945, 48.8582], undefined, '31UDQ4825111932'],
+      [[151.2153, -33.8568], { separator: ' ' }, '56H LH 34900 52288'],
+      [[4, 60], undefined, '32VKM2128861953'],
+      [[9, 78], undefined, '33XUG6097365496'],
+    ];
+
+    testData.forEach((v) => {
+      expect(toMGRS(v[0], v[1])).toBe(v[2]);
+    });
+  });
+
+  it('truncates the digits to the precision', () => {
+    const expected = ['31UDQ', '31UDQ41', '31UDQ4811', '31UDQ482119', '31UDQ48251193', '31UDQ4825111932'];
+    expected.forEach((v, precision) => {
+      expect(toMGRS([2.2945, 48.8582], { precision })).toBe(v);
+    });
+  });
+
+  it('throws for invalid options and coordinates', () => {
+    expect(() => toMGRS([2.2945, 48.8582], { precision: 6 })).toThrow('Not a valid precision');
+    expect(() => toMGRS([0, 85])).toThrow('Latitude outside of the UTM limits');
+  });
+});
+
+describe('fromMGRS', () => {
+  it('returns the south-west corner of the referenced square', () => {
+    const testData = [
+      ['31UDQ4825111932', [2.29449, 48.85819]],
+      ['31U DQ 48251 11932', [2.29449, 48.85819]],
+      ['31udq 48251 11932', [2.29449, 48.85819]],
+      ['56HLH3490052288', [151.21529, -33.85681]],
+      ['31UDQ', [1.63972, 48.74498]],
+    ];
+
+    testData.forEach((v) => {
+      const subject = fromMGRS(v[0]);
+      expect(subject[0]).toBeCloseTo(v[1][0], 5);
+      expect(subject[1]).toBeCloseTo(v[1][1], 5);
+    });
+  });
+
+  it('round trips coordinates within the precision', () => {
+    const testData = [
+      [-179.9, -79.9], [0.5, 0.5], [20, -0.001], [179.9, 83.9], [-70.6, -53.1], [10, 78], [5, 60],
+    ];
+
+    testData.forEach((coordinate) => {
+      const subject = fromMGRS(toMGRS(coordinate));
+      expect(Math.abs(subject[0] - coordinate[0])).toBeLessThan(0.0001);
+      expect(Math.abs(subject[1] - coordinate[1])).toBeLessThan(0.0001);
+    });
+  });
+
+  it('throws DmsParseErrors with the offending token', () => {
+    const testData = [
+      ['61UDQ4825111932', 'ZONE_OUT_OF_RANGE', 0, 2],
+      ['31USQ4825111932', 'INVALID_GRID_SQUARE', 3, 5],
+      ['31U DQ 4825 11932', 'INVALID_SYNTAX', 7, 17],
+      ['31UDQ482511193', 'INVALID_SYNTAX', 5, 14],
+      ['31IDQ4825111932', 'INVALID_SYNTAX', 0, 15],
+    ];
+
+    testData.forEach((v) => {
+      let subject;
+      try {
+        fromMGRS(v[0]);
+      } catch (e) {
+        subject = e;
+      }
+      expect(subject instanceof DmsParseError).toBe(true);
+      expect(subject.code).toBe(v[1]);
+      expect(subject.start).toBe(v[2]);
+      expect(subject.end).toBe(v[3]);
+    });
+  });
+});
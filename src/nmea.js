@@ -0,0 +1,206 @@
+import { DmsParseError, ERROR_CODES } from './errors';
+import { AXES, computeAngleConfig, decDegFromParts, hemisphereFor, zeroPad } from './format';
+
+/**
+ * RegEx for NMEA 0183 sentences with a position (GGA, RMC, GLL) and for the bare coordinate
+ * fields of such a sentence, e.g. `5912.1283,N,00215.6600,W`.
+ * @type {RegExp}
+ */
+export const NMEA_REGEX = /^(?:[$!][A-Z]{2}(?:GGA|RMC|GLL),.*|\d{4}(?:\.\d+)?,[NS],\d{5}(?:\.\d+)?,[EW])$/i;
+
+/**
+ * Index of the latitude field within the supported sentences. The sentence identifier has
+ * the index 0.
+ * @type {{GGA: number, RMC: number, GLL: number}}
+ */
+const SENTENCE_FIELDS = {
+  GGA: 2,
+  RMC: 3,
+  GLL: 1,
+};
+
+/**
+ * RegEx of the degrees and decimal minutes fields of the latitude (ddmm.mmmm) and the
+ * longitude (dddmm.mmmm).
+ * @type {{lat: RegExp, lon: RegExp}}
+ */
+const FIELD_REGEX = {
+  lat: /^(\d{2})(\d{2}(?:\.\d+)?)$/,
+  lon: /^(\d{3})(\d{2}(?:\.\d+)?)$/,
+};
+
+/**
+ * Computes the checksum of a sentence, which is the XOR of all characters between `$` and `*`.
+ * @param {string} body
+ * @returns {string} two digit hexadecimal checksum
+ */
+function checksumFor(body) {
+  let checksum = 0;
+  for (let i = 0; i < body.length; i++) {
+    checksum ^= body.charCodeAt(i);
+  }
+  return zeroPad(checksum.toString(16).toUpperCase(), 2);
+}
+
+/**
+ * Splits a comma separated string into fields and keeps the position of each field.
+ * @param {string} value
+ * @param {number} offset absolute offset of the value
+ * @returns {Array<{ value: string, start: number, end: number }>}
+ */
+function splitFields(value, offset) {
+  let start = offset;
+  return value.split(',').map((field) => {
+    const result = { value: field, start, end: start + field.length };
+    start += field.length + 1;
+    return result;
+  });
+}
+
+/**
+ * Computes the decimal angle of a degrees and decimal minutes field and its hemisphere field.
+ * @param {{ value: string, start: number, end: number }=} field
+ * @param {{ value: string, start: number, end: number }=} hemisphereField
+ * @param {string} axis 'lat' or 'lon'
+ * @param {number} end end of the parsed string, used as position of missing fields
+ * @returns {number}
+ * @throws {DmsParseError}
+ */
+function decDegFromField(field, hemisphereField, axis, end) {
+  if (field === undefined || hemisphereField === undefined || field.value === '' || hemisphereField.value === '') {
+    const start = field !== undefined ? field.start : end;
+    throw new DmsParseError('Could not parse string', ERROR_CODES.MISSING_COMPONENT, {
+      axis,
+      start,
+      end: hemisphereField !== undefined ? hemisphereField.end : start,
+    });
+  }
+
+  const range = { start: field.start, end: hemisphereField.end };
+  const m = field.value.match(FIELD_REGEX[axis]);
+  if (!m) {
+    throw new DmsParseError('Could not parse string', ERROR_CODES.INVALID_SYNTAX, Object.assign({ axis }, range));
+  }
+
+  const hemisphere = hemisphereField.value.toUpperCase();
+  const index = AXES[axis].hemispheres.indexOf(hemisphere);
+  if (index === -1) {
+    throw new DmsParseError('Hemisphere does not match the axis', ERROR_CODES.HEMISPHERE_MISMATCH, {
+      axis,
+      start: hemisphereField.start,
+      end: hemisphereField.end,
+    });
+  }
+
+  return decDegFromParts({
+    degrees: m[1],
+    minutes: m[2],
+    sign: index === 0 ? 1 : -1,
+  }, axis, range);
+}
+
+/**
+ * Extracts the coordinate of a NMEA 0183 sentence, e.g.
+ * `$GPGGA,123519,4807.038,N,01131.000,E,1,08,0.9,545.4,M,46.9,M,,*47`. GGA, RMC and GLL sentences of
+ * any talker are supported. The checksum of a sentence is required and verified, unless the
+ * `requireChecksum` option is `false`, which accepts sentences without checksum. Instead of a
+ * sentence the bare coordinate fields (`4807.038,N,01131.000,E`) can be passed.
+ * @param {string} value
+ * @param {{ requireChecksum: boolean }=} optOptions
+ * @returns {[number, number]} [lon, lat]
+ * @throws {DmsParseError}
+ */
+export function fromNMEA(value, optOptions) {
+  const options = Object.assign({
+    requireChecksum: true,
+  }, optOptions !== undefined ? optOptions : {});
+  const v = value.trim();
+  const offset = value.search(/\S|$/);
+  let fields;
+  let index = 0;
+  // missing fields are reported at the end of the fields, in front of the checksum
+  let end = offset + v.length;
+
+  if (v[0] === '$' || v[0] === '!') {
+    const star = v.lastIndexOf('*');
+    const body = v.substring(1, star === -1 ? v.length : star);
+
+    if (star !== -1 && v.substr(star + 1).toUpperCase() !== checksumFor(body)) {
+      throw new DmsParseError('Invalid checksum', ERROR_CODES.INVALID_CHECKSUM, {
+        start: offset + star,
+        end: offset + v.length,
+      });
+    }
+
+    fields = splitFields(body, offset + 1);
+    end = offset + 1 + body.length;
+    index = SENTENCE_FIELDS[fields[0].value.substr(2).toUpperCase()];
+
+    if (index === undefined) {
+      throw new DmsParseError('Unsupported sentence', ERROR_CODES.INVALID_SYNTAX, {
+        start: fields[0].start,
+        end: fields[0].end,
+      });
+    }
+
+    if (star === -1 && options.requireChecksum) {
+      throw new DmsParseError('Missing checksum', ERROR_CODES.INVALID_CHECKSUM, {
+        start: offset + v.length,
+        end: offset + v.length,
+      });
+    }
+  } else {
+    fields = splitFields(v, offset);
+
+    if (fields.length !== 4) {
+      throw new DmsParseError('Could not parse string', ERROR_CODES.INVALID_SYNTAX, {
+        start: offset,
+        end: offset + v.length,
+      });
+    }
+  }
+
+  const lat = decDegFromField(fields[index], fields[index + 1], 'lat', end);
+  const lon = decDegFromField(fields[index + 2], fields[index + 3], 'lon', end);
+  return [lon, lat];
+}
+
+/**
+ * Formats a coordinate as the coordinate fields of a NMEA 0183 sentence, e.g.
+ * `5912.1283,N,00215.6600,W`. If the `sentence` option is set to 'GLL', a complete GLL sentence
+ * with checksum is returned, e.g. `$GPGLL,5912.1283,N,00215.6600,W,,A*xx`.
+ * @param {[number, number]} coordinate [lon, lat]
+ * @param {{ decimalPlaces: number, sentence: string, talker: string, time: string }=} optOptions
+ * `talker` defaults to 'GP' and `time` (hhmmss.ss) to an empty field
+ * @returns {string}
+ */
+export function toNMEA(coordinate, optOptions) {
+  if (coordinate.length !== 2) {
+    throw new Error('Not a valid coordinate');
+  }
+
+  const options = Object.assign({
+    decimalPlaces: 4,
+    talker: 'GP',
+    time: '',
+  }, optOptions !== undefined ? optOptions : {});
+
+  const fields = [[coordinate[1], 'lat', 2], [coordinate[0], 'lon', 3]].map(([value, axis, width]) => {
+    const values = computeAngleConfig(value, { perDegree: 60, decimalPlaces: options.decimalPlaces });
+    return zeroPad(String(values.degreesInt), width)
+      + zeroPad(values.minutes.toFixed(options.decimalPlaces), 2)
+      + ','
+      + hemisphereFor(value, axis);
+  }).join(',');
+
+  if (options.sentence === undefined) {
+    return fields;
+  }
+
+  if (options.sentence !== 'GLL') {
+    throw new Error('Not a supported sentence');
+  }
+
+  const body = options.talker + 'GLL,' + fields + ',' + options.time + ',A';
+  return '$' + body + '*' + checksumFor(body);
+}
@@ -0,0 +1,87 @@
+import { fromNMEA, toNMEA } from './nmea';
+
+describe('fromNMEA', () => {
+  const expected = [
+    11 + 31 / 60,
+    48 + 7.038 / 60,
+  ];
+
+  it('Correctly extracts the coordinate of GGA, RMC and GLL sentences', () => {
+    const testData = [
+      '$GPGGA,123519,4807.038,N,01131.000,E,1,08,0.9,545.4,M,46.9,M,,*47',
+      '$GPRMC,123519,A,4807.038,N,01131.000,E,022.4,084.4,230394,003.1,W*6A',
+      '$GNGLL,4807.038,N,01131.000,E,123519,A*3B',
+      '  $gpgga,123519,4807.038,n,01131.000,e,1,08,0.9,545.4,M,46.9,M,,*67  ',
+    ];
+
+    testData.forEach((v) => {
+      const subject = fromNMEA(v);
+      expect(subject[0]).toBe(expected[0]);
+      expect(subject[1]).toBe(expected[1]);
+    });
+  });
+
+  it('accepts sentences without checksum with the requireChecksum option', () => {
+    expect(fromNMEA('$GNGLL,4807.038,N,01131.000,E,123519,A', { requireChecksum: false })).toEqual(expected);
+    expect(() => fromNMEA('$GNGLL,4807.038,N,01131.000,E,123519,A*3C', { requireChecksum: false }))
+      .toThrow('Invalid checksum');
+  });
+
+  it('Correctly parses the bare coordinate fields', () => {
+    expect(fromNMEA('4807.038,N,01131.000,E')).toEqual(expected);
+    expect(fromNMEA('4916.45,S,12311.12,W')).toEqual([-1 * (123 + 11.12 / 60), -1 * (49 + 16.45 / 60)]);
+  });
+
+  it('throws DmsParseErrors for invalid sentences', () => {
+    const testData = [
+      ['$GPGGA,123519,4807.038,N,01131.000,E,1,08,0.9,545.4,M,46.9,M,,*48', 'INVALID_CHECKSUM', undefined, 62, 65],
+      ['$GPVTG,054.7,T,034.4,M,005.5,N,010.2,K', 'INVALID_SYNTAX', undefined, 1, 6],
+      ['$GPGGA,123519,,,,,0,00,,,M,,M,,*6B', 'MISSING_COMPONENT', 'lat', 14, 15],
+      ['$GPGLL,4807.038,N*00', 'MISSING_COMPONENT', 'lon', 17, 17],
+      ['$GNGLL,4807.038,N,01131.000,E,123519,A', 'INVALID_CHECKSUM', undefined, 38, 38],
+      ['4807.038,E,01131.000,N', 'HEMISPHERE_MISMATCH', 'lat', 9, 10],
+      ['4807.038,N,1131.000,E', 'INVALID_SYNTAX', 'lon', 11, 21],
+      ['9807.038,N,01131.000,E', 'LATITUDE_OUT_OF_RANGE', 'lat', 0, 10],
+      ['4807.038,N', 'INVALID_SYNTAX', undefined, 0, 10],
+    ];
+
+    testData.forEach((v) => {
+      let subject;
+      try {
+        fromNMEA(v[0]);
+      } catch (e) {
+        subject = e;
+      }
+      expect(subject.code).toBe(v[1]);
+      expect(subject.axis).toBe(v[2]);
+      expect(subject.start).toBe(v[3]);
+      expect(subject.end).toBe(v[4]);
+    });
+  });
+});
+
+describe('toNMEA', () => {
+  const coordinate = [-2.261, 59.20213888888889];
+
+  it('formats the coordinate fields', () => {
+    expect(toNMEA(coordinate)).toBe('5912.1283,N,00215.6600,W');
+    expect(toNMEA([11 + 31 / 60, 48 + 7.038 / 60], { decimalPlaces: 3 })).toBe('4807.038,N,01131.000,E');
+    expect(toNMEA([-0.99999999, -5.05])).toBe('0503.0000,S,00100.0000,W');
+  });
+
+  it('formats a GLL sentence with checksum', () => {
+    expect(toNMEA(coordinate, { sentence: 'GLL', talker: 'GN' })).toBe('$GNGLL,5912.1283,N,00215.6600,W,,A*27');
+    expect(toNMEA([-1 * (123 + 11.12 / 60), 49 + 16.45 / 60], { sentence: 'GLL', decimalPlaces: 2, time: '225444' }))
+      .toBe('$GPGLL,4916.45,N,12311.12,W,225444,A*31');
+  });
+
+  it('throws for not supported sentences', () => {
+    expect(() => toNMEA(coordinate, { sentence: 'GGA' })).toThrow('Not a supported sentence');
+  });
+
+  it('round trips the formatted sentences', () => {
+    const subject = fromNMEA(toNMEA(coordinate, { sentence: 'GLL' }));
+    expect(subject[0]).toBeCloseTo(coordinate[0], 5);
+    expect(subject[1]).toBeCloseTo(coordinate[1], 5);
+  });
+});
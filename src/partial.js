@@ -0,0 +1,408 @@
+import { parse } from './dmsformat';
+import { DmsParseError, ERROR_CODES } from './errors';
+import { AXES, UNITS } from './format';
+import { delocalize } from './locales';
+
+/**
+ * States of a partially typed coordinate string, see `parsePartial`.
+ * @type {{INCOMPLETE: string, VALID: string, INVALID: string}}
+ */
+export const PARTIAL_STATES = {
+  INCOMPLETE: 'incomplete',
+  VALID: 'valid',
+  INVALID: 'invalid',
+};
+
+/**
+ * Tokens of a dms, dmm or dd string. The order matters, e.g. `''` is a seconds mark and not two
+ * minutes marks.
+ * @type {Array<[string, RegExp]>}
+ */
+const TOKENS = [
+  ['whitespace', /^\s+/],
+  ['number', /^\d+(?:\.\d*)?/],
+  ['degreeMark', /^[°º]/],
+  ['secondMark', /^(?:"|″|''|’’)/],
+  ['minuteMark', /^['’‘′]/],
+  ['colon', /^:/],
+  ['hemisphere', /^[NSEW]/i],
+  ['sign', /^-/],
+  ['separator', /^,/],
+];
+
+/**
+ * Names, maximal values and unit symbols of the numbers of a component in their order.
+ * @type {Array<{ name: string, max: number, unit: string }>}
+ */
+const NUMBERS = [
+  { name: 'degrees', max: 180, unit: UNITS.degrees },
+  { name: 'minutes', max: 60, unit: UNITS.minutes },
+  { name: 'seconds', max: 60, unit: UNITS.seconds },
+];
+
+/**
+ * Splits a string into the tokens of `TOKENS`.
+ * @param {string} value
+ * @returns {Array<{ type: string, text: string, start: number, end: number }>}
+ * @throws {DmsParseError} for characters which are not part of any token
+ */
+function tokenize(value) {
+  const tokens = [];
+  let start = 0;
+
+  while (start < value.length) {
+    const rest = value.substr(start);
+    const token = TOKENS.map(([type, regex]) => ({ type, m: rest.match(regex) }))
+      .filter((t) => t.m !== null)[0];
+
+    if (token === undefined) {
+      throw new DmsParseError('Could not parse string', ERROR_CODES.INVALID_SYNTAX, { start, end: start + 1 });
+    }
+
+    tokens.push({ type: token.type, text: token.m[0], start, end: start + token.m[0].length });
+    start += token.m[0].length;
+  }
+
+  return tokens;
+}
+
+/**
+ * Checks if a component consists of bare degrees and minutes, which `parse` reads as dmm.
+ * @param {{ numbers: Array<{ unit: string= }> }} component
+ * @returns {boolean}
+ */
+function isBareDMM(component) {
+  return component.numbers.length === 2 && component.numbers.every((n) => n.unit === undefined);
+}
+
+/**
+ * Checks if any component has a hemisphere letter or a unit, which `parse` reads as dms.
+ * @param {Array<{ numbers: Array<{ unit: string= }>, hemisphere: string= }>} components
+ * @returns {boolean}
+ */
+function hasMarks(components) {
+  return components.some((c) => c.hemisphere !== undefined || c.numbers.some((n) => n.unit !== undefined));
+}
+
+/**
+ * Walks through the tokens and assigns them to at most two components. The walk mirrors the
+ * syntax of `fromDMS` and `fromDMM`: a hemisphere letter can be placed before or after the
+ * values and a number following a degrees or minutes value only belongs to the same component
+ * if it is marked as minutes or seconds, while any number following marked minutes is read as
+ * seconds. In strings with a comma bare numbers are the degrees and minutes of one component,
+ * which cannot be mixed with hemisphere letters or units of the other component.
+ * @param {Array<{ type: string, text: string, start: number, end: number }>} tokens
+ * @param {boolean} isCommaStyle
+ * @returns {{ components: Array<{}>, stage: string, endsWithSpace: boolean }}
+ * @throws {DmsParseError}
+ */
+function walk(tokens, isCommaStyle) {
+  const components = [{ numbers: [] }];
+  let stage = 'start';
+  let endsWithSpace = false;
+
+  function errorFn(token, code) {
+    throw new DmsParseError(code === ERROR_CODES.INVALID_SYNTAX ? 'Could not parse string' : 'Value out of range',
+      code, { start: token.start, end: token.end });
+  }
+
+  function nextComponent(token) {
+    if (components.length === 2) {
+      errorFn(token, ERROR_CODES.INVALID_SYNTAX);
+    }
+    components.push({ numbers: [] });
+  }
+
+  function pushNumber(token) {
+    const component = components[components.length - 1];
+    const def = NUMBERS[component.numbers.length];
+    if (def === undefined) {
+      errorFn(token, ERROR_CODES.INVALID_SYNTAX);
+    }
+    if (Number(token.text) > def.max) {
+      errorFn(token, ERROR_CODES[def.name.toUpperCase() + '_OUT_OF_RANGE']);
+    }
+    component.numbers.push({ text: token.text, unit: undefined, start: token.start });
+    stage = 'number';
+  }
+
+  tokens.forEach((token, i) => {
+    const component = components[components.length - 1];
+    const last = component.numbers[component.numbers.length - 1];
+    const next = tokens[i + 1];
+    const isMarkedNext = next !== undefined && (next.type === 'minuteMark' || next.type === 'colon');
+
+    if (token.type === 'whitespace') {
+      if (stage === 'sign') {
+        errorFn(token, ERROR_CODES.INVALID_SYNTAX);
+      }
+      endsWithSpace = true;
+      return;
+    }
+
+    const hasSpace = endsWithSpace;
+    endsWithSpace = false;
+
+    switch (token.type) {
+    case 'number':
+      if (stage === 'start' || stage === 'prefix' || stage === 'sign' || stage === 'separator') {
+        pushNumber(token);
+      } else if (stage === 'suffix' || last.text.indexOf('.') !== -1) {
+        nextComponent(token);
+        pushNumber(token);
+      } else if (stage === 'number' && isCommaStyle) {
+        // dmm components consist of bare degrees and minutes
+        if (component.numbers.length !== 1 || hasMarks(components)) {
+          errorFn(token, ERROR_CODES.INVALID_SYNTAX);
+        }
+        pushNumber(token);
+      } else if ((component.numbers.length === 1 && isMarkedNext)
+          || (component.numbers.length === 2 && last.unit !== undefined)) {
+        pushNumber(token);
+      } else if (hasSpace || stage === 'unit') {
+        nextComponent(token);
+        components[1].isAdjacent = !hasSpace;
+        pushNumber(token);
+      } else {
+        errorFn(token, ERROR_CODES.INVALID_SYNTAX);
+      }
+      break;
+    case 'degreeMark':
+    case 'minuteMark':
+    case 'secondMark':
+    case 'colon': {
+      const index = ['degreeMark', 'minuteMark', 'secondMark'].indexOf(token.type);
+      const isValid = stage === 'number' && !hasSpace && (token.type === 'colon'
+        ? component.numbers.length <= 2
+        : component.numbers.length === index + 1)
+        && !(isCommaStyle && components.some((c) => c !== component && isBareDMM(c)));
+      if (!isValid) {
+        errorFn(token, ERROR_CODES.INVALID_SYNTAX);
+      }
+      last.unit = token.text;
+      stage = 'unit';
+      break;
+    }
+    case 'hemisphere':
+      if (isCommaStyle && components.some(isBareDMM)) {
+        errorFn(token, ERROR_CODES.INVALID_SYNTAX);
+      }
+      if (stage === 'start' || stage === 'separator') {
+        component.hemisphere = token.text.toUpperCase();
+        stage = 'prefix';
+      } else if (stage === 'suffix' && components.length === 1) {
+        // the letter is the prefix of the next component, e.g. `41 N E 2`
+        nextComponent(token);
+        components[1].hemisphere = token.text.toUpperCase();
+        stage = 'prefix';
+      } else if (stage === 'number' || stage === 'unit') {
+        // the letter is the prefix of the next component, if the current one has a prefix
+        // already or if it is separated from the values and directly followed by a number
+        if (component.hemisphere !== undefined
+            || (hasSpace && next !== undefined && (next.type === 'number' || next.type === 'sign'))) {
+          nextComponent(token);
+          components[1].hemisphere = token.text.toUpperCase();
+          stage = 'prefix';
+        } else {
+          component.hemisphere = token.text.toUpperCase();
+          stage = 'suffix';
+        }
+      } else {
+        errorFn(token, ERROR_CODES.INVALID_SYNTAX);
+      }
+      break;
+    case 'sign':
+      if (stage === 'start' || stage === 'prefix' || stage === 'separator') {
+        component.sign = -1;
+      } else if ((stage === 'suffix' || hasSpace) && stage !== 'sign') {
+        nextComponent(token);
+        components[1].sign = -1;
+      } else {
+        errorFn(token, ERROR_CODES.INVALID_SYNTAX);
+      }
+      stage = 'sign';
+      break;
+    default:
+      // separator
+      if (components.length !== 1 || (stage !== 'number' && stage !== 'unit' && stage !== 'suffix')) {
+        errorFn(token, ERROR_CODES.INVALID_SYNTAX);
+      }
+      nextComponent(token);
+      stage = 'separator';
+    }
+  });
+
+  return { components, stage, endsWithSpace };
+}
+
+/**
+ * Resolves the axis of the components through their hemisphere letters. Components without
+ * a letter describe the remaining axis in lat / lon order.
+ * @param {Array<{ hemisphere: string= }>} components
+ * @returns {string[]} axis of each component
+ * @throws {DmsParseError}
+ */
+function axesOf(components) {
+  const letters = components.map((c) => Object.keys(AXES)
+    .filter((axis) => AXES[axis].hemispheres.indexOf(c.hemisphere) !== -1)[0]);
+
+  if (letters.length === 2 && letters[0] !== undefined && letters[0] === letters[1]) {
+    throw new DmsParseError('Could not parse string', ERROR_CODES.DUPLICATE_AXIS, { axis: letters[1] });
+  }
+
+  const isLonFirst = letters[0] === 'lon' || letters[1] === 'lat';
+  return components.map((c, i) => (i === 0) !== isLonFirst ? 'lat' : 'lon');
+}
+
+/**
+ * Returns the token kinds which may follow the walked tokens.
+ * @param {{ components: Array<{}>, stage: string }} result of `walk`
+ * @param {boolean} isCommaStyle
+ * @returns {string[]}
+ */
+function expectedAfter(result, isCommaStyle) {
+  const component = result.components[result.components.length - 1];
+  const last = component.numbers[component.numbers.length - 1];
+  const isFirst = result.components.length === 1;
+
+  switch (result.stage) {
+  case 'start':
+  case 'separator':
+    return isCommaStyle && result.components.some(isBareDMM) ? ['degrees'] : ['degrees', 'hemisphere'];
+  case 'prefix':
+  case 'sign':
+    return ['degrees'];
+  case 'suffix':
+    return isFirst ? ['separator'] : [];
+  default: {
+    const isDecimal = last.text.indexOf('.') !== -1;
+    const expected = [];
+    if (!isDecimal && component.numbers.length === 1
+      && (!isCommaStyle || last.unit !== undefined || !hasMarks(result.components))) {
+      expected.push('minutes');
+    }
+    if (!isDecimal && component.numbers.length === 2 && !isCommaStyle) {
+      expected.push('seconds');
+    }
+    // `parse` reads signed values as negative regardless of the letter and has no letters for
+    // incomplete decimals, e.g. `2.`, or dmm
+    if (component.hemisphere === undefined && component.sign === undefined && !/\.$/.test(last.text)
+      && !(isCommaStyle && result.components.some(isBareDMM))) {
+      expected.push('hemisphere');
+    }
+    if (isFirst) {
+      expected.push('separator');
+    }
+    return expected;
+  }
+  }
+}
+
+/**
+ * Returns suggested completions of the value, which are the unit of a number without unit and
+ * the hemisphere letters of the current component.
+ * @param {string} value
+ * @param {{ components: Array<{}>, stage: string, endsWithSpace: boolean }} result of `walk`
+ * @param {string[]} expected
+ * @param {boolean} isCommaStyle
+ * @returns {string[]}
+ */
+function completionsFor(value, result, expected, isCommaStyle) {
+  const completions = [];
+  const component = result.components[result.components.length - 1];
+  const last = component.numbers[component.numbers.length - 1];
+
+  // `59°12` is parsed as two components, but is likely typed as degrees and minutes
+  if (result.stage === 'number' && !result.endsWithSpace && component.isAdjacent
+    && result.components[0].numbers.length === 1 && result.components[0].hemisphere === undefined) {
+    completions.push(value + UNITS.minutes);
+  }
+
+  if (result.stage === 'number' && !result.endsWithSpace && !isCommaStyle && !/\.$/.test(last.text)) {
+    completions.push(value + NUMBERS[component.numbers.length - 1].unit);
+  }
+
+  if (expected.indexOf('hemisphere') !== -1) {
+    const axis = axesOf(result.components)[result.components.length - 1];
+    const separator = result.endsWithSpace || result.stage === 'start' ? '' : ' ';
+    AXES[axis].hemispheres.forEach((letter) => {
+      completions.push(value + separator + letter);
+    });
+  }
+
+  return completions;
+}
+
+/**
+ * Parses a coordinate string while it is typed, e.g. within an autocomplete field. Instead of
+ * throwing it returns the `state` of the string, which is either 'valid' if the string is a
+ * complete coordinate, 'incomplete' if it can still become one or 'invalid'. Besides the state
+ * it returns the [lon, lat] `coordinate` and `format` of valid strings, the `components` parsed so far, the
+ * kinds of tokens `expected` next ('degrees', 'minutes', 'seconds', 'hemisphere' or 'separator'),
+ * suggested `completions` of the string and the `error` of invalid strings.
+ *
+ * @param {string} value
+ * @param {{ formats: string[], locale: string }=} optOptions see `parse`
+ * @returns {{ state: string, coordinate: [number, number]|undefined, format: string|undefined, components: Array<{}>, expected: string[], completions: string[], error: DmsParseError|undefined }}
+ */
+export function parsePartial(value, optOptions) {
+  const v = optOptions !== undefined && optOptions.locale !== undefined
+    ? delocalize(value, optOptions.locale)
+    : value;
+  const isCommaStyle = v.indexOf(',') !== -1;
+  let walked;
+  let axes;
+
+  try {
+    walked = walk(tokenize(v), isCommaStyle);
+    axes = axesOf(walked.components);
+  } catch (e) {
+    if (!(e instanceof DmsParseError)) {
+      throw e;
+    }
+    return {
+      state: PARTIAL_STATES.INVALID,
+      coordinate: undefined,
+      format: undefined,
+      components: [],
+      expected: [],
+      completions: [],
+      error: e,
+    };
+  }
+
+  const components = walked.components.map((c, i) => {
+    const result = { axis: axes[i], hemisphere: c.hemisphere, sign: c.sign !== undefined ? c.sign : 1 };
+    NUMBERS.forEach((def, j) => {
+      result[def.name] = c.numbers[j] !== undefined ? Number(c.numbers[j].text) : undefined;
+    });
+    return result;
+  });
+  const expected = expectedAfter(walked, isCommaStyle);
+  const completions = completionsFor(value, walked, expected, isCommaStyle);
+  let parsed;
+  let error;
+
+  try {
+    parsed = parse(value, optOptions);
+  } catch (e) {
+    if (!(e instanceof DmsParseError)) {
+      throw e;
+    }
+    error = e;
+  }
+
+  const coordinate = parsed !== undefined ? parsed.coordinate : undefined;
+
+  return {
+    state: coordinate !== undefined
+      ? PARTIAL_STATES.VALID
+      : expected.length > 0 ? PARTIAL_STATES.INCOMPLETE : PARTIAL_STATES.INVALID,
+    coordinate,
+    format: parsed !== undefined ? parsed.format : undefined,
+    components,
+    expected,
+    completions,
+    error: coordinate === undefined && expected.length === 0 ? error : undefined,
+  };
+}
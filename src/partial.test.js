@@ -0,0 +1,140 @@
+import { parsePartial } from './partial';
+
+describe('parsePartial', () => {
+  it('returns the state of strings typed within an autocomplete field', () => {
+    const testData = [
+      ['', 'incomplete'],
+      ['4', 'incomplete'],
+      ['41', 'incomplete'],
+      ['41 ', 'incomplete'],
+      ['41 24.2028,', 'incomplete'],
+      ['41 24.2028, ', 'incomplete'],
+      ['41 24.2028, -', 'incomplete'],
+      ['41 24.2028, -2', 'valid'],
+      ['41 24.2028, -2 10.', 'valid'],
+      ['41 24.2028, -2 10.4', 'valid'],
+      ['59°', 'incomplete'],
+      ['59°12\'', 'incomplete'],
+      ['59°12\'7.7"', 'incomplete'],
+      ['59°12\'7.7"N', 'incomplete'],
+      ['59°12\'7.7"N 02°15\'39.6"W', 'valid'],
+      ['N 59', 'incomplete'],
+      ['95 10', 'incomplete'],
+      ['abc', 'invalid'],
+      ['41 75, 2', 'invalid'],
+      ['59°12\'°', 'invalid'],
+      ['59°N 12°N', 'invalid'],
+      ['41 24.2028, -2 10.4, 3', 'invalid'],
+      ['41 24.2028, 2 E', 'invalid'],
+      ['41 24.2028 N, 2', 'invalid'],
+    ];
+
+    testData.forEach(([value, state]) => {
+      expect([value, parsePartial(value).state]).toEqual([value, state]);
+    });
+  });
+
+  it('returns the components parsed so far', () => {
+    expect(parsePartial('41 24.2028, -').components).toEqual([
+      { axis: 'lat', hemisphere: undefined, sign: 1, degrees: 41, minutes: 24.2028, seconds: undefined },
+      { axis: 'lon', hemisphere: undefined, sign: -1, degrees: undefined, minutes: undefined, seconds: undefined },
+    ]);
+    expect(parsePartial('2°15\'W 59°12\'').components).toEqual([
+      { axis: 'lon', hemisphere: 'W', sign: 1, degrees: 2, minutes: 15, seconds: undefined },
+      { axis: 'lat', hemisphere: undefined, sign: 1, degrees: 59, minutes: 12, seconds: undefined },
+    ]);
+  });
+
+  it('returns the tokens expected next', () => {
+    const testData = [
+      ['', ['degrees', 'hemisphere']],
+      ['N', ['degrees']],
+      ['41', ['minutes', 'hemisphere', 'separator']],
+      ['41.5', ['hemisphere', 'separator']],
+      ['59°12\'', ['seconds', 'hemisphere', 'separator']],
+      ['41 24.2028', ['hemisphere']],
+      ['41 24.2028,', ['degrees']],
+      ['41 24.2028, 2', ['minutes']],
+      ['41 24.2028, 2 10', []],
+      ['41,', ['degrees', 'hemisphere']],
+      ['41 N, 2', ['hemisphere']],
+      ['-41', ['minutes', 'separator']],
+      ['59°12\'7.7"N', ['separator']],
+      ['59°12\'7.7"N 02°15\'39.6"W', []],
+    ];
+
+    testData.forEach(([value, expected]) => {
+      expect([value, parsePartial(value).expected]).toEqual([value, expected]);
+    });
+  });
+
+  it('returns suggested completions', () => {
+    expect(parsePartial('59').completions).toEqual(['59°', '59 N', '59 S']);
+    expect(parsePartial('59°12').completions).toEqual(['59°12′', '59°12°', '59°12 E', '59°12 W']);
+    expect(parsePartial('59°12\'7.7" ').completions).toEqual(['59°12\'7.7" N', '59°12\'7.7" S']);
+    expect(parsePartial('59°12\'7.7"N 2°15\'').completions).toEqual(['59°12\'7.7"N 2°15\' E', '59°12\'7.7"N 2°15\' W']);
+    expect(parsePartial('2°W 59').completions).toEqual(['2°W 59°', '2°W 59 N', '2°W 59 S']);
+    expect(parsePartial('41 24.2028,').completions).toEqual([]);
+    expect(parsePartial('41 24.2028, 2').completions).toEqual([]);
+    expect(parsePartial('41,').completions).toEqual(['41, E', '41, W']);
+  });
+
+  it('only suggests completions which parse reads the same way', () => {
+    const values = ['41', '41 24.2028', '41 24.2028,', '41 24.2028, 2', '41,', '41, 2', '-41', '41 2.', '59°12\'', '59°12\'7.7"N 2°15\''];
+
+    values.forEach((value) => {
+      parsePartial(value).completions.forEach((completion) => {
+        expect([completion, parsePartial(completion).state]).not.toEqual([completion, 'invalid']);
+      });
+    });
+  });
+
+  it('returns a coordinate which matches the components of valid strings', () => {
+    const values = ['41 24.2028, -2 10.4', '59°12\'7.7"N 02°15\'39.6"W', '2°W 59 N', '41 N, 2 W', '41 N E 2', '59N2W', '41 24.2028 E', '41.5 2.5'];
+
+    values.forEach((value) => {
+      const result = parsePartial(value);
+      const expected = {};
+      result.components.forEach((c) => {
+        const degrees = c.degrees + (c.minutes || 0) / 60 + (c.seconds || 0) / 3600;
+        expected[c.axis] = c.sign === -1 || c.hemisphere === 'S' || c.hemisphere === 'W' ? -degrees : degrees;
+      });
+      expect(result.state).toBe('valid');
+      expect(result.coordinate[0]).toBeCloseTo(expected.lon, 10);
+      expect(result.coordinate[1]).toBeCloseTo(expected.lat, 10);
+    });
+  });
+
+  it('returns the coordinate and format of valid strings', () => {
+    const result = parsePartial('41 24.2028, -2 10.4');
+    expect(result.coordinate[0]).toBeCloseTo(-(2 + 10.4 / 60), 10);
+    expect(result.coordinate[1]).toBeCloseTo(41 + 24.2028 / 60, 10);
+    expect(result.format).toBe('dmm');
+    expect(result.error).toBeUndefined();
+    expect(parsePartial('41 24.2028,').coordinate).toBeUndefined();
+    const compact = parsePartial('59°12\'7.7"N02°15\'39.6"W').coordinate;
+    expect(compact[0]).toBeCloseTo(-(2 + 15 / 60 + 39.6 / 3600), 10);
+    expect(compact[1]).toBeCloseTo(59 + 12 / 60 + 7.7 / 3600, 10);
+    expect(parsePartial('59N2W').coordinate).toEqual([-2, 59]);
+  });
+
+  it('returns the error of invalid strings', () => {
+    const testData = [
+      ['abc', 'INVALID_SYNTAX', 0, 1],
+      ['41 75, 2', 'MINUTES_OUT_OF_RANGE', 3, 5],
+      ['190', 'DEGREES_OUT_OF_RANGE', 0, 3],
+      ['59°12\'°', 'INVALID_SYNTAX', 6, 7],
+    ];
+
+    testData.forEach(([value, code, start, end]) => {
+      const { error } = parsePartial(value);
+      expect([value, error.code, error.start, error.end]).toEqual([value, code, start, end]);
+    });
+    expect(parsePartial('59°N 12°N').error.code).toBe('DUPLICATE_AXIS');
+  });
+
+  it('supports the locale option', () => {
+    expect(parsePartial('41 24,2028; -2', { locale: 'de' }).state).toBe('valid');
+    expect(parsePartial('41 24,2028;', { locale: 'de' }).state).toBe('incomplete');
+  });
+});
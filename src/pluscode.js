@@ -0,0 +1,165 @@
+import { DmsParseError, ERROR_CODES } from './errors';
+import { AXES, cellIndexOf, inRange, isNumber } from './format';
+
+/**
+ * RegEx for full Plus Codes (Open Location Code), e.g. `9C3XGV5C+2V` or the padded
+ * `9C3X0000+`. Short codes, which need a reference location, are not supported.
+ * @type {RegExp}
+ */
+export const PLUSCODE_REGEX = /^[23456789CFGHJMPQRVWX]{2,8}0*\+[23456789CFGHJMPQRVWX]*$/i;
+
+/**
+ * Base 20 alphabet of the Plus Code digits.
+ * @type {string}
+ */
+const ALPHABET = '23456789CFGHJMPQRVWX';
+
+/**
+ * Parameters of the Open Location Code specification. The first ten digits are encoded as
+ * pairs of base 20 digits, all further digits refine a grid of 4 columns and 5 rows.
+ * `latPrecision` and `lonPrecision` are the number of cells per degree of the finest digit.
+ * @type {{separatorPosition: number, pairLength: number, maxLength: number, gridColumns: number, gridRows: number, latPrecision: number, lonPrecision: number}}
+ */
+const OLC = {
+  separatorPosition: 8,
+  pairLength: 10,
+  maxLength: 15,
+  gridColumns: 4,
+  gridRows: 5,
+  latPrecision: 8000 * Math.pow(5, 5),
+  lonPrecision: 8000 * Math.pow(4, 5),
+};
+
+/**
+ * Decodes a full Plus Code, e.g. `9C3XGV5C+2V`. Returns the center of the code area as
+ * [lon, lat] `coordinate` and the `bounds` of the area as [west, south, east, north] array.
+ * @param {string} value
+ * @returns {{ coordinate: [number, number], bounds: [number, number, number, number] }}
+ * @throws {DmsParseError}
+ */
+export function decodePlusCode(value) {
+  const offset = value.search(/\S|$/);
+  const v = value.trim().toUpperCase();
+  const separator = v.indexOf('+');
+  const padding = v.indexOf('0');
+
+  function errorFn(message, start, end) {
+    throw new DmsParseError(message, ERROR_CODES.INVALID_SYNTAX, { start: offset + start, end: offset + end });
+  }
+
+  if (!PLUSCODE_REGEX.test(v)) {
+    errorFn('Could not parse string', 0, v.length);
+  }
+
+  if (separator !== OLC.separatorPosition) {
+    errorFn('Short codes are not supported', 0, separator + 1);
+  }
+
+  if (padding !== -1 && (padding % 2 !== 0 || separator !== v.length - 1)) {
+    errorFn('Invalid padding', padding, v.length);
+  }
+
+  if (v.length - separator - 1 === 1) {
+    errorFn('Could not parse string', separator + 1, v.length);
+  }
+
+  if (ALPHABET.indexOf(v.charAt(0)) * 20 >= 2 * AXES.lat.max || ALPHABET.indexOf(v.charAt(1)) * 20 >= 2 * AXES.lon.max) {
+    errorFn('Could not parse string', 0, 2);
+  }
+
+  const digits = v.replace('+', '').replace(/0+$/, '');
+  let lat = 0;
+  let lon = 0;
+  let latCell = 20;
+  let lonCell = 20;
+
+  // the pairs describe 20°, 1°, 0.05°, 0.0025° and 0.000125°
+  for (let i = 0; i < Math.min(digits.length, OLC.pairLength); i += 2) {
+    if (i > 0) {
+      latCell /= 20;
+      lonCell /= 20;
+    }
+    lat += ALPHABET.indexOf(digits.charAt(i)) * latCell;
+    lon += ALPHABET.indexOf(digits.charAt(i + 1)) * lonCell;
+  }
+
+  // the grid digits divide the cell into 4 columns and 5 rows
+  for (let i = OLC.pairLength; i < Math.min(digits.length, OLC.maxLength); i++) {
+    const index = ALPHABET.indexOf(digits.charAt(i));
+    latCell /= OLC.gridRows;
+    lonCell /= OLC.gridColumns;
+    lat += Math.floor(index / OLC.gridColumns) * latCell;
+    lon += (index % OLC.gridColumns) * lonCell;
+  }
+
+  const south = lat - AXES.lat.max;
+  const west = lon - AXES.lon.max;
+  return {
+    coordinate: [west + lonCell / 2, Math.min(south + latCell / 2, AXES.lat.max)],
+    bounds: [west, south, west + lonCell, Math.min(south + latCell, AXES.lat.max)],
+  };
+}
+
+/**
+ * Encodes a coordinate as full Plus Code, e.g. `9C3XGV5C+2V`. Longitudes are wrapped to
+ * [-180, 180).
+ * @param {[number, number]} coordinate [lon, lat]
+ * @param {{ codeLength: number }=} optOptions `codeLength` is the number of digits, either 2, 4,
+ * 6, 8 (padded with zeros) or 10 to 15, defaults to 10 (about 14 m)
+ * @returns {string}
+ * @throws
+ */
+export function encodePlusCode(coordinate, optOptions) {
+  if (coordinate.length !== 2) {
+    throw new Error('Not a valid coordinate');
+  }
+
+  const options = Object.assign({
+    codeLength: 10,
+  }, optOptions !== undefined ? optOptions : {});
+  const codeLength = options.codeLength;
+
+  if (!(codeLength % 1 === 0 && ((codeLength >= 2 && codeLength < OLC.pairLength && codeLength % 2 === 0)
+    || (codeLength >= OLC.pairLength && codeLength <= OLC.maxLength)))) {
+    throw new Error('Not a valid code length');
+  }
+
+  if (!isNumber(coordinate[1]) || !inRange(coordinate[1], -AXES.lat.max, AXES.lat.max)) {
+    throw new RangeError(AXES.lat.rangeError);
+  }
+
+  if (!isNumber(coordinate[0])) {
+    throw new RangeError(AXES.lon.rangeError);
+  }
+
+  const latCells = 2 * AXES.lat.max * OLC.latPrecision;
+  const lonCells = 2 * AXES.lon.max * OLC.lonPrecision;
+  // the north pole belongs to the southern neighbour cell
+  let latValue = Math.min(cellIndexOf(coordinate[1] + AXES.lat.max, OLC.latPrecision), latCells - 1);
+  let lonValue = ((cellIndexOf(coordinate[0] + AXES.lon.max, OLC.lonPrecision) % lonCells) + lonCells) % lonCells;
+  let code = '';
+
+  if (codeLength > OLC.pairLength) {
+    for (let i = 0; i < OLC.maxLength - OLC.pairLength; i++) {
+      const index = (latValue % OLC.gridRows) * OLC.gridColumns + lonValue % OLC.gridColumns;
+      code = ALPHABET.charAt(index) + code;
+      latValue = Math.floor(latValue / OLC.gridRows);
+      lonValue = Math.floor(lonValue / OLC.gridColumns);
+    }
+  } else {
+    latValue = Math.floor(latValue / Math.pow(OLC.gridRows, 5));
+    lonValue = Math.floor(lonValue / Math.pow(OLC.gridColumns, 5));
+  }
+
+  for (let i = 0; i < OLC.pairLength / 2; i++) {
+    code = ALPHABET.charAt(latValue % 20) + ALPHABET.charAt(lonValue % 20) + code;
+    latValue = Math.floor(latValue / 20);
+    lonValue = Math.floor(lonValue / 20);
+  }
+
+  if (codeLength < OLC.separatorPosition) {
+    return code.substr(0, codeLength) + '00000000'.substr(codeLength) + '+';
+  }
+
+  return code.substr(0, OLC.separatorPosition) + '+' + code.substring(OLC.separatorPosition, codeLength);
+}
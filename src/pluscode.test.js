@@ -0,0 +1,74 @@
+import { DmsParseError } from './errors';
+import { decodePlusCode, encodePlusCode } from './pluscode';
+
+describe('encodePlusCode', () => {
+  it('Correctly encodes coordinates', () => {
+    const testData = [
+      [[2.7821875, 20.3700625], undefined, '7FG49QCJ+2V'],
+      [[8.524813, 47.365562], undefined, '8FVC9G8F+6W'],
+      [[8.524813, 47.365562], { codeLength: 11 }, '8FVC9G8F+6WG'],
+      [[8.524813, 47.365562], { codeLength: 4 }, '8FVC0000+'],
+      [[8.524813, 47.365562], { codeLength: 8 }, '8FVC9G8F+'],
+      [[180, 90], undefined, 'C2X2X2X2+X2'],
+      [[368.524813, 47.365562], undefined, '8FVC9G8F+6W'],
+    ];
+
+    testData.forEach((v) => {
+      expect(encodePlusCode(v[0], v[1])).toBe(v[2]);
+    });
+  });
+
+  it('throws for invalid options and coordinates', () => {
+    [1, 3, 9, 16].forEach((codeLength) => {
+      expect(() => encodePlusCode([0, 0], { codeLength })).toThrow('Not a valid code length');
+    });
+    expect(() => encodePlusCode([0, 91])).toThrow('Latitude out of range');
+  });
+});
+
+describe('decodePlusCode', () => {
+  it('returns the center and the bounds of the code area', () => {
+    const subject = decodePlusCode('7FG49QCJ+2V');
+    expect(subject.coordinate[0]).toBeCloseTo(2.7821875, 9);
+    expect(subject.coordinate[1]).toBeCloseTo(20.3700625, 9);
+    expect(subject.bounds[0]).toBeCloseTo(2.78212500, 9);
+    expect(subject.bounds[1]).toBeCloseTo(20.37, 9);
+    expect(subject.bounds[2]).toBeCloseTo(2.78225, 9);
+    expect(subject.bounds[3]).toBeCloseTo(20.370125, 9);
+    expect(decodePlusCode(' 8fvc0000+ ')).toEqual({ coordinate: [8.5, 47.5], bounds: [8, 47, 9, 48] });
+  });
+
+  it('round trips coordinates within the code area', () => {
+    [[-179.9, -89.9], [0, 0], [2.17403, 41.40338], [179.9, 89.9]].forEach((coordinate) => {
+      [4, 10, 15].forEach((codeLength) => {
+        const bounds = decodePlusCode(encodePlusCode(coordinate, { codeLength })).bounds;
+        expect(coordinate[0] >= bounds[0] && coordinate[0] <= bounds[2]).toBe(true);
+        expect(coordinate[1] >= bounds[1] && coordinate[1] <= bounds[3]).toBe(true);
+      });
+    });
+  });
+
+  it('throws DmsParseErrors for invalid and short codes', () => {
+    const testData = [
+      ['8FVC9G8F6W', 'Could not parse string', 0, 10],
+      ['9G8F+6W', 'Short codes are not supported', 0, 5],
+      ['8FV00000+', 'Invalid padding', 3, 9],
+      ['8FVC0000+6W', 'Invalid padding', 4, 11],
+      ['8FVC9G8F+6', 'Could not parse string', 9, 10],
+      ['XFVC9G8F+6W', 'Could not parse string', 0, 2],
+    ];
+
+    testData.forEach((v) => {
+      let subject;
+      try {
+        decodePlusCode(v[0]);
+      } catch (e) {
+        subject = e;
+      }
+      expect(subject instanceof DmsParseError).toBe(true);
+      expect(subject.message).toBe(v[1]);
+      expect(subject.start).toBe(v[2]);
+      expect(subject.end).toBe(v[3]);
+    });
+  });
+});
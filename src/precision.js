@@ -0,0 +1,42 @@
+import { componentsOf, FORMATS, parse } from './dmsformat';
+import { metersPerDegreeOf } from './format';
+
+/**
+ * Number of units per degree of the values of a component.
+ * @type {{degrees: number, minutes: number, seconds: number}}
+ */
+const PER_DEGREE = {
+  degrees: 1,
+  minutes: 60,
+  seconds: 3600,
+};
+
+/**
+ * Returns the positional uncertainty implied by the precision of a dms, dmm or dd string. The
+ * last value of each component is expected to be rounded, so that the uncertainty is half of
+ * its last decimal place, e.g. ±0.05″ for `7.7"`. Returns the uncertainty in meters of the
+ * latitude (north / south) and of the longitude (east / west), which depends on the latitude
+ * of the coordinate, and the larger of both as `meters`.
+ *
+ * @param {string} value
+ * @param {{ locale: string }=} optOptions `locale` of the string, e.g. 'de'
+ * @returns {{ lat: number, lon: number, meters: number }}
+ * @throws {DmsParseError}
+ */
+export function uncertaintyOf(value, optOptions) {
+  const options = Object.assign({}, optOptions !== undefined ? optOptions : {}, {
+    formats: [FORMATS.DMS, FORMATS.DMM, FORMATS.DD],
+  });
+  const latitude = parse(value, options).coordinate[1];
+  const result = {};
+
+  componentsOf(value, options).forEach((component) => {
+    const unit = ['seconds', 'minutes', 'degrees'].filter((key) => component[key] !== undefined)[0];
+    const decimals = component[unit].split('.')[1];
+    const step = Math.pow(10, -(decimals !== undefined ? decimals.length : 0)) / PER_DEGREE[unit];
+    result[component.axis] = step / 2 * metersPerDegreeOf(component.axis, latitude);
+  });
+
+  result.meters = Math.max(result.lat, result.lon);
+  return result;
+}
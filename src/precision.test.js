@@ -0,0 +1,42 @@
+import { toDMS } from './dmsformat';
+import { METERS_PER_DEGREE } from './format';
+import { uncertaintyOf } from './precision';
+
+describe('uncertaintyOf', () => {
+  it('returns half of the last decimal place in meters', () => {
+    const subject = uncertaintyOf('59°12\'7.7"N 02°15\'39.6"W');
+    const cos = Math.cos((59 + 12 / 60 + 7.7 / 3600) * Math.PI / 180);
+    expect(subject.lat).toBeCloseTo(0.05 / 3600 * METERS_PER_DEGREE, 10);
+    expect(subject.lon).toBeCloseTo(0.05 / 3600 * METERS_PER_DEGREE * cos, 10);
+    expect(subject.meters).toBe(subject.lat);
+  });
+
+  it('supports dmm and dd strings with different precisions per component', () => {
+    const testData = [
+      ['41 24.2028, 2 10.4418', 0.00005 / 60, 0.00005 / 60],
+      ['41.40338, 2.17', 0.000005, 0.005],
+      ['41 N, 2 E', 0.5, 0.5],
+      ['2°10\'E 41°24\'12"N', 0.5 / 3600, 0.5 / 60],
+    ];
+
+    testData.forEach(([value, lat, lon]) => {
+      const subject = uncertaintyOf(value);
+      expect(subject.lat / (lat * METERS_PER_DEGREE)).toBeCloseTo(1, 10);
+      expect(subject.lon / (lon * METERS_PER_DEGREE)).toBeCloseTo(Math.cos(41.4 * Math.PI / 180), 2);
+    });
+  });
+
+  it('reports at most the resolution of toDMS', () => {
+    [0.01, 1, 30].forEach((meters) => {
+      ['dms', 'dmm', 'dd'].forEach((format) => {
+        const value = toDMS([-2.261, 59.20213888888889], format, { resolution: { meters }, preset: true });
+        expect(uncertaintyOf(value).meters).toBeLessThanOrEqual(meters);
+      });
+    });
+  });
+
+  it('supports the locale option and throws for other formats', () => {
+    expect(uncertaintyOf('51,05040° N 13,73730° O', { locale: 'de' }).lat).toBeCloseTo(0.5566, 4);
+    expect(() => uncertaintyOf('31N 448251 5411932')).toThrow('Could not parse string');
+  });
+});
@@ -0,0 +1,143 @@
+import { computeAngleConfig, decDegFromParts, hemisphereFor, matchSyntax, zeroPad } from './format';
+import { decodeGeohash, encodeGeohash, GEOHASH_REGEX, SHORT_GEOHASH_REGEX } from './geohash';
+import { fromGridRef, IRISH_GRID_REGEX, OSGB_REGEX, toGridRef } from './gridref';
+import { fromISO6709, ISO6709_REGEX, toISO6709 } from './iso6709';
+import { decodeMaidenhead, encodeMaidenhead, MAIDENHEAD_REGEX } from './maidenhead';
+import { fromMGRS, MGRS_REGEX, toMGRS } from './mgrs';
+import { fromNMEA, NMEA_REGEX, toNMEA } from './nmea';
+import { decodePlusCode, encodePlusCode, PLUSCODE_REGEX } from './pluscode';
+import { fromUTM, toUTM, UTM_REGEX } from './utm';
+
+/**
+ * RegEx for ICAO coordinates, e.g. `5912N00216W` or `591208N0021540W`.
+ * @type {RegExp}
+ */
+const ICAO_REGEX = /^(\d{2})(\d{2})(\d{2}(?:\.\d+)?)?([NS])\s?(\d{3})(\d{2})(\d{2}(?:\.\d+)?)?([EW])$/i;
+
+/**
+ * Formats a coordinate as ICAO string, e.g. `5912N00216W`.
+ * @param {[number, number]} coordinate [lon, lat]
+ * @returns {string}
+ */
+function formatICAO(coordinate) {
+  return [[coordinate[1], 'lat', 2], [coordinate[0], 'lon', 3]].map(([value, axis, width]) => {
+    const values = computeAngleConfig(value, { perDegree: 60, decimalPlaces: 0 });
+    return zeroPad(String(values.degreesInt), width)
+      + zeroPad(String(values.minutesInt), 2)
+      + hemisphereFor(value, axis);
+  }).join('');
+}
+
+/**
+ * Parses an ICAO string, e.g. `5912N00216W` or `591208N0021540W`.
+ * @param {string} value
+ * @returns {[number, number]} [lon, lat]
+ * @throws {DmsParseError}
+ */
+function parseICAO(value) {
+  const m = matchSyntax(value, ICAO_REGEX);
+  const latLength = m[1].length + m[2].length + (m[3] || '').length + 1;
+  const lat = decDegFromParts({
+    degrees: m[1],
+    minutes: m[2],
+    seconds: m[3],
+    sign: m[4].toUpperCase() === 'S' ? -1 : 1,
+  }, 'lat', { start: m.offset, end: m.offset + latLength });
+  const lon = decDegFromParts({
+    degrees: m[5],
+    minutes: m[6],
+    seconds: m[7],
+    sign: m[8].toUpperCase() === 'W' ? -1 : 1,
+  }, 'lon', {
+    start: m.offset + m[0].length - (m[5].length + m[6].length + (m[7] || '').length + 1),
+    end: m.offset + m[0].length,
+  });
+  return [lon, lat];
+}
+
+/**
+ * Named format presets of `toDMS`. A preset either defines a format string or a format function
+ * together with default options. Presets with a syntax of their own define a `detect` regex and
+ * a `parse` function, all others name the format (`parseAs`) which is used to parse them. An
+ * `explicitDetect` regex accepts further strings, if the preset is requested explicitly through
+ * the `formats` option of `parse`.
+ * Custom formats are added through `registerFormat`.
+ * @type {{}}
+ */
+export const PRESETS = {
+  dms: {
+    format: 'DD MM ss X',
+    parseAs: 'dms',
+  },
+  dmm: {
+    format: 'DD mm X',
+    parseAs: 'dmm',
+  },
+  dd: {
+    format: 'dd X',
+    parseAs: 'dd',
+  },
+  google: {
+    format: 'DDM\'s{1}"X',
+    parseAs: 'dms',
+  },
+  compact: {
+    format: '-d',
+    options: { decimalPlaces: 5, latLonSeparator: ',' },
+    parseAs: 'dd',
+  },
+  icao: {
+    format: formatICAO,
+    parse: parseICAO,
+    detect: ICAO_REGEX,
+  },
+  nmea: {
+    format: toNMEA,
+    parse: fromNMEA,
+    detect: NMEA_REGEX,
+  },
+  iso6709: {
+    format: toISO6709,
+    parse: fromISO6709,
+    detect: ISO6709_REGEX,
+  },
+  utm: {
+    format: toUTM,
+    parse: fromUTM,
+    detect: UTM_REGEX,
+  },
+  mgrs: {
+    format: toMGRS,
+    parse: fromMGRS,
+    detect: MGRS_REGEX,
+  },
+  // the cell formats are parsed to the center of the cell
+  geohash: {
+    format: encodeGeohash,
+    parse: (value) => decodeGeohash(value).coordinate,
+    detect: GEOHASH_REGEX,
+    explicitDetect: SHORT_GEOHASH_REGEX,
+  },
+  pluscode: {
+    format: encodePlusCode,
+    parse: (value) => decodePlusCode(value).coordinate,
+    detect: PLUSCODE_REGEX,
+  },
+  maidenhead: {
+    format: encodeMaidenhead,
+    parse: (value) => decodeMaidenhead(value).coordinate,
+    detect: MAIDENHEAD_REGEX,
+  },
+  osgb: {
+    format: toGridRef,
+    options: { grid: 'osgb' },
+    parse: fromGridRef,
+    detect: OSGB_REGEX,
+  },
+  irish: {
+    format: toGridRef,
+    options: { grid: 'irish' },
+    parse: fromGridRef,
+    detect: IRISH_GRID_REGEX,
+  },
+};
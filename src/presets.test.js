@@ -0,0 +1,139 @@
+import { detectFormat, parse, toDMS } from './dmsformat';
+import { DmsParseError } from './errors';
+import { decodeGeohash } from './geohash';
+
+describe('toDMS with presets', () => {
+  const coordinate = [-2.261, 59.20213888888889];
+
+  it('formats the coordinate with the named preset', () => {
+    const testData = [
+      ['dms', '59° 12′ 7.70000″ N 2° 15′ 39.60000″ W'],
+      ['dmm', '59° 12.12833′ N 2° 15.66000′ W'],
+      ['dd', '59.20214° N 2.26100° W'],
+      ['google', '59°12\'7.7"N 2°15\'39.6"W'],
+      ['compact', '59.20214,-2.26100'],
+      ['icao', '5912N00216W'],
+      ['nmea', '5912.1283,N,00215.6600,W'],
+      ['iso6709', '+59.20214-002.26100/'],
+      ['utm', '30N 542208 6562794'],
+      ['mgrs', '30VWL4220762794'],
+      ['geohash', 'gfw2u93t6'],
+      ['pluscode', '9CFV6P2Q+VJ'],
+      ['maidenhead', 'IO89ue'],
+      ['osgb', 'HY 85192 35081'],
+    ];
+
+    testData.forEach((v) => {
+      expect(toDMS(coordinate, v[0], { preset: true })).toBe(v[1]);
+    });
+  });
+
+  it('lets the options overwrite the options of the preset', () => {
+    expect(toDMS(coordinate, 'nmea', { decimalPlaces: 2 })).toBe('5912.13,N,00215.66,W');
+    expect(toDMS(coordinate, 'compact', { decimalPlaces: 2, latLonSeparator: ';' })).toBe('59.20;-2.26');
+    expect(toDMS(coordinate, 'dd', { decimalPlaces: 1, preset: true })).toBe('59.2° N 2.3° W');
+  });
+
+  it('renders the names dms, dmm and dd as format strings unless the preset is selected', () => {
+    expect(toDMS([2, 1], 'dd')).toBe('1.00000° 2.00000°');
+    expect(toDMS([2, 1], 'dd', { preset: false })).toBe('1.00000° 2.00000°');
+    expect(toDMS([2, 1], 'dd', { preset: true })).toBe('1.00000° N 2.00000° E');
+    expect(toDMS([2, 1], 'icao')).toBe(toDMS([2, 1], 'icao', { preset: true }));
+  });
+
+  it('zero pads and carries the values of fixed width presets', () => {
+    expect(toDMS([-0.9999, -5.5], 'icao')).toBe('0530S00100W');
+    expect(toDMS([145.5, -5.05], 'nmea')).toBe('0503.0000,S,14530.0000,E');
+    expect(toDMS([145.5, -5.05], 'iso6709', { decimalPlaces: 2 })).toBe('-05.05+145.50/');
+  });
+});
+
+describe('parse with presets', () => {
+  it('detects and parses the syntax of the presets', () => {
+    const testData = [
+      ['5912N00216W', 'icao', [-1 * (2 + 16 / 60), 59 + 12 / 60]],
+      ['591208N0021540W', 'icao', [-1 * (2 + 15 / 60 + 40 / 3600), 59 + 12 / 60 + 8 / 3600]],
+      ['5912N 00216W', 'icao', [-1 * (2 + 16 / 60), 59 + 12 / 60]],
+      ['5912.1283,N,00215.6600,W', 'nmea', [-1 * (2 + 15.66 / 60), 59 + 12.1283 / 60]],
+      ['$GPGLL,5912.1283,N,00215.6600,W,,A*39', 'nmea', [-1 * (2 + 15.66 / 60), 59 + 12.1283 / 60]],
+      ['+59.20214-002.26100/', 'iso6709', [-2.261, 59.20214]],
+      ['-05.05+145.5', 'iso6709', [145.5, -5.05]],
+    ];
+
+    testData.forEach((v) => {
+      const subject = parse(v[0]);
+      expect(subject.format).toBe(v[1]);
+      expect(subject.ambiguous).toBe(false);
+      expect(subject.coordinate[0]).toBe(v[2][0]);
+      expect(subject.coordinate[1]).toBe(v[2][1]);
+    });
+  });
+
+  it('detects and parses the projected and cell based presets', () => {
+    const testData = [
+      ['31N 448251.795 5411932.678', 'utm', [2.2945, 48.8582]],
+      ['31U DQ 48251 11932', 'mgrs', [2.29449, 48.85819]],
+      ['ezs42', 'geohash', [-5.60303, 42.60498]],
+      ['7FG49QCJ+2V', 'pluscode', [2.78219, 20.37006]],
+      ['JN58sd', 'maidenhead', [11.54167, 48.14583]],
+      ['TG 51409 13177', 'osgb', [1.71604, 52.65798]],
+      ['O 15904 34671', 'irish', [-6.26025, 53.3498]],
+    ];
+
+    testData.forEach((v) => {
+      const subject = parse(v[0]);
+      expect(subject.format).toBe(v[1]);
+      expect(subject.ambiguous).toBe(false);
+      expect(subject.coordinate[0]).toBeCloseTo(v[2][0], 5);
+      expect(subject.coordinate[1]).toBeCloseTo(v[2][1], 5);
+    });
+  });
+
+  it('only detects short geohashes if requested explicitly', () => {
+    ['b2', 's1', 'u3k'].forEach((value) => {
+      expect(detectFormat(value)).not.toBe('geohash');
+      expect(() => parse(value)).toThrow('Could not parse string');
+      expect(parse(value, { formats: ['geohash'] }).coordinate).toEqual(decodeGeohash(value).coordinate);
+    });
+    expect(parse('e2', { formats: ['geohash'] }).format).toBe('geohash');
+    expect(() => parse('b2', { formats: ['dd'] })).toThrow('Could not parse string');
+  });
+
+  it('accepts the names of presets without a syntax of their own', () => {
+    expect(parse('59°12\'7.7"N 2°15\'39.6"W', { formats: ['google'] }).format).toBe('dms');
+    expect(parse('59.20214,-2.26100', { formats: ['compact'] }).format).toBe('dd');
+    expect(() => parse('5912N00216W', { formats: ['google'] })).toThrow('Could not parse string');
+  });
+
+  it('round trips the formatted presets', () => {
+    const coordinate = [-2.261, 59.20213888888889];
+    ['dms', 'dmm', 'dd', 'google', 'compact', 'nmea', 'iso6709', 'utm', 'mgrs', 'geohash'].forEach((name) => {
+      const subject = parse(toDMS(coordinate, name, { preset: true })).coordinate;
+      expect(subject[0]).toBeCloseTo(coordinate[0], 4);
+      expect(subject[1]).toBeCloseTo(coordinate[1], 4);
+    });
+  });
+
+  it('throws DmsParseErrors for values out of range', () => {
+    const testData = [
+      ['9512N00216W', 'LATITUDE_OUT_OF_RANGE', 'lat', 0, 5],
+      ['5962N00216W', 'MINUTES_OUT_OF_RANGE', 'lat', 0, 5],
+      ['5912.1283,N,18115.6600,W', 'LONGITUDE_OUT_OF_RANGE', 'lon', 12, 24],
+      [' +59.20214-190.26100/', 'LONGITUDE_OUT_OF_RANGE', 'lon', 10, 20],
+    ];
+
+    testData.forEach((v) => {
+      let subject;
+      try {
+        parse(v[0]);
+      } catch (e) {
+        subject = e;
+      }
+      expect(subject instanceof DmsParseError).toBe(true);
+      expect(subject.code).toBe(v[1]);
+      expect(subject.axis).toBe(v[2]);
+      expect(subject.start).toBe(v[3]);
+      expect(subject.end).toBe(v[4]);
+    });
+  });
+});
@@ -0,0 +1,238 @@
+import { Transform } from 'stream';
+import { StringDecoder } from 'string_decoder';
+import { FORMATS, parse, toDMS } from './dmsformat';
+import { DmsParseError } from './errors';
+
+/**
+ * Fills the options of the stream conversions with their defaults.
+ * @param {{}=} optOptions
+ * @returns {{ format: string, formatOptions: {}, formats: string[], locale: string=, onError: function({})= }}
+ */
+function streamOptions(optOptions) {
+  return Object.assign({
+    format: FORMATS.DMS,
+    formatOptions: {},
+    formats: [FORMATS.DMS, FORMATS.DMM, FORMATS.DD],
+  }, optOptions !== undefined ? optOptions : {});
+}
+
+/**
+ * Returns a function which converts the lines of a text one by one. Each line is parsed once
+ * through `parse`, which dispatches it by its detected format, instead of trying the parse
+ * functions one after another. Empty lines are skipped. Lines which can not be parsed or
+ * formatted are passed to `errorFn` with the 1-based `line` number, the `value`, the `code` of
+ * parse errors and the `message` of the error. Other errors of `toDMS`, e.g. of an unknown locale,
+ * are thrown.
+ * @param {{ format: string, formatOptions: {}, formats: string[], locale: string= }} options
+ * @param {function(string)} lineFn called with each formatted coordinate
+ * @param {function({ line: number, value: string, code: string=, message: string })} errorFn
+ * @returns {function(string)}
+ */
+function lineConverterFor(options, lineFn, errorFn) {
+  const parseOptions = { formats: options.formats, locale: options.locale };
+  let line = 0;
+
+  return (text) => {
+    line++;
+    const value = text.trim();
+    if (value === '') {
+      return;
+    }
+
+    let coordinate;
+    try {
+      coordinate = parse(value, parseOptions).coordinate;
+    } catch (e) {
+      if (!(e instanceof DmsParseError)) {
+        throw e;
+      }
+      errorFn({ line, value, code: e.code, message: e.message });
+      return;
+    }
+
+    // formatting fails for coordinates outside of the format, e.g. the UTM limits
+    let formatted;
+    try {
+      formatted = toDMS(coordinate, options.format, Object.assign({ preset: true }, options.formatOptions));
+    } catch (e) {
+      if (!(e instanceof DmsParseError) && !(e instanceof RangeError)) {
+        throw e;
+      }
+      errorFn({ line, value, message: e.message });
+      return;
+    }
+    lineFn(formatted);
+  };
+}
+
+/**
+ * Returns a function which splits decoded chunks of a text into lines. The last incomplete
+ * line of a chunk is kept until the next chunk or the end of the text.
+ * @param {function(string)} lineFn
+ * @returns {{ write: function(string), end: function() }}
+ */
+function lineSplitterFor(lineFn) {
+  let rest = '';
+
+  return {
+    write(chunk) {
+      const lines = (rest + chunk).split(/\r?\n/);
+      rest = lines.pop();
+      lines.forEach(lineFn);
+    },
+    end() {
+      if (rest !== '') {
+        lineFn(rest);
+      }
+      rest = '';
+    },
+  };
+}
+
+/**
+ * Returns a Node Transform stream, which converts a text stream one line at a time, so that
+ * large files never have to be loaded as a whole. Each line is parsed through `parse` and
+ * written as the coordinate formatted through `toDMS`, followed by a line break. Empty lines are
+ * skipped.
+ *
+ * Lines which can not be parsed or formatted do not stop the stream. They are left out of the
+ * output and reported through a `conversionError` event with the 1-based `line` number, the
+ * `value`, the `code` of parse errors and the `message` of the error.
+ *
+ * fs.createReadStream('tracks.txt')
+ *   .pipe(createConvertStream({ format: 'dmm' }).on('conversionError', (error) => log(error)))
+ *   .pipe(process.stdout);
+ *
+ * @param {{ format: string=, formatOptions: {}=, formats: string[]=, locale: string= }=} optOptions
+ * `format` and `formatOptions` are passed to `toDMS`, `formats` are the accepted formats (dms,
+ * dmm and dd by default), `locale` is the locale of the lines, e.g. 'de'
+ * @returns {Transform}
+ */
+export function createConvertStream(optOptions) {
+  const options = streamOptions(optOptions);
+  const decoder = new StringDecoder('utf8');
+  let stream;
+  let output = [];
+
+  const splitter = lineSplitterFor(lineConverterFor(
+    options,
+    (formatted) => output.push(formatted + '\n'),
+    (error) => stream.emit('conversionError', error)
+  ));
+
+  // the lines of a chunk are pushed at once
+  function flushOutput() {
+    if (output.length > 0) {
+      stream.push(output.join(''));
+      output = [];
+    }
+  }
+
+  stream = new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        splitter.write(typeof chunk === 'string' ? chunk : decoder.write(chunk));
+        flushOutput();
+        callback();
+      } catch (e) {
+        callback(e);
+      }
+    },
+    flush(callback) {
+      try {
+        splitter.write(decoder.end());
+        splitter.end();
+        flushOutput();
+        callback();
+      } catch (e) {
+        callback(e);
+      }
+    },
+  });
+
+  return stream;
+}
+
+/**
+ * Converts the lines of a text one at a time like `createConvertStream`, but as async iterator.
+ * The `source` is an async or sync iterable of string or Buffer chunks, e.g. a readable stream.
+ * The iterator yields the formatted coordinates without line breaks. Lines which can not be
+ * parsed or formatted are left out and passed to the `onError` callback, see
+ * `createConvertStream`. Stopping the iterator early, e.g. through `break`, closes the source.
+ *
+ * const lines = convertLines(fs.createReadStream('tracks.txt'), { onError: (error) => log(error) });
+ * for await (const formatted of lines) { ... }
+ *
+ * @param {AsyncIterable<string|Buffer>|Iterable<string|Buffer>} source
+ * @param {{ format: string=, formatOptions: {}=, formats: string[]=, locale: string=, onError: function({})= }=} optOptions
+ * see `createConvertStream`, `onError` is called with the errors of the lines
+ * @returns {AsyncIterator<string>}
+ */
+export function convertLines(source, optOptions) {
+  const options = streamOptions(optOptions);
+  const iterator = source[Symbol.asyncIterator] !== undefined
+    ? source[Symbol.asyncIterator]()
+    : source[Symbol.iterator]();
+  const decoder = new StringDecoder('utf8');
+  const pending = [];
+  let index = 0;
+  let isDone = false;
+
+  const splitter = lineSplitterFor(lineConverterFor(
+    options,
+    (formatted) => pending.push(formatted),
+    (error) => {
+      if (options.onError !== undefined) {
+        options.onError(error);
+      }
+    }
+  ));
+
+  // reads chunks until a line is converted or the source is exhausted
+  function next() {
+    if (index < pending.length) {
+      const value = pending[index];
+      index += 1;
+
+      // the buffer is emptied once all of its lines are read, instead of shifting each line
+      if (index === pending.length) {
+        pending.length = 0;
+        index = 0;
+      }
+      return Promise.resolve({ value, done: false });
+    }
+
+    if (isDone) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+
+    return Promise.resolve(iterator.next()).then((result) => {
+      if (result.done) {
+        isDone = true;
+        splitter.write(decoder.end());
+        splitter.end();
+      } else {
+        splitter.write(typeof result.value === 'string' ? result.value : decoder.write(result.value));
+      }
+      return next();
+    });
+  }
+
+  // stops early, e.g. through `break` in a `for await` loop, and closes the source
+  function stop(value) {
+    isDone = true;
+    pending.length = 0;
+    index = 0;
+
+    const closed = typeof iterator.return === 'function' ? iterator.return() : undefined;
+    return Promise.resolve(closed).then(() => ({ value, done: true }));
+  }
+
+  return {
+    next,
+    return: stop,
+    [Symbol.asyncIterator]() {
+      return this;
+    },
+  };
+}
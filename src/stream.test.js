@@ -0,0 +1,167 @@
+import { Buffer } from 'buffer';
+import { PassThrough } from 'stream';
+import { convertLines, createConvertStream } from './stream';
+
+/**
+ * Collects the output of a readable stream.
+ * @param {{ on: function(string, function) }} stream
+ * @returns {Promise<string>}
+ */
+function textOf(stream) {
+  return new Promise((resolve, reject) => {
+    let text = '';
+    stream.on('data', (chunk) => {
+      text += chunk;
+    });
+    stream.on('error', reject);
+    stream.on('end', () => resolve(text));
+  });
+}
+
+/**
+ * Collects the values of an async iterator.
+ * @param {AsyncIterator} iterator
+ * @returns {Promise<Array>}
+ */
+function valuesOf(iterator) {
+  const values = [];
+  function next() {
+    return iterator.next().then((result) => {
+      if (result.done) {
+        return values;
+      }
+      values.push(result.value);
+      return next();
+    });
+  }
+  return next();
+}
+
+describe('createConvertStream', () => {
+  it('converts the lines of a text stream', () => {
+    const stream = createConvertStream({ format: 'dd', formatOptions: { decimalPlaces: 3 } });
+    stream.end('41 24.2028, 2 10.4418\r\n\n  59°12\'7.7"N 02°15\'39.6"W  \n59.2 -2.261');
+    return textOf(stream).then((text) => {
+      expect(text).toBe('41.403° N 2.174° E\n59.202° N 2.261° W\n59.200° N 2.261° W\n');
+    });
+  });
+
+  it('joins lines and multi-byte characters split across chunks', () => {
+    const input = new PassThrough();
+    const stream = input.pipe(createConvertStream({ format: 'dmm', formatOptions: { decimalPlaces: 1 } }));
+    const bytes = Buffer.from('59°12\'7.7"N 02°15\'39.6"W\n41.5, 2.5\n');
+    const split = bytes.indexOf('°') + 1;
+    input.write(bytes.slice(0, split));
+    input.write(bytes.slice(split, 30));
+    input.end(bytes.slice(30));
+    return textOf(stream).then((text) => {
+      expect(text).toBe('59° 12.1′ N 2° 15.7′ W\n41° 30.0′ N 2° 30.0′ E\n');
+    });
+  });
+
+  it('reports errors through an event without stopping the stream', () => {
+    const errors = [];
+    const stream = createConvertStream({ format: 'utm' });
+    stream.on('conversionError', (error) => errors.push(error));
+    stream.end('abc\n\n41.5, 2.5\n41 75, 2\n85, 2\n');
+    return textOf(stream).then((text) => {
+      expect(text).toBe('31N 458269 4594385\n');
+      expect(errors).toEqual([
+        { line: 1, value: 'abc', code: 'INVALID_SYNTAX', message: 'Could not parse string' },
+        { line: 4, value: '41 75, 2', code: 'MINUTES_OUT_OF_RANGE', message: 'Minutes out of range' },
+        { line: 5, value: '85, 2', message: 'Latitude outside of the UTM limits' },
+      ]);
+    });
+  });
+
+  it('supports the locale and formats options', () => {
+    const errors = [];
+    const stream = createConvertStream({ format: 'dd', formats: ['dd'], locale: 'de' });
+    stream.on('conversionError', (error) => errors.push(error));
+    stream.end('51,0504; 13,7373\n51 3,024; 13 44,238\n');
+    return textOf(stream).then((text) => {
+      expect(text).toBe('51.05040° N 13.73730° E\n');
+      expect(errors.map((error) => error.line)).toEqual([2]);
+    });
+  });
+
+  it('fails for invalid options of toDMS instead of reporting every line', () => {
+    const errors = [];
+    const stream = createConvertStream({ formatOptions: { locale: 'xx' } });
+    stream.on('conversionError', (error) => errors.push(error));
+    stream.end('41.5, 2.5\n59.2 -2.261\n');
+    return expect(textOf(stream)).rejects.toEqual(new Error('Not a supported locale')).then(() => {
+      expect(errors).toEqual([]);
+    });
+  });
+});
+
+describe('convertLines', () => {
+  it('converts the lines of an iterable of chunks', () => {
+    const lines = convertLines(['41.5, 2', '.5\n59.2 -2.261\n', '41 24.2028, 2 10.4418'], { format: 'dd' });
+    return valuesOf(lines).then((values) => {
+      expect(values).toEqual(['41.50000° N 2.50000° E', '59.20000° N 2.26100° W', '41.40338° N 2.17403° E']);
+    });
+  });
+
+  it('converts the lines of a readable stream', () => {
+    const input = new PassThrough();
+    input.end(Buffer.from('41.5, 2.5\n'));
+    return valuesOf(convertLines(input, { format: 'dd', formatOptions: { decimalPlaces: 1 } })).then((values) => {
+      expect(values).toEqual(['41.5° N 2.5° E']);
+    });
+  });
+
+  it('passes errors to the onError callback', () => {
+    const errors = [];
+    const lines = convertLines(['abc\n41.5, 2.5'], { format: 'dd', onError: (error) => errors.push(error) });
+    return valuesOf(lines).then((values) => {
+      expect(values).toEqual(['41.50000° N 2.50000° E']);
+      expect(errors).toEqual([{ line: 1, value: 'abc', code: 'INVALID_SYNTAX', message: 'Could not parse string' }]);
+    });
+  });
+
+  it('yields many lines of a single chunk in order', () => {
+    const input = Array.from({ length: 1000 }, (v, i) => (i % 90) + ', 2').join('\n');
+    return valuesOf(convertLines([input], { format: 'dd', formatOptions: { decimalPlaces: 0 } })).then((values) => {
+      expect(values.length).toBe(1000);
+      expect(values[999]).toBe('9° N 2° E');
+    });
+  });
+
+  it('closes the source when it is stopped early', () => {
+    let isClosed = false;
+    const source = {
+      [Symbol.iterator]() {
+        return {
+          next: () => ({ value: '41.5, 2.5\n59.2 -2.261\n', done: false }),
+          return: () => {
+            isClosed = true;
+            return { done: true };
+          },
+        };
+      },
+    };
+    const lines = convertLines(source, { format: 'dd' });
+
+    return lines.next()
+      .then(() => lines.return())
+      .then((result) => {
+        expect(result).toEqual({ value: undefined, done: true });
+        expect(isClosed).toBe(true);
+        return lines.next();
+      })
+      .then((result) => {
+        expect(result.done).toBe(true);
+      });
+  });
+
+  it('stops sources without a return function', () => {
+    const lines = convertLines(['41.5, 2.5\n59.2 -2.261\n'], { format: 'dd' });
+    return lines.next()
+      .then(() => lines.return('end'))
+      .then((result) => {
+        expect(result).toEqual({ value: 'end', done: true });
+      });
+  });
+});
@@ -0,0 +1,312 @@
+import { DmsParseError, ERROR_CODES } from './errors';
+import { inRange, isNumber, matchSyntax, toDegrees, toRadians } from './format';
+
+/**
+ * RegEx for UTM strings with zone, hemisphere letter, easting and northing in meters, e.g.
+ * `31N 448251 5411932` or `31 N 448251.5 5411932.5`.
+ * @type {RegExp}
+ */
+export const UTM_REGEX = /^(\d{1,2})\s?([NS])\s+(\d{6}(?:\.\d+)?)\s+(\d{1,8}(?:\.\d+)?)$/i;
+
+/**
+ * Latitude bands of 8° from 80°S to 84°N. The band X spans 12°, so it is listed twice.
+ * @type {string}
+ */
+export const LAT_BANDS = 'CDEFGHJKLMNPQRSTUVWXX';
+
+/**
+ * Latitude limits of the UTM system. The polar regions are covered by the UPS system.
+ * @type {{min: number, max: number}}
+ */
+export const UTM_LIMITS = {
+  min: -80,
+  max: 84,
+};
+
+/**
+ * Parameters of the WGS84 ellipsoid and the UTM projection.
+ * @type {{a: number, f: number, k0: number, falseEasting: number, falseNorthing: number}}
+ */
+const UTM = {
+  a: 6378137,
+  f: 1 / 298.257223563,
+  k0: 0.9996,
+  falseEasting: 500e3,
+  falseNorthing: 10000e3,
+};
+
+/**
+ * Returns the constants of the Krüger series of the transverse Mercator projection for an
+ * ellipsoid, see Karney, "Transverse Mercator with an accuracy of a few nanometers" (2011).
+ * `alpha` is used for the forward and `beta` for the inverse projection, `A` is the rectifying
+ * radius.
+ * @param {{ a: number, f: number }} ellipsoid
+ * @returns {{e: number, A: number, alpha: number[], beta: number[]}}
+ */
+export function kruegerFor(ellipsoid) {
+  const n = ellipsoid.f / (2 - ellipsoid.f);
+  const n2 = n * n;
+  const n3 = n * n2;
+  const n4 = n * n3;
+  const n5 = n * n4;
+  const n6 = n * n5;
+
+  return {
+    e: Math.sqrt(ellipsoid.f * (2 - ellipsoid.f)),
+    A: ellipsoid.a / (1 + n) * (1 + n2 / 4 + n4 / 64 + n6 / 256),
+    alpha: [
+      n / 2 - 2 / 3 * n2 + 5 / 16 * n3 + 41 / 180 * n4 - 127 / 288 * n5 + 7891 / 37800 * n6,
+      13 / 48 * n2 - 3 / 5 * n3 + 557 / 1440 * n4 + 281 / 630 * n5 - 1983433 / 1935360 * n6,
+      61 / 240 * n3 - 103 / 140 * n4 + 15061 / 26880 * n5 + 167603 / 181440 * n6,
+      49561 / 161280 * n4 - 179 / 168 * n5 + 6601661 / 7257600 * n6,
+      34729 / 80640 * n5 - 3418889 / 1995840 * n6,
+      212378941 / 319334400 * n6,
+    ],
+    beta: [
+      n / 2 - 2 / 3 * n2 + 37 / 96 * n3 - 1 / 360 * n4 - 81 / 512 * n5 + 96199 / 604800 * n6,
+      1 / 48 * n2 + 1 / 15 * n3 - 437 / 1440 * n4 + 46 / 105 * n5 - 1118711 / 3870720 * n6,
+      17 / 480 * n3 - 37 / 840 * n4 - 209 / 4480 * n5 + 5569 / 90720 * n6,
+      4397 / 161280 * n4 - 11 / 504 * n5 - 830251 / 7257600 * n6,
+      4583 / 161280 * n5 - 108847 / 3991680 * n6,
+      20648693 / 638668800 * n6,
+    ],
+  };
+}
+
+/**
+ * Constants of the Krüger series for the WGS84 ellipsoid.
+ * @type {{e: number, A: number, alpha: number[], beta: number[]}}
+ */
+const KRUEGER = kruegerFor(UTM);
+
+/**
+ * Projects a coordinate with the transverse Mercator projection. Returns the unscaled distances
+ * from the central meridian and from the equator in meters.
+ * @param {[number, number]} coordinate [lon, lat]
+ * @param {number} centralMeridian
+ * @param {{e: number, A: number, alpha: number[]}} krueger see `kruegerFor`
+ * @returns {[number, number]} [x, y]
+ */
+export function projectTransverseMercator(coordinate, centralMeridian, krueger) {
+  const { e, A, alpha } = krueger;
+  const phi = toRadians(coordinate[1]);
+  const lambda = toRadians(coordinate[0] - centralMeridian);
+
+  const cosLambda = Math.cos(lambda);
+  const tau = Math.tan(phi);
+  const sigma = Math.sinh(e * Math.atanh(e * tau / Math.sqrt(1 + tau * tau)));
+  const tauP = tau * Math.sqrt(1 + sigma * sigma) - sigma * Math.sqrt(1 + tau * tau);
+  const xiP = Math.atan2(tauP, cosLambda);
+  const etaP = Math.asinh(Math.sin(lambda) / Math.sqrt(tauP * tauP + cosLambda * cosLambda));
+
+  let xi = xiP;
+  let eta = etaP;
+  alpha.forEach((a, i) => {
+    const j = 2 * (i + 1);
+    xi += a * Math.sin(j * xiP) * Math.cosh(j * etaP);
+    eta += a * Math.cos(j * xiP) * Math.sinh(j * etaP);
+  });
+
+  return [A * eta, A * xi];
+}
+
+/**
+ * Computes the coordinate of unscaled transverse Mercator distances, see
+ * `projectTransverseMercator`.
+ * @param {[number, number]} point [x, y] in meters
+ * @param {number} centralMeridian
+ * @param {{e: number, A: number, beta: number[]}} krueger see `kruegerFor`
+ * @returns {[number, number]} [lon, lat]
+ */
+export function unprojectTransverseMercator(point, centralMeridian, krueger) {
+  const { e, A, beta } = krueger;
+  const xi = point[1] / A;
+  const eta = point[0] / A;
+
+  let xiP = xi;
+  let etaP = eta;
+  beta.forEach((b, i) => {
+    const j = 2 * (i + 1);
+    xiP -= b * Math.sin(j * xi) * Math.cosh(j * eta);
+    etaP -= b * Math.cos(j * xi) * Math.sinh(j * eta);
+  });
+
+  const sinhEtaP = Math.sinh(etaP);
+  const cosXiP = Math.cos(xiP);
+  const tauP = Math.sin(xiP) / Math.sqrt(sinhEtaP * sinhEtaP + cosXiP * cosXiP);
+
+  // the latitude is computed through Newton-Raphson iteration
+  let tau = tauP;
+  let delta;
+  do {
+    const sigma = Math.sinh(e * Math.atanh(e * tau / Math.sqrt(1 + tau * tau)));
+    const tauI = tau * Math.sqrt(1 + sigma * sigma) - sigma * Math.sqrt(1 + tau * tau);
+    delta = (tauP - tauI) / Math.sqrt(1 + tauI * tauI)
+      * (1 + (1 - e * e) * tau * tau) / ((1 - e * e) * Math.sqrt(1 + tau * tau));
+    tau += delta;
+  } while (Math.abs(delta) > 1e-12);
+
+  return [
+    centralMeridian + toDegrees(Math.atan2(sinhEtaP, cosXiP)),
+    toDegrees(Math.atan(tau)),
+  ];
+}
+
+/**
+ * Returns the longitude of the central meridian of a zone.
+ * @param {number} zone
+ * @returns {number}
+ */
+export function centralMeridianOf(zone) {
+  return (zone - 1) * 6 - 180 + 3;
+}
+
+/**
+ * Returns the latitude band letter of a latitude.
+ * @param {number} lat
+ * @returns {string}
+ */
+export function latBandOf(lat) {
+  return LAT_BANDS.charAt(Math.floor(lat / 8 + 10));
+}
+
+/**
+ * Returns the zone of a coordinate, including the exceptions of south-west Norway (zone 32V is
+ * widened to 9°) and Svalbard (only the zones 31X, 33X, 35X and 37X exist).
+ * @param {number} lon
+ * @param {number} lat
+ * @returns {number}
+ */
+function zoneOf(lon, lat) {
+  const zone = Math.min(Math.floor((lon + 180) / 6) + 1, 60);
+  const band = latBandOf(lat);
+
+  if (band === 'V' && zone === 31 && lon >= 3) {
+    return 32;
+  }
+
+  if (band === 'X' && (zone === 32 || zone === 34 || zone === 36)) {
+    return lon < centralMeridianOf(zone) ? zone - 1 : zone + 1;
+  }
+
+  return zone;
+}
+
+/**
+ * Projects a WGS84 coordinate to UTM. The zone is computed, if it is not passed.
+ * @param {[number, number]} coordinate [lon, lat]
+ * @param {number=} optZone
+ * @returns {{ zone: number, hemisphere: string, easting: number, northing: number }}
+ * @throws
+ */
+export function utmFor(coordinate, optZone) {
+  const lon = coordinate[0];
+  const lat = coordinate[1];
+
+  if (!isNumber(lon) || !inRange(lon, -180, 180)) {
+    throw new RangeError('Longitude out of range');
+  }
+
+  if (!isNumber(lat) || !inRange(lat, UTM_LIMITS.min, UTM_LIMITS.max)) {
+    throw new RangeError('Latitude outside of the UTM limits');
+  }
+
+  const zone = optZone !== undefined ? optZone : zoneOf(lon, lat);
+  const [x, y] = projectTransverseMercator(coordinate, centralMeridianOf(zone), KRUEGER);
+
+  const northing = UTM.k0 * y;
+  return {
+    zone,
+    hemisphere: lat >= 0 ? 'N' : 'S',
+    easting: UTM.k0 * x + UTM.falseEasting,
+    northing: northing < 0 ? northing + UTM.falseNorthing : northing,
+  };
+}
+
+/**
+ * Computes the WGS84 coordinate of an UTM position.
+ * @param {number} zone
+ * @param {string} hemisphere 'N' or 'S'
+ * @param {number} easting
+ * @param {number} northing
+ * @returns {[number, number]} [lon, lat]
+ */
+export function lonLatFor(zone, hemisphere, easting, northing) {
+  return unprojectTransverseMercator([
+    (easting - UTM.falseEasting) / UTM.k0,
+    (hemisphere === 'S' ? northing - UTM.falseNorthing : northing) / UTM.k0,
+  ], centralMeridianOf(zone), KRUEGER);
+}
+
+/**
+ * Checks the zone, easting and northing of an UTM position and throws a DmsParseError with
+ * the position of the offending value.
+ * @param {{ zone: number, easting: number, northing: number }} values
+ * @param {{ zone: {}, easting: {}, northing: {} }} ranges start and end offsets of the values
+ * @throws {DmsParseError}
+ */
+function checkUTM(values, ranges) {
+  if (!inRange(values.zone, 1, 60)) {
+    throw new DmsParseError('Zone out of range', ERROR_CODES.ZONE_OUT_OF_RANGE, ranges.zone);
+  }
+
+  if (!inRange(values.easting, 100e3, 900e3)) {
+    throw new DmsParseError('Easting out of range', ERROR_CODES.EASTING_OUT_OF_RANGE, ranges.easting);
+  }
+
+  if (!inRange(values.northing, 0, UTM.falseNorthing)) {
+    throw new DmsParseError('Northing out of range', ERROR_CODES.NORTHING_OUT_OF_RANGE, ranges.northing);
+  }
+}
+
+/**
+ * Parses an UTM string with zone, hemisphere letter, easting and northing, e.g.
+ * `31N 448251 5411932` or `31 S 448251 5411932`. The hemisphere letter is N or S and not a
+ * latitude band letter.
+ * @param {string} value
+ * @returns {[number, number]} [lon, lat]
+ * @throws {DmsParseError}
+ */
+export function fromUTM(value) {
+  const m = matchSyntax(value, UTM_REGEX);
+  const eastingStart = m.offset + m[0].indexOf(m[3], m[1].length + 1);
+  const end = m.offset + m[0].length;
+  const values = {
+    zone: Number(m[1]),
+    easting: Number(m[3]),
+    northing: Number(m[4]),
+  };
+
+  checkUTM(values, {
+    zone: { start: m.offset, end: m.offset + m[1].length },
+    easting: { start: eastingStart, end: eastingStart + m[3].length },
+    northing: { start: end - m[4].length, end },
+  });
+
+  return lonLatFor(values.zone, m[2].toUpperCase(), values.easting, values.northing);
+}
+
+/**
+ * Formats a coordinate as UTM string, e.g. `31N 448251 5411932`. The zone follows the
+ * exceptions of Norway and Svalbard. Coordinates of the polar regions beyond 80°S and 84°N
+ * are not supported.
+ * @param {[number, number]} coordinate [lon, lat]
+ * @param {{ decimalPlaces: number }=} optOptions `decimalPlaces` of easting and northing,
+ * defaults to 0 (meters)
+ * @returns {string}
+ * @throws
+ */
+export function toUTM(coordinate, optOptions) {
+  if (coordinate.length !== 2) {
+    throw new Error('Not a valid coordinate');
+  }
+
+  const options = Object.assign({
+    decimalPlaces: 0,
+  }, optOptions !== undefined ? optOptions : {});
+
+  const utm = utmFor(coordinate);
+  return utm.zone + utm.hemisphere
+    + ' ' + utm.easting.toFixed(options.decimalPlaces)
+    + ' ' + utm.northing.toFixed(options.decimalPlaces);
+}
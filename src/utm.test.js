@@ -0,0 +1,86 @@
+import { DmsParseError } from './errors';
+import { fromUTM, toUTM } from './utm';
+
+describe('toUTM', () => {
+  it('Correctly projects coordinates', () => {
+    const testData = [
+      [[2.2945, 48.8582], { decimalPlaces: 3 }, '31N 448251.795 5411932.678'],
+      [[2.2945, 48.8582], undefined, '31N 448252 5411933'],
+      [[151.2153, -33.8568], undefined, '56S 334901 6252289'],
+      [[180, 0], undefined, '60N 833979 0'],
+    ];
+
+    testData.forEach((v) => {
+      expect(toUTM(v[0], v[1])).toBe(v[2]);
+    });
+  });
+
+  it('applies the zone exceptions of Norway and Svalbard', () => {
+    const testData = [
+      [[2.9, 60], '31N'],
+      [[4, 60], '32N'],
+      [[8.9, 78], '31N'],
+      [[9, 78], '33N'],
+      [[21, 78], '35N'],
+      [[32.9, 78], '35N'],
+      [[33, 78], '37N'],
+    ];
+
+    testData.forEach((v) => {
+      expect(toUTM(v[0]).split(' ')[0]).toBe(v[1]);
+    });
+  });
+
+  it('throws for coordinates of the polar regions', () => {
+    expect(() => toUTM([0, 84.5])).toThrow('Latitude outside of the UTM limits');
+    expect(() => toUTM([0, -80.5])).toThrow('Latitude outside of the UTM limits');
+    expect(() => toUTM([1, 2, 3])).toThrow('Not a valid coordinate');
+  });
+});
+
+describe('fromUTM', () => {
+  it('Correctly computes the coordinate', () => {
+    const testData = [
+      ['31N 448251.795 5411932.678', [2.2945, 48.8582]],
+      [' 31 n 448252 5411933 ', [2.29450, 48.85820]],
+      ['56S 334901 6252289', [151.2153, -33.8568]],
+      ['32N 221289 6661953', [4, 60]],
+    ];
+
+    testData.forEach((v) => {
+      const subject = fromUTM(v[0]);
+      expect(subject[0]).toBeCloseTo(v[1][0], 5);
+      expect(subject[1]).toBeCloseTo(v[1][1], 5);
+    });
+  });
+
+  it('round trips coordinates', () => {
+    [[-179.9, -79.9], [0.5, 0.5], [20, -0.001], [179.9, 83.9], [-70.6, -53.1]].forEach((coordinate) => {
+      const subject = fromUTM(toUTM(coordinate, { decimalPlaces: 6 }));
+      expect(subject[0]).toBeCloseTo(coordinate[0], 9);
+      expect(subject[1]).toBeCloseTo(coordinate[1], 9);
+    });
+  });
+
+  it('throws DmsParseErrors with the offending token', () => {
+    const testData = [
+      ['61N 448251 5411932', 'ZONE_OUT_OF_RANGE', 0, 2],
+      ['31N 048251 5411932', 'EASTING_OUT_OF_RANGE', 4, 10],
+      ['31N 448251 15411932', 'NORTHING_OUT_OF_RANGE', 11, 19],
+      ['31U 448251 5411932', 'INVALID_SYNTAX', 0, 18],
+    ];
+
+    testData.forEach((v) => {
+      let subject;
+      try {
+        fromUTM(v[0]);
+      } catch (e) {
+        subject = e;
+      }
+      expect(subject instanceof DmsParseError).toBe(true);
+      expect(subject.code).toBe(v[1]);
+      expect(subject.start).toBe(v[2]);
+      expect(subject.end).toBe(v[3]);
+    });
+  });
+});
@@ -0,0 +1,198 @@
+import { componentsOf, parse } from './dmsformat';
+import { DmsParseError, ERROR_CODES } from './errors';
+import { AXES, inRange, isNumber } from './format';
+
+/**
+ * Stable codes of the warnings returned by `validate` and `normalize`. In contrast to errors
+ * a warning does not prevent a coordinate from being returned, but points to a value which is
+ * likely to be wrong.
+ * @type {{}}
+ */
+export const WARNING_CODES = {
+  LIKELY_SWAPPED: 'LIKELY_SWAPPED',
+  MINUTES_AT_60: 'MINUTES_AT_60',
+  SECONDS_AT_60: 'SECONDS_AT_60',
+  SIGN_HEMISPHERE_CONFLICT: 'SIGN_HEMISPHERE_CONFLICT',
+  SUSPICIOUS_PRECISION: 'SUSPICIOUS_PRECISION',
+  LONGITUDE_WRAPPED: 'LONGITUDE_WRAPPED',
+};
+
+/**
+ * Maximal number of decimal places of the finest unit, which still describe a position of
+ * about one millimeter. More decimal places are usually the result of a floating point
+ * conversion and not of a measurement.
+ * @type {{degrees: number, minutes: number, seconds: number}}
+ */
+const MAX_DECIMAL_PLACES = {
+  degrees: 8,
+  minutes: 6,
+  seconds: 4,
+};
+
+/**
+ * Creates an error or warning entry of the validation result.
+ * @param {string} message
+ * @param {string} code
+ * @param {{ axis: string=, start: number=, end: number= }=} optDetails
+ * @returns {{ code: string, message: string, axis: string|undefined, start: number|undefined, end: number|undefined }}
+ */
+function issueFor(message, code, optDetails) {
+  const details = optDetails !== undefined ? optDetails : {};
+  return {
+    code,
+    message,
+    axis: details.axis,
+    start: details.start,
+    end: details.end,
+  };
+}
+
+/**
+ * Returns the number of decimal places of a number string.
+ * @param {string} value
+ * @returns {number}
+ */
+function decimalPlacesOf(value) {
+  const index = value.indexOf('.');
+  return index === -1 ? 0 : value.length - index - 1;
+}
+
+/**
+ * Returns the absolute decimal angle of a component of `componentsOf`.
+ * @param {{ degrees: string, minutes: string=, seconds: string= }} component
+ * @returns {number}
+ */
+function angleOf(component) {
+  return Number(component.degrees)
+    + (component.minutes !== undefined ? Number(component.minutes) / 60 : 0)
+    + (component.seconds !== undefined ? Number(component.seconds) / 3600 : 0);
+}
+
+/**
+ * Returns the warnings of the components of a coordinate string.
+ * @param {Array<{}>} components see `componentsOf`
+ * @returns {Array<{}>}
+ */
+function warningsFor(components) {
+  const warnings = [];
+
+  // without hemisphere letters a latitude over 90 is most likely a longitude
+  if (components.length === 2
+    && components.every((c) => c.hemisphere === undefined)
+    && angleOf(components[0]) > AXES.lat.max
+    && angleOf(components[1]) <= AXES.lat.max) {
+    warnings.push(issueFor('Latitude and longitude are likely swapped', WARNING_CODES.LIKELY_SWAPPED, {
+      start: components[0].start,
+      end: components[1].end,
+    }));
+  }
+
+  components.forEach((c) => {
+    const details = { axis: c.axis, start: c.start, end: c.end };
+
+    if (c.minutes !== undefined && Number(c.minutes) === 60) {
+      warnings.push(issueFor('Minutes written as 60', WARNING_CODES.MINUTES_AT_60, details));
+    }
+
+    if (c.seconds !== undefined && Number(c.seconds) === 60) {
+      warnings.push(issueFor('Seconds written as 60', WARNING_CODES.SECONDS_AT_60, details));
+    }
+
+    if (c.sign === '-' && c.hemisphere === AXES[c.axis].hemispheres[0]) {
+      warnings.push(issueFor('Minus sign conflicts with the hemisphere letter',
+        WARNING_CODES.SIGN_HEMISPHERE_CONFLICT, details));
+    }
+
+    const unit = c.seconds !== undefined ? 'seconds' : c.minutes !== undefined ? 'minutes' : 'degrees';
+    if (decimalPlacesOf(c[unit]) > MAX_DECIMAL_PLACES[unit]) {
+      warnings.push(issueFor('Precision finer than a millimeter', WARNING_CODES.SUSPICIOUS_PRECISION, details));
+    }
+  });
+
+  return warnings;
+}
+
+/**
+ * Validates a coordinate string of any format supported by `parse`. In contrast to `parse`
+ * the function does not throw, but returns the hard errors which prevent the string from
+ * being parsed apart from warnings about values which are parsed, but likely to be wrong,
+ * e.g. minutes written as 60, a minus sign conflicting with the hemisphere letter (`-59°N`)
+ * or a suspicious precision. Errors and warnings contain a stable `code` (see `ERROR_CODES`
+ * and `WARNING_CODES`), a `message`, the `axis` and the `start` and `end` offsets within the
+ * string if known.
+ *
+ * @param {string} value
+ * @param {{ formats: string[], locale: string }=} optOptions see `parse`
+ * @returns {{ valid: boolean, coordinate: [number, number]|undefined, format: string|undefined, errors: Array<{}>, warnings: Array<{}> }}
+ */
+export function validate(value, optOptions) {
+  const errors = [];
+  let parsed;
+
+  try {
+    parsed = parse(value, optOptions);
+  } catch (e) {
+    if (!(e instanceof DmsParseError)) {
+      throw e;
+    }
+    errors.push(issueFor(e.message, e.code, e));
+  }
+
+  return {
+    valid: errors.length === 0,
+    coordinate: parsed !== undefined ? parsed.coordinate : undefined,
+    format: parsed !== undefined ? parsed.format : undefined,
+    errors,
+    warnings: warningsFor(componentsOf(value, optOptions)),
+  };
+}
+
+/**
+ * Validates and normalizes a [lon, lat] coordinate array. Latitudes have to be within ±90.
+ * Longitudes outside of ±180 are an error, unless the `wrapLongitude` option is set. In this
+ * case longitudes outside of [-180, 180) are wrapped into this range and a warning is returned.
+ * The result has the same structure as the result of `validate`.
+ *
+ * @param {[number, number]} coordinate [lon, lat]
+ * @param {{ wrapLongitude: boolean }=} optOptions
+ * @returns {{ valid: boolean, coordinate: [number, number]|undefined, errors: Array<{}>, warnings: Array<{}> }}
+ */
+export function normalize(coordinate, optOptions) {
+  const options = Object.assign({
+    wrapLongitude: false,
+  }, optOptions !== undefined ? optOptions : {});
+  const errors = [];
+  const warnings = [];
+
+  if (coordinate.length !== 2 || !coordinate.every((v) => isNumber(v) && isFinite(v))) {
+    errors.push(issueFor('Not a valid coordinate', ERROR_CODES.INVALID_SYNTAX));
+    return { valid: false, coordinate: undefined, errors, warnings };
+  }
+
+  let lon = coordinate[0];
+  const lat = coordinate[1];
+
+  if (!inRange(lat, -AXES.lat.max, AXES.lat.max)) {
+    errors.push(issueFor(AXES.lat.rangeError, AXES.lat.rangeErrorCode, { axis: 'lat' }));
+
+    if (inRange(lon, -AXES.lat.max, AXES.lat.max)) {
+      warnings.push(issueFor('Latitude and longitude are likely swapped', WARNING_CODES.LIKELY_SWAPPED));
+    }
+  }
+
+  if (options.wrapLongitude) {
+    if (lon < -AXES.lon.max || lon >= AXES.lon.max) {
+      warnings.push(issueFor('Longitude wrapped to [-180, 180)', WARNING_CODES.LONGITUDE_WRAPPED, { axis: 'lon' }));
+      lon = ((lon + 180) % 360 + 360) % 360 - 180;
+    }
+  } else if (!inRange(lon, -AXES.lon.max, AXES.lon.max)) {
+    errors.push(issueFor(AXES.lon.rangeError, AXES.lon.rangeErrorCode, { axis: 'lon' }));
+  }
+
+  return {
+    valid: errors.length === 0,
+    coordinate: errors.length === 0 ? [lon, lat] : undefined,
+    errors,
+    warnings,
+  };
+}
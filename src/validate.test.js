@@ -0,0 +1,111 @@
+import { normalize, validate } from './validate';
+
+describe('validate', () => {
+  it('returns the coordinate of valid strings without errors and warnings', () => {
+    expect(validate('59°12\'7.7"N 02°15\'39.6"W')).toEqual({
+      valid: true,
+      coordinate: [-1 * (2 + 15 / 60 + 39.6 / 3600), 59 + 12 / 60 + 7.7 / 3600],
+      format: 'dms',
+      errors: [],
+      warnings: [],
+    });
+    expect(validate('41 24.2028, 2 10.4418').warnings).toEqual([]);
+  });
+
+  it('returns the errors of invalid strings instead of throwing', () => {
+    const result = validate('95°N 02°W');
+    expect(result.valid).toBe(false);
+    expect(result.coordinate).toBeUndefined();
+    expect(result.errors).toEqual([{
+      code: 'LATITUDE_OUT_OF_RANGE',
+      message: 'Latitude out of range',
+      axis: 'lat',
+      start: 0,
+      end: 4,
+    }]);
+    expect(validate('abc').errors[0].code).toBe('INVALID_SYNTAX');
+  });
+
+  it('returns warnings for values which are likely wrong', () => {
+    const testData = [
+      ['120.5, 45.2', 'LIKELY_SWAPPED', undefined, 0, 11],
+      ['120 30.5, 45 10.2', 'LIKELY_SWAPPED', undefined, 0, 17],
+      ['59°60\' N 2°15\' W', 'MINUTES_AT_60', 'lat', 0, 8],
+      ['41 60, 2 10.4418', 'MINUTES_AT_60', 'lat', 0, 5],
+      ['59°12\'60"N 2°15\'39.6"W', 'SECONDS_AT_60', 'lat', 0, 10],
+      ['-59°N 2°W', 'SIGN_HEMISPHERE_CONFLICT', 'lat', 0, 5],
+      ['2°W -59°N', 'SIGN_HEMISPHERE_CONFLICT', 'lat', 4, 9],
+      ['59.202138888889, -2.261', 'SUSPICIOUS_PRECISION', 'lat', 0, 15],
+      ['59°12\'7.70001"N 2°15\'39.6"W', 'SUSPICIOUS_PRECISION', 'lat', 0, 15],
+    ];
+
+    testData.forEach((v) => {
+      const warnings = validate(v[0]).warnings;
+      expect(warnings.length).toBe(1);
+      expect(warnings[0].code).toBe(v[1]);
+      expect(warnings[0].axis).toBe(v[2]);
+      expect(warnings[0].start).toBe(v[3]);
+      expect(warnings[0].end).toBe(v[4]);
+    });
+  });
+
+  it('keeps the coordinate of strings with warnings', () => {
+    const result = validate('-59°N 2°W');
+    expect(result.valid).toBe(true);
+    expect(result.coordinate).toEqual([-2, -59]);
+  });
+
+  it('passes the options to parse', () => {
+    expect(validate('51,0504; 13,7373', { locale: 'de' }).coordinate).toEqual([13.7373, 51.0504]);
+    expect(validate('41.40338, 2.17403', { formats: ['dmm'] }).errors[0].code).toBe('INVALID_SYNTAX');
+  });
+});
+
+describe('normalize', () => {
+  it('returns valid coordinates unchanged', () => {
+    expect(normalize([-2.261, 59.2])).toEqual({
+      valid: true,
+      coordinate: [-2.261, 59.2],
+      errors: [],
+      warnings: [],
+    });
+  });
+
+  it('returns errors for coordinates out of range', () => {
+    const testData = [
+      [[-2.261, 95], 'LATITUDE_OUT_OF_RANGE'],
+      [[190, 59.2], 'LONGITUDE_OUT_OF_RANGE'],
+      [[NaN, 59.2], 'INVALID_SYNTAX'],
+      [[Infinity, 59.2], 'INVALID_SYNTAX'],
+      [[1, 2, 3], 'INVALID_SYNTAX'],
+    ];
+
+    testData.forEach((v) => {
+      const result = normalize(v[0]);
+      expect(result.valid).toBe(false);
+      expect(result.coordinate).toBeUndefined();
+      expect(result.errors[0].code).toBe(v[1]);
+    });
+  });
+
+  it('warns about likely swapped coordinates', () => {
+    expect(normalize([59.2, 120.5]).warnings[0].code).toBe('LIKELY_SWAPPED');
+  });
+
+  it('wraps longitudes to [-180, 180)', () => {
+    const testData = [
+      [190, -170],
+      [-190, 170],
+      [180, -180],
+      [540, -180],
+      [-2.261, -2.261],
+    ];
+
+    testData.forEach((v) => {
+      const result = normalize([v[0], 59.2], { wrapLongitude: true });
+      expect(result.valid).toBe(true);
+      expect(result.coordinate[0]).toBeCloseTo(v[1], 10);
+      expect(result.warnings.length).toBe(v[0] === v[1] ? 0 : 1);
+    });
+  });
+});